@@ -10,6 +10,30 @@
 // - Subscription payment handling (M-Pesa STK Push)
 // - Subscription status polling and confirmation
 // - Smart keep-alive with overnight pause (11pm - 5am)
+// - Firebase ID-token authentication with role-based route guards
+// - Hashed withdrawal PINs with lockout after repeated wrong attempts
+// - IntaSend webhook challenge verification, replay protection and audit log
+// - Double-entry ledger for sales, withdrawals, wallet deposits and subscriptions
+// - Payout status webhook/poller with automatic reversal of failed withdrawals
+// - Atomic withdrawal balance reservation with payout holds and per-seller locking
+// - Admin review queue for large or risky withdrawals
+// - Server-side checkout that prices carts from products before the STK push
+// - Stock reservations committed on payment and released on failure or expiry
+// - Order cancellation with full/partial refunds via IntaSend refunds or B2C
+// - Escrow of seller earnings until delivery is confirmed or the hold period ends
+// - Per-seller fulfilment lifecycle (paid → accepted → dispatched → delivered / cancelled)
+// - Reconciliation of payments whose IntaSend callback never arrived, with daily reports
+// - Admin-managed subscription plan catalogue with server-side pricing
+// - Subscription renewal reminders, grace period and automatic expiry
+// - Prorated plan upgrades and end-of-period downgrades
+// - Subscription confirmation only for payments verified with IntaSend
+// - Ad campaigns charged per impression and click from the ad wallet
+// - Ad wallet statements, refunds of unused credit and low-balance alerts
+// - Pluggable email transports (Brevo, SMTP, file/memory capture) with failover
+// - Durable email outbox with exponential-backoff retries and dead-lettering
+// - Brevo delivery event webhook with bounce/complaint suppression
+// - Templated transactional emails with a shared layout, auto-escaping and plain-text parts
+// - Transactional emails in English or Swahili from users.preferredLanguage
 
 const express = require("express");
 const bodyParser = require("body-parser");
@@ -18,8 +42,13 @@ const IntaSend = require("intasend-node");
 const cors = require("cors");
 const admin = require("firebase-admin");
 const http = require("http");
+const crypto = require("crypto");
 const Buffer = require('buffer').Buffer;
 const fetch = require("node-fetch");
+const nodemailer = require("nodemailer");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
 
 dotenv.config();
 
@@ -64,12 +93,28 @@ app.use(
 // ============================
 app.use(bodyParser.json());
 
+// The app runs behind the host's load balancer, so req.ip has to come from
+// X-Forwarded-For. Set TRUST_PROXY_HOPS to the number of proxies in front.
+app.set("trust proxy", Number(process.env.TRUST_PROXY_HOPS ?? 1));
+
+// Secrets that must never reach the logs
+const REDACTED_BODY_FIELDS = ["pin", "newPin", "confirmPin", "withdrawalPin", "code"];
+
+const redactBody = (body) => {
+  if (!body || typeof body !== "object") return body || {};
+  const copy = { ...body };
+  REDACTED_BODY_FIELDS.forEach((field) => {
+    if (copy[field] !== undefined) copy[field] = "[REDACTED]";
+  });
+  return copy;
+};
+
 // Request logging middleware
 app.use((req, res, next) => {
   try {
     console.log(
       `${new Date().toISOString()} → ${req.method} ${req.originalUrl}`,
-      req.body || {}
+      redactBody(req.body)
     );
   } catch (e) {
     console.error("Logging error:", e);
@@ -117,63 +162,436 @@ const intasend = new IntaSend(
 const BACKEND_HOST = process.env.RENDER_BACKEND_URL || `http://localhost:${PORT}`;
 
 // ============================
-// Brevo Email Service
+// Authentication & Authorization
+// ============================
+const USER_ROLES = ["buyer", "seller", "admin"];
+
+// Paths under /api called by payment and email providers rather than signed-in users
+const PUBLIC_API_PATHS = new Set(["/intasend-callback", "/intasend-payout-callback", "/email-events"]);
+
+// Roles come from Firebase custom claims: `roles: [...]`, `role: "seller"` or `seller: true`
+const getRolesFromClaims = (claims = {}) => {
+  const roles = new Set();
+  if (Array.isArray(claims.roles)) claims.roles.forEach((role) => roles.add(role));
+  if (typeof claims.role === "string") roles.add(claims.role);
+  USER_ROLES.forEach((role) => {
+    if (claims[role] === true) roles.add(role);
+  });
+
+  const validRoles = [...roles].filter((role) => USER_ROLES.includes(role));
+  return validRoles.length ? validRoles : ["buyer"];
+};
+
+const authenticate = async (req, res, next) => {
+  const header = req.get("Authorization") || "";
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  if (!match) {
+    return res
+      .status(401)
+      .json({ success: false, message: "Missing authentication token" });
+  }
+
+  try {
+    const decoded = await admin.auth().verifyIdToken(match[1]);
+    req.user = {
+      uid: decoded.uid,
+      email: decoded.email || null,
+      roles: getRolesFromClaims(decoded),
+    };
+    return next();
+  } catch (error) {
+    console.warn("🔒 ID token verification failed:", error.code || error.message);
+    return res
+      .status(401)
+      .json({ success: false, message: "Invalid or expired authentication token" });
+  }
+};
+
+const sendForbidden = (res, message = "You do not have access to this resource") =>
+  res.status(403).json({ success: false, message });
+
+const isAdmin = (user) => !!user && user.roles.includes("admin");
+
+const isOwnerOrAdmin = (user, ownerId) =>
+  !!user && (isAdmin(user) || (!!ownerId && user.uid === ownerId));
+
+// Admins pass every role check
+const requireRole = (...roles) => (req, res, next) => {
+  const user = req.user;
+  if (user && (isAdmin(user) || roles.some((role) => user.roles.includes(role)))) {
+    return next();
+  }
+  return sendForbidden(res, "Insufficient permissions");
+};
+
+// Rejects requests acting on another user's account. A missing id is left
+// for the route's own validation to report.
+const requireOwner = (getOwnerId) => (req, res, next) => {
+  const ownerId = getOwnerId(req);
+  if (!ownerId || isOwnerOrAdmin(req.user, ownerId)) return next();
+  console.warn(`🚫 ${req.user?.uid} tried to act on account ${ownerId}: ${req.method} ${req.originalUrl}`);
+  return sendForbidden(res, "You can only access your own account");
+};
+
+// ============================
+// Email Transports
 // ============================
+// sendEmail hands each message to a transport picked by configuration:
+//   EMAIL_TRANSPORT          brevo | smtp | file | memory (default: brevo when
+//                            BREVO_API_KEY is set, otherwise smtp when SMTP_HOST is)
+//   EMAIL_FALLBACK_TRANSPORT tried whenever the primary errors (default: smtp
+//                            when SMTP_HOST is set), or "none"
+// `file` writes each message as JSON under EMAIL_CAPTURE_DIR and `memory`
+// keeps the latest ones in the process, for development and tests.
 const BREVO_API_KEY = process.env.BREVO_API_KEY;
+const SMTP_CONFIG = {
+  host: process.env.SMTP_HOST,
+  port: Number(process.env.SMTP_PORT) || 587,
+  secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : Number(process.env.SMTP_PORT) === 465,
+  user: process.env.SMTP_USER,
+  pass: process.env.SMTP_PASS
+};
+const EMAIL_CAPTURE_DIR = process.env.EMAIL_CAPTURE_DIR || path.join(os.tmpdir(), 'marketmix-emails');
+const EMAIL_CAPTURE_LIMIT = 200;
+
+const EMAIL_SENDERS = {
+  security: { name: 'MarketMixKenya', email: 'security@marketmix.site' },
+  sales: { name: 'MarketMixKenya', email: 'sales@marketmix.site' }
+};
+
+// Messages kept by the memory transport, oldest first
+const capturedEmails = [];
+const captureMessageId = () => `<${crypto.randomUUID()}@capture.marketmix.site>`;
+
+// Each factory returns { name, send(message) → { messageId } }, or null when
+// the transport isn't configured. `message` is { from, to, toName, subject,
+// html, text, tags }.
+const EMAIL_TRANSPORT_FACTORIES = {
+  brevo: () => {
+    if (!BREVO_API_KEY) return null;
+    return {
+      name: 'brevo',
+      send: async (message) => {
+        const response = await fetch('https://api.brevo.com/v3/smtp/email', {
+          method: 'POST',
+          headers: {
+            'accept': 'application/json',
+            'api-key': BREVO_API_KEY,
+            'content-type': 'application/json'
+          },
+          body: JSON.stringify({
+            sender: message.from,
+            to: [{ email: message.to, name: message.toName }],
+            subject: message.subject,
+            htmlContent: message.html,
+            ...(message.text && { textContent: message.text }),
+            tags: message.tags
+          })
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+          console.error('❌ Brevo API error:', JSON.stringify(data, null, 2));
+          throw new Error(data.message || `Brevo API error: ${response.status}`);
+        }
+        return { messageId: data.messageId };
+      }
+    };
+  },
+
+  smtp: () => {
+    if (!SMTP_CONFIG.host) return null;
+    const transporter = nodemailer.createTransport({
+      host: SMTP_CONFIG.host,
+      port: SMTP_CONFIG.port,
+      secure: SMTP_CONFIG.secure,
+      ...(SMTP_CONFIG.user && { auth: { user: SMTP_CONFIG.user, pass: SMTP_CONFIG.pass } })
+    });
+    return {
+      name: 'smtp',
+      verify: () => transporter.verify(),
+      send: async (message) => {
+        const info = await transporter.sendMail({
+          from: { name: message.from.name, address: message.from.email },
+          to: { name: message.toName, address: message.to },
+          subject: message.subject,
+          html: message.html,
+          ...(message.text && { text: message.text }),
+          headers: { 'X-Mailer-Tags': message.tags.join(',') }
+        });
+        return { messageId: info.messageId };
+      }
+    };
+  },
+
+  file: () => ({
+    name: 'file',
+    send: async (message) => {
+      const messageId = captureMessageId();
+      await fs.promises.mkdir(EMAIL_CAPTURE_DIR, { recursive: true });
+      await fs.promises.writeFile(
+        path.join(EMAIL_CAPTURE_DIR, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`),
+        JSON.stringify({ messageId, sentAt: new Date().toISOString(), ...message }, null, 2)
+      );
+      return { messageId };
+    }
+  }),
+
+  memory: () => ({
+    name: 'memory',
+    send: async (message) => {
+      const messageId = captureMessageId();
+      capturedEmails.push({ messageId, sentAt: new Date().toISOString(), ...message });
+      if (capturedEmails.length > EMAIL_CAPTURE_LIMIT) capturedEmails.shift();
+      return { messageId };
+    }
+  })
+};
+
+const createEmailTransport = (name) => {
+  if (!name || name === 'none') return null;
+  const factory = EMAIL_TRANSPORT_FACTORIES[name];
+  if (!factory) {
+    console.warn(`⚠️ Unknown email transport "${name}" - ignored`);
+    return null;
+  }
+  const transport = factory();
+  if (!transport) console.warn(`⚠️ Email transport "${name}" is not configured - ignored`);
+  return transport;
+};
+
+const PRIMARY_EMAIL_TRANSPORT =
+  process.env.EMAIL_TRANSPORT || (BREVO_API_KEY ? 'brevo' : SMTP_CONFIG.host ? 'smtp' : null);
+const FALLBACK_EMAIL_TRANSPORT =
+  process.env.EMAIL_FALLBACK_TRANSPORT || (SMTP_CONFIG.host && PRIMARY_EMAIL_TRANSPORT !== 'smtp' ? 'smtp' : null);
+
+// Primary first, then the fallback
+const emailTransports = [...new Set([PRIMARY_EMAIL_TRANSPORT, FALLBACK_EMAIL_TRANSPORT])]
+  .map(createEmailTransport)
+  .filter(Boolean);
+
+const isEmailConfigured = () => emailTransports.length > 0;
+
+// Sends through the first transport that accepts the message. Returns
+// { messageId, transport }, or throws the last transport's error.
+const deliverEmail = async (message) => {
+  if (!isEmailConfigured()) throw new Error('No email transport configured');
+
+  let lastError;
+  for (const transport of emailTransports) {
+    try {
+      const { messageId } = await transport.send(message);
+      return { messageId: messageId || null, transport: transport.name };
+    } catch (err) {
+      lastError = err;
+      console.error(`❌ Email transport "${transport.name}" failed:`, err.message);
+    }
+  }
+  throw lastError;
+};
+
+// ============================
+// Email Outbox
+// ============================
+// Every email is written to `emailOutbox` before it is sent, then tried once
+// straight away. Failed attempts are retried by the outbox worker with
+// exponential backoff; after EMAIL_MAX_ATTEMPTS the message is dead-lettered
+// (status "failed") for an admin to look at and resend.
+// Status: sending → sent | retrying → ... → sent | failed, or suppressed
+// when a non-security email is addressed to a suppressed address.
+// Messages waiting for an attempt carry `nextAttemptAt`; a "sending" message
+// whose attempt never finished is picked up again once its lease runs out.
+// Sensitive emails (PIN recovery codes) skip the queue: they are tried once
+// and the outbox records the outcome without the body, so codes are never
+// stored and never arrive after they have expired.
+
+const EMAIL_MAX_ATTEMPTS = Number(process.env.EMAIL_MAX_ATTEMPTS) || 6;
+const EMAIL_RETRY_BASE_MS = Number(process.env.EMAIL_RETRY_BASE_MS) || 60 * 1000;
+const EMAIL_RETRY_MAX_MS = 6 * 60 * 60 * 1000;
+const EMAIL_SEND_LEASE_MS = 5 * 60 * 1000;
+const EMAIL_OUTBOX_INTERVAL_MS = Number(process.env.EMAIL_OUTBOX_INTERVAL_MS) || 30 * 1000;
+const EMAIL_OUTBOX_BATCH_SIZE = 20;
+
+// 1 min, 2 min, 4 min, ... capped at 6 hours
+const emailRetryDelay = (attempts) =>
+  Math.min(EMAIL_RETRY_BASE_MS * 2 ** Math.max(0, attempts - 1), EMAIL_RETRY_MAX_MS);
+
+const outboxLease = () => admin.firestore.Timestamp.fromMillis(Date.now() + EMAIL_SEND_LEASE_MS);
+
+// Makes one delivery attempt for a message the caller has claimed and
+// records the outcome. Returns { sent, messageId, deadLettered, suppressed }.
+const attemptOutboxDelivery = async (ref, message) => {
+  const attempts = (message.attempts || 0) + 1;
+  if (message.type !== 'security' && await isEmailSuppressed(message.to)) {
+    console.log(`🚫 Email ${ref.id} not sent - ${message.to} is suppressed`);
+    await ref.update({
+      status: 'suppressed',
+      nextAttemptAt: admin.firestore.FieldValue.delete(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return { sent: false, messageId: null, deadLettered: false, suppressed: true };
+  }
+
+  try {
+    const { messageId, transport } = await deliverEmail({
+      from: message.from,
+      to: message.to,
+      toName: message.toName,
+      subject: message.subject,
+      html: message.html,
+      text: message.text || null,
+      tags: message.tags || []
+    });
+    await ref.update({
+      status: 'sent',
+      attempts,
+      messageId,
+      transport,
+      lastError: null,
+      nextAttemptAt: admin.firestore.FieldValue.delete(),
+      sentAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return { sent: true, messageId, deadLettered: false };
+  } catch (err) {
+    const deadLettered = attempts >= EMAIL_MAX_ATTEMPTS;
+    await ref.update({
+      status: deadLettered ? 'failed' : 'retrying',
+      attempts,
+      lastError: err.message,
+      lastAttemptAt: admin.firestore.FieldValue.serverTimestamp(),
+      nextAttemptAt: deadLettered
+        ? admin.firestore.FieldValue.delete()
+        : admin.firestore.Timestamp.fromMillis(Date.now() + emailRetryDelay(attempts)),
+      ...(deadLettered && { failedAt: admin.firestore.FieldValue.serverTimestamp() }),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    if (deadLettered) {
+      console.error(`💀 Email ${ref.id} to ${message.to} failed after ${attempts} attempts: ${err.message}`);
+    } else {
+      console.log(`⏳ Email ${ref.id} will be retried (attempt ${attempts} failed)`);
+    }
+    return { sent: false, messageId: null, deadLettered };
+  }
+};
+
+// Claims a message for one attempt so two workers never send it twice.
+// `statuses` are the states it may be claimed from. Returns its data or null.
+const claimOutboxMessage = async (ref, statuses) =>
+  db.runTransaction(async (t) => {
+    const snap = await t.get(ref);
+    if (!snap.exists) return null;
+    const message = snap.data();
+    if (!statuses.includes(message.status)) return null;
+    if ((message.nextAttemptAt?.toMillis?.() || 0) > Date.now()) return null;
+
+    t.update(ref, {
+      status: 'sending',
+      nextAttemptAt: outboxLease(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return message;
+  });
+
+const processEmailOutbox = async () => {
+  const snap = await db
+    .collection('emailOutbox')
+    .where('nextAttemptAt', '<=', admin.firestore.Timestamp.now())
+    .limit(EMAIL_OUTBOX_BATCH_SIZE)
+    .get();
+
+  for (const doc of snap.docs) {
+    try {
+      const message = await claimOutboxMessage(doc.ref, ['retrying', 'sending']);
+      if (message) await attemptOutboxDelivery(doc.ref, message);
+    } catch (err) {
+      console.error(`❌ Email outbox processing failed for ${doc.id}:`, err?.message || err);
+    }
+  }
+};
+
+// Sends a sensitive email once and records the outcome without its body
+const sendSensitiveEmail = async (message) => {
+  const { html, text, ...record } = message;
+  const ref = db.collection('emailOutbox').doc();
+  const recordOutcome = (fields) => ref.set({
+    ...record,
+    sensitive: true,
+    attempts: 1,
+    ...fields,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  }).catch((err) => console.error(`⚠️ Could not record sensitive email ${ref.id}:`, err.message));
+
+  try {
+    const { messageId, transport } = await deliverEmail(message);
+    await recordOutcome({ status: 'sent', messageId, transport, sentAt: admin.firestore.FieldValue.serverTimestamp() });
+    console.log(`✅ Sensitive email sent - Message ID: ${messageId}, Outbox ID: ${ref.id}`);
+    return true;
+  } catch (err) {
+    await recordOutcome({ status: 'failed', lastError: err.message, failedAt: admin.firestore.FieldValue.serverTimestamp() });
+    console.error(`❌ Sensitive email ${ref.id} to ${message.to} failed: ${err.message}`);
+    return false;
+  }
+};
 
-const sendEmail = async (to, subject, html, type = 'security') => {
+// Queues the email and tries it once. Returns true once it has been sent or
+// safely queued for a retry, false when it can't be sent at all. Pass
+// `{ sensitive: true }` for emails carrying codes; see sendSensitiveEmail.
+const sendEmail = async (to, subject, html, type = 'security', { sensitive = false } = {}) => {
   try {
     console.log('📧 Attempting to send email to:', to);
     console.log('📧 Subject:', subject);
     console.log('📧 Type:', type);
-    
-    if (!BREVO_API_KEY) {
-      console.log('❌ BREVO_API_KEY not configured in environment');
+
+    // Determine sender based on email type
+    const sender = type === 'sales' ? EMAIL_SENDERS.sales : EMAIL_SENDERS.security;
+
+    if (!isEmailConfigured()) {
+      console.log('❌ No email transport configured (set BREVO_API_KEY, SMTP_HOST or EMAIL_TRANSPORT)');
       console.log('📧 Email would have been sent to:', to);
-      console.log('📧 Sender:', type === 'sales' ? 'MarketMixKenya <sales@marketmix.site>' : 'MarketMixKenya <security@marketmix.site>');
+      console.log('📧 Sender:', `${sender.name} <${sender.email}>`);
       console.log('📧 Subject:', subject);
       return false;
     }
-    
-    // Determine sender based on email type
-    const sender = type === 'sales' 
-      ? {
-          name: 'MarketMixKenya',
-          email: 'sales@marketmix.site'
-        }
-      : {
-          name: 'MarketMixKenya',
-          email: 'security@marketmix.site'
-        };
-    
-    const response = await fetch('https://api.brevo.com/v3/smtp/email', {
-      method: 'POST',
-      headers: {
-        'accept': 'application/json',
-        'api-key': BREVO_API_KEY,
-        'content-type': 'application/json'
-      },
-      body: JSON.stringify({
-        sender: sender,
-        to: [{
-          email: to,
-          name: to.split('@')[0] || 'User'
-        }],
-        subject: subject,
-        htmlContent: html,
-        tags: [type === 'sales' ? 'order-confirmation' : 'pin-recovery']
-      })
-    });
 
-    const data = await response.json();
-    
-    if (!response.ok) {
-      console.error('❌ Brevo API error:', JSON.stringify(data, null, 2));
-      throw new Error(data.message || `Brevo API error: ${response.status}`);
+    const message = {
+      from: sender,
+      to,
+      toName: to.split('@')[0] || 'User',
+      subject,
+      html,
+      text: htmlToText(html),
+      type,
+      tags: [type === 'sales' ? 'order-confirmation' : 'pin-recovery']
+    };
+    if (sensitive) return sendSensitiveEmail(message);
+
+    // Created already claimed, so the worker leaves it alone during this attempt
+    const ref = db.collection('emailOutbox').doc();
+    try {
+      await ref.set({
+        ...message,
+        status: 'sending',
+        attempts: 0,
+        nextAttemptAt: outboxLease(),
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    } catch (queueError) {
+      // Better one attempt without retries than no email at all
+      console.error('⚠️ Could not queue email, sending without retries:', queueError.message);
+      const { messageId } = await deliverEmail(message);
+      console.log(`✅ Email sent without the outbox - Message ID: ${messageId}`);
+      return true;
     }
 
+    const result = await attemptOutboxDelivery(ref, { ...message, attempts: 0 });
+    if (!result.sent) return !result.deadLettered && !result.suppressed;
+
     console.log(`✅ Email sent successfully!`);
-    console.log(`📧 Message ID: ${data.messageId}`);
+    console.log(`📧 Message ID: ${result.messageId}`);
+    console.log(`📧 Outbox ID: ${ref.id}`);
     console.log(`📧 To: ${to}`);
     console.log(`📧 From: ${sender.name} <${sender.email}>`);
     console.log(`📧 Type: ${type}`);
@@ -185,9 +603,132 @@ const sendEmail = async (to, subject, html, type = 'security') => {
   }
 };
 
-// Test Brevo setup on startup
+// ============================
+// Email Delivery Events
+// ============================
+// Brevo posts transactional events to /api/email-events. Each one is stored
+// in `emailEvents`, keyed by the Brevo message id that the outbox recorded
+// when the email was sent, and the outbox message gets a delivery summary.
+// Hard bounces and spam complaints add the address to `emailSuppressions`;
+// non-security emails to suppressed addresses are no longer sent.
+// Configure the webhook with an `Authorization: Bearer <BREVO_WEBHOOK_SECRET>`
+// header. The route is public, so without the secret every event is refused.
+
+const BREVO_WEBHOOK_SECRET = process.env.BREVO_WEBHOOK_SECRET;
+
+if (!BREVO_WEBHOOK_SECRET) {
+  console.error('❌ BREVO_WEBHOOK_SECRET not set - email event webhooks will be rejected');
+}
+
+// Brevo event name → the delivery status we record
+const EMAIL_EVENT_TYPES = {
+  delivered: 'delivered',
+  hard_bounce: 'hard_bounce',
+  soft_bounce: 'soft_bounce',
+  spam: 'complaint',
+  opened: 'opened',
+  unique_opened: 'opened'
+};
+// A later event never downgrades the status: an open after delivery counts,
+// a late "delivered" after a bounce doesn't
+const DELIVERY_STATUS_RANK = { soft_bounce: 1, delivered: 2, opened: 3, hard_bounce: 4, complaint: 5 };
+const SUPPRESSING_EVENTS = ['hard_bounce', 'complaint'];
+
+const verifyEmailWebhook = (req) => {
+  if (!BREVO_WEBHOOK_SECRET) return false;
+  const header = (req.get('Authorization') || '').match(/^Bearer\s+(.+)$/i);
+  return !!header && timingSafeStringEqual(header[1], BREVO_WEBHOOK_SECRET);
+};
+
+// Email addresses can contain "/", so suppressions are keyed by a hash
+const suppressionRef = (email) => db
+  .collection('emailSuppressions')
+  .doc(crypto.createHash('sha256').update(String(email).trim().toLowerCase()).digest('hex'));
+
+const isEmailSuppressed = async (email) => {
+  try {
+    return (await suppressionRef(email).get()).exists;
+  } catch (err) {
+    console.error(`Failed to check email suppression for ${email}:`, err);
+    return false;
+  }
+};
+
+// Records one Brevo event. Redelivered events are no-ops.
+// Returns { status: 'recorded' | 'duplicate' | 'ignored', outboxId }.
+const recordEmailEvent = async (payload) => {
+  const type = EMAIL_EVENT_TYPES[payload.event];
+  const messageId = payload['message-id'] || null;
+  if (!type || !messageId || !payload.email) return { status: 'ignored', outboxId: null };
+
+  const occurredAtMs = Number(payload.ts_event || payload.ts) * 1000 || Date.parse(payload.date) || Date.now();
+  const eventRef = db.collection('emailEvents').doc(
+    crypto.createHash('sha256').update(`${messageId}:${payload.event}:${occurredAtMs}`).digest('hex').slice(0, 40)
+  );
+  const outboxSnap = await db.collection('emailOutbox').where('messageId', '==', messageId).limit(1).get();
+  const outboxRef = outboxSnap.empty ? null : outboxSnap.docs[0].ref;
+
+  return db.runTransaction(async (t) => {
+    const [eventSnap, outboxDoc] = await t.getAll(eventRef, ...(outboxRef ? [outboxRef] : []));
+    if (eventSnap.exists) return { status: 'duplicate', outboxId: outboxRef?.id || null };
+
+    const occurredAt = admin.firestore.Timestamp.fromMillis(occurredAtMs);
+    t.create(eventRef, {
+      messageId,
+      outboxId: outboxRef?.id || null,
+      email: payload.email,
+      event: payload.event,
+      type,
+      reason: payload.reason || null,
+      subject: payload.subject || null,
+      tags: payload.tags || (payload.tag ? [payload.tag] : []),
+      occurredAt,
+      receivedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    if (outboxDoc) {
+      const message = outboxDoc.data();
+      const update = {
+        lastDeliveryEvent: type,
+        lastDeliveryEventAt: occurredAt,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      };
+      if ((DELIVERY_STATUS_RANK[type] || 0) >= (DELIVERY_STATUS_RANK[message.deliveryStatus] || 0)) {
+        update.deliveryStatus = type;
+      }
+      if (type === 'delivered') update.deliveredAt = occurredAt;
+      if (type === 'opened') {
+        update.openCount = admin.firestore.FieldValue.increment(1);
+        if (!message.openedAt) update.openedAt = occurredAt;
+      }
+      if (type === 'hard_bounce' || type === 'soft_bounce') update.bounceReason = payload.reason || null;
+      if (type === 'complaint') update.complainedAt = occurredAt;
+      t.update(outboxRef, update);
+    }
+
+    if (SUPPRESSING_EVENTS.includes(type)) {
+      t.set(suppressionRef(payload.email), {
+        email: String(payload.email).trim().toLowerCase(),
+        reason: type,
+        detail: payload.reason || null,
+        messageId,
+        suppressedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    }
+
+    return { status: 'recorded', outboxId: outboxRef?.id || null };
+  });
+};
+
+// Test email transports on startup
 (async () => {
-  if (BREVO_API_KEY) {
+  if (!isEmailConfigured()) {
+    console.warn('⚠️ No email transport configured - emails will not be sent');
+    return;
+  }
+  console.log(`📧 Email transports: ${emailTransports.map((t) => t.name).join(' → ')}`);
+
+  if (emailTransports.some((t) => t.name === 'brevo')) {
     try {
       const response = await fetch('https://api.brevo.com/v3/account', {
         headers: {
@@ -209,169 +750,1155 @@ const sendEmail = async (to, subject, html, type = 'security') => {
     } catch (error) {
       console.warn('⚠️ Could not verify Brevo API key on startup:', error.message);
     }
-  } else {
-    console.warn('⚠️ BREVO_API_KEY not set in environment - emails will not be sent');
+  }
+
+  const smtp = emailTransports.find((t) => t.name === 'smtp');
+  if (smtp) {
+    try {
+      await smtp.verify();
+      console.log(`✅ SMTP server ${SMTP_CONFIG.host}:${SMTP_CONFIG.port} reachable`);
+    } catch (error) {
+      console.warn('⚠️ Could not verify SMTP server on startup:', error.message);
+    }
   }
 })();
 
 // ============================
-// Proposal Status Email Function
+// Email Templates
 // ============================
-const sendProposalStatusEmail = async (emailData) => {
+// Every email body is built with the `html` tag below, which escapes each
+// interpolated value unless it is itself `html` output (or wrapped in
+// `raw`). Templates only render their own body; `renderEmailLayout` adds the
+// shared MarketMix header and footer. Plain-text parts are generated from
+// the final HTML by `htmlToText` when the email is sent.
+// Preview any template with its sample data at
+// GET /api/admin/email-templates/:name/preview.
+
+const EMAIL_BRAND = {
+  name: 'MarketMix Kenya',
+  logoUrl: 'https://i.ibb.co/JjSrxbPz/icon-png-1.png',
+  siteUrl: 'https://marketmix.site',
+  supportEmail: 'sales@marketmix.site'
+};
+
+const escapeHtml = (value) =>
+  String(value ?? '').replace(/[&<>"']/g, (c) => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  }[c]));
+
+class SafeHtml {
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+// Marks trusted markup so `html` doesn't escape it
+const raw = (value) => new SafeHtml(String(value ?? ''));
+
+const renderHtmlValue = (value) => {
+  if (value === null || value === undefined || value === false) return '';
+  if (Array.isArray(value)) return value.map(renderHtmlValue).join('');
+  if (value instanceof SafeHtml) return value.value;
+  return escapeHtml(value);
+};
+
+const html = (strings, ...values) =>
+  new SafeHtml(strings.reduce((out, str, i) => out + str + (i < values.length ? renderHtmlValue(values[i]) : ''), ''));
+
+// User-written text with its line breaks kept
+const multiline = (text) => String(text ?? '').split('\n').map((line, i) => html`${i ? raw('<br>') : ''}${line}`);
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', copy: '©' };
+
+const htmlToText = (markup) => String(markup)
+  .replace(/<(head|style|script)[\s\S]*?<\/\1>/gi, '')
+  .replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (match, href, label) => {
+    const text = label.replace(/<[^>]+>/g, '').trim();
+    const url = href.replace(/^mailto:/i, '');
+    return text && text !== url ? `${text} (${url})` : url;
+  })
+  .replace(/<br\s*\/?>/gi, '\n')
+  .replace(/<li[^>]*>/gi, '\n- ')
+  .replace(/<\/(p|div|h[1-6]|ul|tr|table)>/gi, '\n')
+  .replace(/<[^>]+>/g, '')
+  .replace(/&(#\d+|\w+);/g, (match, name) =>
+    name.startsWith('#') ? String.fromCharCode(Number(name.slice(1))) : HTML_ENTITIES[name] ?? match)
+  .split('\n')
+  .map((line) => line.replace(/[ \t]+/g, ' ').trim())
+  .join('\n')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+const EMAIL_TONES = {
+  success: { background: '#f0fdf4', border: '#10b981', text: '#065f46' },
+  danger: { background: '#fef2f2', border: '#ef4444', text: '#7c2d12' },
+  warning: { background: '#fffbeb', border: '#f59e0b', text: '#78350f' },
+  info: { background: '#eff6ff', border: '#3b82f6', text: '#1e3a8a' }
+};
+
+// --- Languages ---
+// Emails go out in the recipient's `users.preferredLanguage` ("en" or "sw",
+// region suffixes like "sw-KE" allowed). Anything else gets English, and so
+// does any string a translation leaves out.
+
+const EMAIL_LOCALES = { en: 'en-KE', sw: 'sw-KE' };
+const DEFAULT_EMAIL_LANGUAGE = 'en';
+
+const resolveEmailLanguage = (preference) => {
+  const code = String(preference || '').toLowerCase().split(/[-_]/)[0];
+  return Object.hasOwn(EMAIL_LOCALES, code) ? code : DEFAULT_EMAIL_LANGUAGE;
+};
+
+// Looks the recipient up by uid, or by email address when there is no uid
+const getPreferredLanguage = async ({ userId, email }) => {
   try {
-    console.log(`📧 Sending proposal status email to: ${emailData.to}`);
-    console.log(`📧 Proposal ID: ${emailData.proposalId}`);
-    console.log(`📧 Status: ${emailData.status}`);
-    
-    if (!BREVO_API_KEY) {
-      console.log('❌ BREVO_API_KEY not configured - skipping email');
-      return false;
+    if (userId) {
+      const userDoc = await db.collection('users').doc(userId).get();
+      if (userDoc.exists) return resolveEmailLanguage(userDoc.data().preferredLanguage);
     }
-    
-    const emailHtml = emailData.html || `
-<!DOCTYPE html>
-<html>
+    if (email) {
+      const snap = await db.collection('users').where('email', '==', email).limit(1).get();
+      if (!snap.empty) return resolveEmailLanguage(snap.docs[0].data().preferredLanguage);
+    }
+  } catch (err) {
+    console.error(`Failed to look up preferred language for ${userId || email}:`, err);
+  }
+  return DEFAULT_EMAIL_LANGUAGE;
+};
+
+const formatEmailDate = (date, language = DEFAULT_EMAIL_LANGUAGE) =>
+  date.toLocaleDateString(EMAIL_LOCALES[language], { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'Africa/Nairobi' });
+
+const formatEmailDateTime = (date, language = DEFAULT_EMAIL_LANGUAGE) => date.toLocaleString(EMAIL_LOCALES[language], {
+  timeZone: 'Africa/Nairobi',
+  month: 'short',
+  day: 'numeric',
+  year: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+const formatKsh = (amount, language = DEFAULT_EMAIL_LANGUAGE) =>
+  `KSH ${(Number(amount) || 0).toLocaleString(EMAIL_LOCALES[language], { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+// --- Shared layout and blocks ---
+
+const EMAIL_LAYOUT_COPY = {
+  en: { help: 'Need help? Contact' },
+  sw: { help: 'Unahitaji msaada? Wasiliana na' }
+};
+
+const renderEmailLayout = ({ language = DEFAULT_EMAIL_LANGUAGE, title, body, footerNote }) => {
+  const copy = EMAIL_LAYOUT_COPY[language] || EMAIL_LAYOUT_COPY.en;
+  return html`<!DOCTYPE html>
+<html lang="${language}">
 <head>
   <meta charset="UTF-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <style>
-    body { 
-      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-      line-height: 1.6; 
-      color: #1f2937; 
-      margin: 0; 
-      padding: 0; 
-      background: #f9fafb;
-    }
-    .container { 
-      max-width: 600px; 
-      margin: 0 auto; 
-      background: white; 
-      border-radius: 16px; 
-      overflow: hidden; 
-      box-shadow: 0 4px 20px rgba(0,0,0,0.08); 
-      border: 1px solid #e5e7eb;
-    }
-    .header {
-      background: linear-gradient(135deg, #3b82f6 0%, #8b5cf6 100%);
-      padding: 32px 24px;
-      text-align: center;
-      color: white;
-    }
-    .content {
-      padding: 32px 24px;
-    }
-    .footer {
-      background: #f8f9fa;
-      padding: 24px;
-      text-align: center;
-      border-top: 1px solid #e9ecef;
-      color: #6c757d;
-      font-size: 13px;
-    }
-  </style>
+  <title>${title}</title>
 </head>
-<body>
-  <div class="container">
-    <div class="header">
-      <div style="font-size: 24px; font-weight: bold; margin-bottom: 8px;">MarketMix Kenya</div>
-      <h2 style="margin: 8px 0 0 0; font-weight: 300; font-size: 16px; opacity: 0.9;">Lipa Mdogo Mdogo Installment Update</h2>
+<body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; color: #1f2937; margin: 0; padding: 0; background: #f9fafb;">
+  <div style="max-width: 600px; margin: 0 auto; background: white; border-radius: 16px; overflow: hidden; border: 1px solid #e5e7eb;">
+    <div style="background: linear-gradient(135deg, #3b82f6 0%, #8b5cf6 100%); padding: 32px 24px; text-align: center; color: white;">
+      <img src="${EMAIL_BRAND.logoUrl}" alt="" width="48" height="48" style="display: block; margin: 0 auto 12px auto; border-radius: 12px;">
+      <div style="font-size: 24px; font-weight: bold; margin-bottom: 8px;">${EMAIL_BRAND.name}</div>
+      <h2 style="margin: 8px 0 0 0; font-weight: 300; font-size: 16px; opacity: 0.9;">${title}</h2>
     </div>
-    
-    <div class="content">
-      <h3 style="color: #1f2937; margin-bottom: 8px; font-size: 18px;">Hello ${emailData.studentName || 'Student'},</h3>
-      <p style="color: #4b5563; margin-bottom: 20px;">Your installment proposal has been reviewed.</p>
-      
-      <div style="background: ${emailData.status === 'approved' ? '#f0fdf4' : '#fef2f2'}; 
-                  border-left: 4px solid ${emailData.status === 'approved' ? '#10b981' : '#ef4444'}; 
-                  padding: 16px; 
-                  border-radius: 8px; 
-                  margin: 20px 0;">
-        <h4 style="margin-top: 0; color: ${emailData.status === 'approved' ? '#065f46' : '#7c2d12'}; 
-                   margin-bottom: 8px; font-size: 14px;">
-          Status: ${emailData.status === 'approved' ? 'APPROVED ✅' : 'REJECTED ❌'}
-        </h4>
-        ${emailData.notes ? `<p style="color: #374151; margin: 0; font-size: 14px; line-height: 1.5;">${emailData.notes.replace(/\n/g, '<br>')}</p>` : ''}
-      </div>
-      
-      <div style="background: #f8fafc; border-radius: 10px; padding: 20px; margin: 20px 0; border: 1px solid #e2e8f0;">
-        <p style="margin: 0 0 10px 0; font-size: 14px;"><strong>Proposal Details:</strong></p>
-        <p style="margin: 5px 0; font-size: 13px; color: #4b5563;"><strong>ID:</strong> ${emailData.proposalId?.substring(0, 8) || 'N/A'}</p>
-        <p style="margin: 5px 0; font-size: 13px; color: #4b5563;"><strong>Amount:</strong> KSH ${parseFloat(emailData.amount || 0).toLocaleString()}</p>
-        <p style="margin: 5px 0; font-size: 13px; color: #4b5563;"><strong>Institution:</strong> ${emailData.institution || 'N/A'}</p>
-      </div>
+    <div style="padding: 32px 24px;">
+      ${body}
     </div>
-    
-    <div class="footer">
-      <p style="margin: 0 0 8px 0; font-weight: 500;">MarketMix Kenya © ${new Date().getFullYear()}</p>
-      <p style="margin: 0; font-size: 12px;">This email was sent from <strong>MarketMixKenya &lt;sales@marketmix.site&gt;</strong></p>
+    <div style="background: #f8f9fa; padding: 24px; text-align: center; border-top: 1px solid #e9ecef; color: #6c757d; font-size: 13px;">
+      <p style="margin: 0 0 8px 0; font-weight: 500;">${EMAIL_BRAND.name} © ${new Date().getFullYear()}</p>
+      ${footerNote ? html`<p style="margin: 0 0 8px 0; font-size: 12px;">${footerNote}</p>` : ''}
+      <p style="margin: 0; font-size: 12px;">${copy.help} <a href="mailto:${EMAIL_BRAND.supportEmail}" style="color: #6c757d;">${EMAIL_BRAND.supportEmail}</a></p>
     </div>
   </div>
 </body>
 </html>`;
-
-    const emailSent = await sendEmail(
-      emailData.to,
-      emailData.subject || `Your Installment Proposal Update - MarketMix Kenya`,
-      emailHtml,
-      'sales'
-    );
-
-    if (emailSent) {
-      try {
-        await db.collection('proposalStatusEmails').add({
-          proposalId: emailData.proposalId,
-          studentEmail: emailData.to,
-          studentName: emailData.studentName,
-          status: emailData.status,
-          notes: emailData.notes || '',
-          amount: emailData.amount || 0,
-          institution: emailData.institution || '',
-          sentAt: admin.firestore.FieldValue.serverTimestamp(),
-          sender: 'MarketMixKenya <sales@marketmix.site>',
-          authenticated: true,
-          dmarc: 'configured',
-          dkim: 'signed'
-        });
-        
-        console.log(`✅ Proposal status email logged for ${emailData.proposalId}`);
-      } catch (logErr) {
-        console.error('Failed to log proposal status email:', logErr);
-      }
-    }
-    
-    return emailSent;
-    
-  } catch (error) {
-    console.error('❌ Proposal status email failed:', error.message);
-    return false;
-  }
 };
 
-// ============================
-// PIN Recovery System (Replacement Codes)
-// ============================
-
-const generateReplacementCode = () => {
-  return Math.floor(100000 + Math.random() * 900000).toString();
+const greetingBlock = (greeting, intro) => html`
+      <h3 style="color: #1f2937; margin-bottom: 8px; font-size: 18px;">${greeting}</h3>
+      ${intro ? html`<p style="color: #4b5563; margin-bottom: 20px;">${intro}</p>` : ''}`;
+
+const statusBlock = ({ tone = 'info', label, message }) => {
+  const colors = EMAIL_TONES[tone] || EMAIL_TONES.info;
+  return html`
+      <div style="background: ${colors.background}; border-left: 4px solid ${colors.border}; padding: 16px; border-radius: 8px; margin: 20px 0;">
+        ${label ? html`<h4 style="margin: 0 0 8px 0; color: ${colors.text}; font-size: 14px;">${label}</h4>` : ''}
+        ${message ? html`<p style="color: #374151; margin: 0; font-size: 14px;">${message}</p>` : ''}
+      </div>`;
 };
 
-const storeReplacementCode = async (userId, email, code) => {
-  try {
-    const expiryTime = new Date();
-    expiryTime.setMinutes(expiryTime.getMinutes() + 15);
-    
-    await db.collection('pinRecoveryCodes').doc(userId).set({
-      code,
-      email,
-      userId,
-      expiresAt: expiryTime,
-      createdAt: admin.firestore.FieldValue.serverTimestamp(),
-      attempts: 0,
-      maxAttempts: 3,
-      used: false,
-      status: 'pending'
-    });
+// `rows` are [label, value] pairs
+const detailsBlock = (rows, heading) => html`
+      <div style="background: #f8fafc; border-radius: 10px; padding: 20px; margin: 20px 0; border: 1px solid #e2e8f0;">
+        ${heading ? html`<p style="margin: 0 0 10px 0; font-size: 14px;"><strong>${heading}</strong></p>` : ''}
+        ${rows.map(([label, value]) => html`<p style="margin: 5px 0; font-size: 13px; color: #4b5563;"><strong>${label}:</strong> ${value}</p>`)}
+      </div>`;
+
+// Greeting, coloured status box and details: the body of every short notice
+const noticeBody = ({ greeting, intro, tone = 'info', statusLabel, message, details = [] }) => html`
+      ${greetingBlock(greeting, intro)}
+      ${statusLabel || message ? statusBlock({ tone, label: statusLabel, message }) : ''}
+      ${details.length ? detailsBlock(details) : ''}`;
+
+const formatNoticeItems = (items = []) => items.map((item) => `${item.name} × ${item.quantity}`).join(', ');
+
+const buttonLink = (href, label, background = '#4f46e5') =>
+  html`<a href="${href}" style="display: inline-block; background: ${background}; color: white; padding: 10px 20px; border-radius: 8px; text-decoration: none; font-weight: 500; margin: 4px 8px; font-size: 14px;">${label}</a>`;
+
+// --- Templates ---
+// Each has a sender `type`, `copy` per language, `subject(data, t)`, layout
+// `title(data, t)`, its `body(data, t)` and `sample` data for previews.
+// `t` is the copy for the chosen language plus `lang`.
+
+const SUBSCRIPTION_NOTICE_TONES = { reminder: 'info', grace: 'warning', expired: 'danger' };
+const WITHDRAWAL_NOTICE_TONES = { payout_failed: 'danger', submitted: 'warning', approved: 'success', rejected: 'danger' };
+const REFUND_NOTICE_TONES = { initiated: 'info', completed: 'success' };
+const FULFILMENT_NOTICE_TONES = { accepted: 'info', dispatched: 'info', delivered: 'success', cancelled: 'danger' };
+const AD_WALLET_NOTICE_TONES = { low_balance: 'warning', refund_completed: 'success', refund_failed: 'danger' };
+
+const EMAIL_TEMPLATES = {
+  // Free-form notices (the internal reconciliation report). The caller
+  // supplies the wording, so only the default greeting is translated here.
+  notification: {
+    type: 'sales',
+    copy: {
+      en: { greeting: 'Hello,' },
+      sw: { greeting: 'Habari,' }
+    },
+    subject: (d) => d.subject || d.title,
+    title: (d) => d.title,
+    body: (notice, t) => noticeBody({ ...notice, greeting: notice.greeting || t.greeting }),
+    sample: {
+      title: 'Payment Reconciliation',
+      greeting: 'Hello team,',
+      intro: 'Here is the payment reconciliation summary for 2026-01-31.',
+      tone: 'warning',
+      statusLabel: '2 MISMATCHES',
+      message: 'Details of each mismatch are available from the admin reconciliation report.',
+      details: [['Payments checked', '42'], ['Lost callbacks applied', '1'], ['LOST_CALLBACK', '1'], ['AMOUNT_MISMATCH', '1']]
+    }
+  },
+
+  proposal_status: {
+    type: 'sales',
+    copy: {
+      en: {
+        subject: { approved: 'Your Installment Proposal Has Been Approved', rejected: 'Your Installment Proposal Has Been Rejected' },
+        title: 'Lipa Mdogo Mdogo Installment Update',
+        greeting: (name) => `Hello ${name || 'Student'},`,
+        intro: 'Your installment proposal has been reviewed.',
+        status: 'Status',
+        approved: 'APPROVED ✅',
+        rejected: 'REJECTED ❌',
+        details: 'Proposal Details:',
+        id: 'ID',
+        amount: 'Amount',
+        institution: 'Institution',
+        footer: 'This email was sent from MarketMixKenya <sales@marketmix.site>'
+      },
+      sw: {
+        subject: { approved: 'Ombi Lako la Malipo kwa Awamu Limekubaliwa', rejected: 'Ombi Lako la Malipo kwa Awamu Limekataliwa' },
+        title: 'Taarifa ya Malipo ya Lipa Mdogo Mdogo',
+        greeting: (name) => `Habari ${name || 'Mwanafunzi'},`,
+        intro: 'Ombi lako la kulipa kwa awamu limekaguliwa.',
+        status: 'Hali',
+        approved: 'LIMEKUBALIWA ✅',
+        rejected: 'LIMEKATALIWA ❌',
+        details: 'Maelezo ya Ombi:',
+        id: 'Kitambulisho',
+        amount: 'Kiasi',
+        institution: 'Taasisi',
+        footer: 'Barua pepe hii imetumwa kutoka MarketMixKenya <sales@marketmix.site>'
+      }
+    },
+    subject: (d, t) => `${d.status === 'approved' ? t.subject.approved : t.subject.rejected} - MarketMix Kenya`,
+    title: (d, t) => t.title,
+    footerNote: (d, t) => t.footer,
+    body: (d, t) => {
+      const approved = d.status === 'approved';
+      return html`
+      ${greetingBlock(t.greeting(d.studentName), t.intro)}
+      ${statusBlock({
+        tone: approved ? 'success' : 'danger',
+        label: `${t.status}: ${approved ? t.approved : t.rejected}`,
+        message: d.notes ? multiline(d.notes) : null
+      })}
+      ${detailsBlock([
+        [t.id, d.proposalId?.substring(0, 8) || 'N/A'],
+        [t.amount, formatKsh(d.amount, t.lang)],
+        [t.institution, d.institution || 'N/A']
+      ], t.details)}`;
+    },
+    sample: {
+      proposalId: 'PROP12345678',
+      studentName: 'Jane Wanjiku',
+      status: 'approved',
+      notes: 'First installment due on the 5th.\nPay via M-Pesa from your dashboard.',
+      amount: 15000,
+      institution: 'University of Nairobi'
+    }
+  },
+
+  pin_recovery: {
+    type: 'security',
+    sensitive: true,
+    copy: {
+      en: {
+        subject: 'Your PIN Reset Code - MarketMix Kenya',
+        title: 'Withdrawal PIN Recovery',
+        greeting: 'Hello Seller,',
+        intro: 'You requested to reset your withdrawal PIN. Use the code below to verify your identity.',
+        expires: (minutes) => `This code expires in ${minutes} minutes`,
+        alert: 'SECURITY ALERT',
+        tips: [
+          'This code is for PIN reset verification only',
+          'Never share it with anyone',
+          'MarketMix staff will never ask for this code',
+          "If you didn't request this, contact support immediately"
+        ],
+        details: 'Request Details',
+        time: 'Time',
+        email: 'Email',
+        account: 'Account ID',
+        attempts: 'Valid Attempts',
+        attemptsLeft: (count) => `${count} attempts remaining`,
+        instructions: 'Enter this code in the PIN recovery page to reset your withdrawal PIN.',
+        dashboard: 'Seller Dashboard',
+        footer: "This email was sent from security@marketmix.site. If you didn't request this, please secure your account immediately."
+      },
+      sw: {
+        subject: 'Msimbo Wako wa Kubadilisha PIN - MarketMix Kenya',
+        title: 'Urejeshaji wa PIN ya Kutoa Pesa',
+        greeting: 'Habari Muuzaji,',
+        intro: 'Uliomba kubadilisha PIN yako ya kutoa pesa. Tumia msimbo ulio hapa chini kuthibitisha utambulisho wako.',
+        expires: (minutes) => `Msimbo huu utaisha baada ya dakika ${minutes}`,
+        alert: 'TAHADHARI YA USALAMA',
+        tips: [
+          'Msimbo huu ni wa kuthibitisha ubadilishaji wa PIN pekee',
+          'Usimpe mtu yeyote msimbo huu',
+          'Wafanyakazi wa MarketMix hawatakuuliza msimbo huu kamwe',
+          'Ikiwa hukuomba hili, wasiliana na huduma kwa wateja mara moja'
+        ],
+        details: 'Maelezo ya Ombi',
+        time: 'Muda',
+        email: 'Barua pepe',
+        account: 'Kitambulisho cha Akaunti',
+        attempts: 'Majaribio Halali',
+        attemptsLeft: (count) => `Majaribio ${count} yamebaki`,
+        instructions: 'Weka msimbo huu kwenye ukurasa wa kurejesha PIN ili kubadilisha PIN yako ya kutoa pesa.',
+        dashboard: 'Dashibodi ya Muuzaji',
+        footer: 'Barua pepe hii imetumwa kutoka security@marketmix.site. Ikiwa hukuomba hili, tafadhali linda akaunti yako mara moja.'
+      }
+    },
+    subject: (d, t) => t.subject,
+    title: (d, t) => t.title,
+    footerNote: (d, t) => t.footer,
+    body: (d, t) => html`
+      ${greetingBlock(t.greeting, t.intro)}
+      <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; font-size: 32px; font-weight: bold; padding: 25px; border-radius: 12px; text-align: center; letter-spacing: 8px; margin: 30px 0;">${d.code}</div>
+      <p style="margin: 20px 0; text-align: center; color: #4b5563;"><strong>${t.expires(d.expiresInMinutes)}</strong></p>
+      <div style="background: ${EMAIL_TONES.warning.background}; border-left: 4px solid ${EMAIL_TONES.warning.border}; padding: 16px; border-radius: 8px; margin: 20px 0;">
+        <h4 style="margin: 0 0 8px 0; color: ${EMAIL_TONES.warning.text}; font-size: 14px;">${t.alert}</h4>
+        <ul style="margin: 0; padding-left: 20px; color: ${EMAIL_TONES.warning.text}; font-size: 14px;">
+          ${t.tips.map((tip) => html`<li>${tip}</li>`)}
+        </ul>
+      </div>
+      ${detailsBlock([
+        [t.time, formatEmailDateTime(d.requestedAt || new Date(), t.lang)],
+        [t.email, d.email],
+        [t.account, `${String(d.userId || '').slice(0, 8)}...`],
+        [t.attempts, t.attemptsLeft(d.maxAttempts)]
+      ], t.details)}
+      <p style="text-align: center; color: #4b5563; margin-top: 30px;">${t.instructions}</p>
+      <p style="text-align: center; font-size: 13px;">
+        <a href="${EMAIL_BRAND.siteUrl}/seller/dashboard" style="color: #667eea; text-decoration: none;">${t.dashboard}</a>
+      </p>`,
+    sample: {
+      code: '482913',
+      email: 'seller@example.com',
+      userId: 'u1a2b3c4d5e6',
+      expiresInMinutes: 15,
+      maxAttempts: 3
+    }
+  },
+
+  order_confirmation: {
+    type: 'sales',
+    copy: {
+      en: {
+        subject: (shortId) => `Order Confirmation #${shortId} - MarketMix Kenya`,
+        title: 'Payment Confirmed',
+        footer: 'Receipt generated online',
+        order: 'Order',
+        thanks: 'Thank you for shopping with us',
+        appreciation: 'We appreciate your trust and hope you enjoyed your order.',
+        orderId: 'Order ID',
+        date: 'Date',
+        buyer: 'Buyer',
+        items: 'Items:',
+        noItems: 'No items',
+        itemsTotal: 'Items Total',
+        coupon: 'Coupon Discount',
+        deliveryTotal: 'Delivery Total',
+        totalPaid: 'Total Amount Paid',
+        shipping: 'Shipping Details',
+        fullName: 'Full Name',
+        phone: 'Phone',
+        deliveryPlace: 'Delivery Place',
+        viewReceipt: 'View your full receipt:',
+        receipt: 'Order Receipt',
+        continueShopping: 'Continue Shopping',
+        viewOrders: 'View All Orders'
+      },
+      sw: {
+        subject: (shortId) => `Uthibitisho wa Agizo #${shortId} - MarketMix Kenya`,
+        title: 'Malipo Yamethibitishwa',
+        footer: 'Risiti imetolewa mtandaoni',
+        order: 'Agizo',
+        thanks: 'Asante kwa kununua kutoka kwetu',
+        appreciation: 'Tunashukuru kwa imani yako na tunatumaini umefurahia agizo lako.',
+        orderId: 'Namba ya Agizo',
+        date: 'Tarehe',
+        buyer: 'Mnunuzi',
+        items: 'Bidhaa:',
+        noItems: 'Hakuna bidhaa',
+        itemsTotal: 'Jumla ya Bidhaa',
+        coupon: 'Punguzo la Kuponi',
+        deliveryTotal: 'Jumla ya Usafirishaji',
+        totalPaid: 'Jumla Iliyolipwa',
+        shipping: 'Maelezo ya Usafirishaji',
+        fullName: 'Jina Kamili',
+        phone: 'Simu',
+        deliveryPlace: 'Mahali pa Kupokelea',
+        viewReceipt: 'Tazama risiti yako kamili:',
+        receipt: 'Risiti ya Agizo',
+        continueShopping: 'Endelea Kununua',
+        viewOrders: 'Tazama Maagizo Yote'
+      }
+    },
+    subject: (d, t) => t.subject(d.orderId.substring(0, 8)),
+    title: (d, t) => t.title,
+    footerNote: (d, t) => t.footer,
+    body: ({ orderId, order, userEmail }, t) => {
+      const items = getOrderItems(order);
+      const shipping = order.shippingDetails || {};
+      const itemsTotal = items.reduce((sum, item) => sum + (item.price || 0) * (item.quantity || 1), 0);
+      const deliveryTotal = (order.sellerGroups || []).reduce((sum, group) => sum + (group.deliveryCost || 0), 0);
+      const ksh = (amount) => formatKsh(amount, t.lang);
+      const totalRow = (label, amount, color = '#1f2937') =>
+        html`<p style="text-align: right; margin: 8px 0 0 0; font-size: 14px; color: ${color};">${label}: ${amount < 0 ? '-' : ''}${ksh(Math.abs(amount))}</p>`;
+
+      return html`
+      <div style="text-align: center; margin-bottom: 24px;">
+        <div style="display: inline-block; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 8px 16px; border-radius: 8px; font-weight: bold; font-size: 14px; letter-spacing: 0.5px;">${t.order} #${orderId.substring(0, 8)}</div>
+        <h3 style="color: #1f2937; margin: 16px 0 4px 0; font-size: 18px;">${t.thanks}</h3>
+        <p style="color: #6b7280; margin: 0; font-size: 14px;">${t.appreciation}</p>
+      </div>
+      ${detailsBlock([
+        [t.orderId, orderId],
+        [t.date, formatEmailDateTime(order.orderDate?.toDate?.() || new Date(), t.lang)],
+        [t.buyer, shipping.fullName || userEmail || 'N/A']
+      ])}
+      <div style="background: #f9fafb; border-radius: 12px; padding: 20px; margin: 20px 0; border: 1px solid #e5e7eb;">
+        <p style="margin: 0 0 8px 0; font-weight: 600; color: #374151;">${t.items}</p>
+        <ul style="padding-left: 20px; margin: 0;">
+          ${items.length
+            ? items.map((item) => html`<li style="margin-bottom: 6px; color: #4b5563; font-size: 14px;">${item.name} × ${item.quantity} – <strong>${ksh((item.price || 0) * (item.quantity || 1))}</strong></li>`)
+            : html`<li style="color: #4b5563; font-size: 14px;">${t.noItems}</li>`}
+        </ul>
+        <div style="margin-top: 16px; padding-top: 12px; border-top: 1px dashed #d1d5db;">
+          ${totalRow(t.itemsTotal, itemsTotal)}
+          ${order.couponDiscount > 0 ? totalRow(`${t.coupon}${order.couponCode ? ` (${order.couponCode})` : ''}`, -order.couponDiscount, '#10b981') : ''}
+          ${totalRow(t.deliveryTotal, deliveryTotal, '#4b5563')}
+          <p style="text-align: right; margin: 16px 0 0 0; font-size: 16px; font-weight: 600;">${t.totalPaid}: ${ksh(order.totalAmount)}</p>
+        </div>
+      </div>
+      ${detailsBlock([
+        [t.fullName, shipping.fullName || 'N/A'],
+        [t.phone, shipping.phoneNumber || 'N/A'],
+        [t.deliveryPlace, shipping.deliveryPlace || 'N/A']
+      ], t.shipping)}
+      <p style="text-align: center; color: #6b7280; font-size: 14px;">
+        ${t.viewReceipt} <a href="${EMAIL_BRAND.siteUrl}/order-receipt/${orderId}" style="color: #4f46e5; font-weight: 500;">${t.receipt}</a>
+      </p>
+      <div style="text-align: center; margin-top: 20px;">
+        ${buttonLink(EMAIL_BRAND.siteUrl, t.continueShopping, '#1f2937')}
+        ${buttonLink(`${EMAIL_BRAND.siteUrl}/orders`, t.viewOrders)}
+      </div>`;
+    },
+    sample: {
+      orderId: 'ORD12345678abcdef',
+      userEmail: 'buyer@example.com',
+      order: {
+        items: [
+          { name: 'Scientific Calculator', quantity: 1, price: 1800 },
+          { name: 'A4 Exercise Books <10 pack>', quantity: 2, price: 350 }
+        ],
+        sellerGroups: [{ deliveryCost: 100 }],
+        couponCode: 'BACK2SCHOOL',
+        couponDiscount: 200,
+        totalAmount: 2400,
+        shippingDetails: { fullName: 'Brian Otieno', phoneNumber: '254712345678', deliveryPlace: 'Hall 6, Main Campus' }
+      }
+    }
+  },
+
+  // Renewal reminder, grace period and expiry. `stage` picks the notice.
+  subscription_notice: {
+    type: 'sales',
+    copy: {
+      en: {
+        title: 'Subscription Update',
+        greeting: 'Hello Seller,',
+        plan: 'Plan',
+        expiry: 'Expiry Date',
+        stages: {
+          reminder: {
+            subject: (s) => `Your ${s.planName} Subscription Expires in ${s.daysLeft} Day${s.daysLeft === 1 ? '' : 's'}`,
+            intro: 'Your seller subscription is coming up for renewal.',
+            statusLabel: 'RENEWAL DUE',
+            message: (s, date) => `Renew before ${date(s.expiresAt)} to keep your plan benefits without interruption. Renewing early adds the new period on top of your remaining time.`
+          },
+          grace: {
+            subject: (s) => `Your ${s.planName} Subscription Has Expired - Renew Within ${s.graceDays} Days`,
+            intro: 'Your seller subscription has reached its expiry date.',
+            statusLabel: 'GRACE PERIOD',
+            message: (s, date) => `Your plan benefits stay on until ${date(s.graceEndsAt)}. Renew before then to avoid being moved to the free plan.`
+          },
+          expired: {
+            subject: (s) => `Your ${s.planName} Subscription Has Ended`,
+            intro: 'Your seller subscription grace period has ended.',
+            statusLabel: 'EXPIRED',
+            message: () => 'Your shop has been moved to the free plan. You can renew at any time from your seller dashboard to restore your plan benefits.'
+          }
+        }
+      },
+      sw: {
+        title: 'Taarifa ya Usajili',
+        greeting: 'Habari Muuzaji,',
+        plan: 'Mpango',
+        expiry: 'Tarehe ya Kuisha',
+        stages: {
+          reminder: {
+            subject: (s) => `Usajili Wako wa ${s.planName} Unaisha Baada ya Siku ${s.daysLeft}`,
+            intro: 'Usajili wako wa muuzaji unakaribia kuhitaji kusasishwa.',
+            statusLabel: 'SASISHA USAJILI',
+            message: (s, date) => `Sasisha kabla ya ${date(s.expiresAt)} ili manufaa ya mpango wako yaendelee bila kukatizwa. Ukisasisha mapema, kipindi kipya kinaongezwa juu ya muda uliobaki.`
+          },
+          grace: {
+            subject: (s) => `Usajili Wako wa ${s.planName} Umeisha - Sasisha Ndani ya Siku ${s.graceDays}`,
+            intro: 'Usajili wako wa muuzaji umefika tarehe yake ya kuisha.',
+            statusLabel: 'MUDA WA ZIADA',
+            message: (s, date) => `Manufaa ya mpango wako yataendelea hadi ${date(s.graceEndsAt)}. Sasisha kabla ya hapo ili usihamishiwe kwenye mpango wa bure.`
+          },
+          expired: {
+            subject: (s) => `Usajili Wako wa ${s.planName} Umekwisha`,
+            intro: 'Muda wa ziada wa usajili wako wa muuzaji umekwisha.',
+            statusLabel: 'UMEKWISHA',
+            message: () => 'Duka lako limehamishiwa kwenye mpango wa bure. Unaweza kusasisha wakati wowote kwenye dashibodi yako ya muuzaji ili kurejesha manufaa ya mpango wako.'
+          }
+        }
+      }
+    },
+    subject: (s, t) => t.stages[s.stage].subject(s),
+    title: (s, t) => t.title,
+    body: (s, t) => {
+      const notice = t.stages[s.stage];
+      const date = (value) => formatEmailDate(value, t.lang);
+      return html`
+      ${greetingBlock(t.greeting, notice.intro)}
+      ${statusBlock({ tone: SUBSCRIPTION_NOTICE_TONES[s.stage], label: notice.statusLabel, message: notice.message(s, date) })}
+      ${detailsBlock([
+        [t.plan, s.planName],
+        [t.expiry, date(s.expiresAt)]
+      ])}`;
+    },
+    sample: {
+      stage: 'reminder',
+      planName: 'Pro',
+      expiresAt: new Date(Date.UTC(2026, 0, 31, 9)),
+      daysLeft: 3
+    }
+  },
+
+  // Withdrawal review stages and failed payouts. `stage` picks the notice.
+  withdrawal_notice: {
+    type: 'sales',
+    copy: {
+      en: {
+        title: 'Withdrawal Update',
+        greeting: 'Hello Seller,',
+        withdrawalId: 'Withdrawal ID',
+        amount: 'Amount',
+        fee: 'Fee',
+        phone: 'M-Pesa Number',
+        reason: 'Reason',
+        notSpecified: 'Not specified',
+        payoutFailed: 'Payout failed',
+        stages: {
+          payout_failed: {
+            subject: (w, ksh) => `Withdrawal Failed - ${ksh(w.amount)} Returned to Your Balance`,
+            intro: 'Your recent withdrawal could not be completed by M-Pesa.',
+            statusLabel: 'PAYOUT FAILED',
+            message: (w, ksh) => `The full ${ksh(w.amount)} has been returned to your available balance. You can request a new withdrawal at any time.`
+          },
+          submitted: {
+            subject: (w, ksh) => `Withdrawal Under Review - ${ksh(w.amount)}`,
+            intro: 'We have received your withdrawal request.',
+            statusLabel: 'UNDER REVIEW',
+            message: () => 'For your security, this withdrawal needs a quick review by our team before it is paid out. The amount is held and will not leave your account until then.'
+          },
+          approved: {
+            subject: (w, ksh) => `Withdrawal Approved - ${ksh(w.netPayout)} on the Way`,
+            intro: 'Your withdrawal has been reviewed and approved.',
+            statusLabel: 'APPROVED',
+            message: (w, ksh) => `${ksh(w.netPayout)} is being sent to your M-Pesa number. You will receive an M-Pesa message once it arrives.`
+          },
+          rejected: {
+            subject: (w, ksh) => `Withdrawal Declined - ${ksh(w.amount)} Returned to Your Balance`,
+            intro: 'Your withdrawal has been reviewed and could not be approved.',
+            statusLabel: 'DECLINED',
+            message: (w, ksh) => `The full ${ksh(w.amount)} has been returned to your available balance. Contact support if you have any questions.`
+          }
+        }
+      },
+      sw: {
+        title: 'Taarifa ya Kutoa Pesa',
+        greeting: 'Habari Muuzaji,',
+        withdrawalId: 'Nambari ya Utoaji',
+        amount: 'Kiasi',
+        fee: 'Ada',
+        phone: 'Nambari ya M-Pesa',
+        reason: 'Sababu',
+        notSpecified: 'Haijaelezwa',
+        payoutFailed: 'Malipo hayakufaulu',
+        stages: {
+          payout_failed: {
+            subject: (w, ksh) => `Utoaji Umeshindikana - ${ksh(w.amount)} Zimerudishwa kwenye Salio Lako`,
+            intro: 'Utoaji wako wa hivi karibuni haukuweza kukamilishwa na M-Pesa.',
+            statusLabel: 'MALIPO YAMESHINDIKANA',
+            message: (w, ksh) => `Kiasi chote cha ${ksh(w.amount)} kimerudishwa kwenye salio lako. Unaweza kuomba kutoa pesa tena wakati wowote.`
+          },
+          submitted: {
+            subject: (w, ksh) => `Utoaji Unakaguliwa - ${ksh(w.amount)}`,
+            intro: 'Tumepokea ombi lako la kutoa pesa.',
+            statusLabel: 'INAKAGULIWA',
+            message: () => 'Kwa usalama wako, utoaji huu unahitaji kukaguliwa kwa haraka na timu yetu kabla ya kulipwa. Kiasi hiki kimezuiliwa na hakitatoka kwenye akaunti yako hadi wakati huo.'
+          },
+          approved: {
+            subject: (w, ksh) => `Utoaji Umeidhinishwa - ${ksh(w.netPayout)} Ziko Njiani`,
+            intro: 'Utoaji wako umekaguliwa na kuidhinishwa.',
+            statusLabel: 'UMEIDHINISHWA',
+            message: (w, ksh) => `${ksh(w.netPayout)} zinatumwa kwa nambari yako ya M-Pesa. Utapokea ujumbe wa M-Pesa zikifika.`
+          },
+          rejected: {
+            subject: (w, ksh) => `Utoaji Umekataliwa - ${ksh(w.amount)} Zimerudishwa kwenye Salio Lako`,
+            intro: 'Utoaji wako umekaguliwa na haukuweza kuidhinishwa.',
+            statusLabel: 'UMEKATALIWA',
+            message: (w, ksh) => `Kiasi chote cha ${ksh(w.amount)} kimerudishwa kwenye salio lako. Wasiliana nasi ikiwa una maswali yoyote.`
+          }
+        }
+      }
+    },
+    subject: (w, t) => t.stages[w.stage].subject(w, (amount) => formatKsh(amount, t.lang)),
+    title: (w, t) => t.title,
+    body: (w, t) => {
+      const notice = t.stages[w.stage];
+      const ksh = (amount) => formatKsh(amount, t.lang);
+      const details = [
+        [t.withdrawalId, w.withdrawalId.substring(0, 8)],
+        [t.amount, ksh(w.amount)],
+        ...(w.stage === 'payout_failed' ? [] : [[t.fee, ksh(w.feeAmount)]]),
+        [t.phone, w.phoneNumber || 'N/A']
+      ];
+      if (w.stage === 'payout_failed') details.push([t.reason, w.failureReason || t.payoutFailed]);
+      if (w.stage === 'rejected') details.push([t.reason, w.rejectionReason || t.notSpecified]);
+      return noticeBody({
+        greeting: t.greeting,
+        intro: notice.intro,
+        tone: WITHDRAWAL_NOTICE_TONES[w.stage],
+        statusLabel: notice.statusLabel,
+        message: notice.message(w, ksh),
+        details
+      });
+    },
+    sample: {
+      stage: 'payout_failed',
+      withdrawalId: 'a1b2c3d4e5f6',
+      amount: 1500,
+      phoneNumber: '254712345678',
+      failureReason: 'Recipient number not registered for M-Pesa'
+    }
+  },
+
+  // Buyer refunds after a cancellation. `stage` picks the notice.
+  refund_notice: {
+    type: 'sales',
+    copy: {
+      en: {
+        title: 'Refund Update',
+        greeting: 'Hello,',
+        orderId: 'Order ID',
+        refundId: 'Refund ID',
+        amount: 'Amount',
+        items: 'Items',
+        reason: 'Reason',
+        deliveryCharges: 'Delivery charges',
+        orderCancelled: 'Order cancelled',
+        stages: {
+          initiated: {
+            subject: (r, ksh) => `Refund Started - ${ksh(r.amount)} for Order #${r.orderId.substring(0, 8)}`,
+            intro: 'Your cancellation has been received and a refund is on its way.',
+            statusLabel: 'REFUND PROCESSING',
+            message: (r, ksh) => r.method === 'b2c'
+              ? `${ksh(r.amount)} will be sent to your M-Pesa number shortly.`
+              : `${ksh(r.amount)} will be reversed to the M-Pesa number you paid with. This can take a few days.`
+          },
+          completed: {
+            subject: (r, ksh) => `Refund Completed - ${ksh(r.amount)}`,
+            intro: 'Your refund has been paid out.',
+            statusLabel: 'REFUNDED',
+            message: (r, ksh) => `${ksh(r.amount)} has been refunded to your M-Pesa account.`
+          }
+        }
+      },
+      sw: {
+        title: 'Taarifa ya Marejesho',
+        greeting: 'Habari,',
+        orderId: 'Nambari ya Agizo',
+        refundId: 'Nambari ya Marejesho',
+        amount: 'Kiasi',
+        items: 'Bidhaa',
+        reason: 'Sababu',
+        deliveryCharges: 'Gharama za usafirishaji',
+        orderCancelled: 'Agizo limeghairiwa',
+        stages: {
+          initiated: {
+            subject: (r, ksh) => `Marejesho Yameanza - ${ksh(r.amount)} kwa Agizo #${r.orderId.substring(0, 8)}`,
+            intro: 'Tumepokea ombi lako la kughairi na pesa zako zinarejeshwa.',
+            statusLabel: 'MAREJESHO YANASHUGHULIKIWA',
+            message: (r, ksh) => r.method === 'b2c'
+              ? `${ksh(r.amount)} zitatumwa kwa nambari yako ya M-Pesa hivi karibuni.`
+              : `${ksh(r.amount)} zitarudishwa kwa nambari ya M-Pesa uliyolipa nayo. Hii inaweza kuchukua siku chache.`
+          },
+          completed: {
+            subject: (r, ksh) => `Marejesho Yamekamilika - ${ksh(r.amount)}`,
+            intro: 'Pesa zako zimerejeshwa.',
+            statusLabel: 'IMEREJESHWA',
+            message: (r, ksh) => `${ksh(r.amount)} zimerejeshwa kwenye akaunti yako ya M-Pesa.`
+          }
+        }
+      }
+    },
+    subject: (r, t) => t.stages[r.stage].subject(r, (amount) => formatKsh(amount, t.lang)),
+    title: (r, t) => t.title,
+    body: (r, t) => {
+      const notice = t.stages[r.stage];
+      const ksh = (amount) => formatKsh(amount, t.lang);
+      return noticeBody({
+        greeting: t.greeting,
+        intro: notice.intro,
+        tone: REFUND_NOTICE_TONES[r.stage],
+        statusLabel: notice.statusLabel,
+        message: notice.message(r, ksh),
+        details: [
+          [t.orderId, `#${r.orderId.substring(0, 8)}`],
+          [t.refundId, r.refundId.substring(0, 8)],
+          [t.amount, ksh(r.amount)],
+          [t.items, formatNoticeItems(r.items) || t.deliveryCharges],
+          [t.reason, r.reason || t.orderCancelled]
+        ]
+      });
+    },
+    sample: {
+      stage: 'initiated',
+      refundId: 'r1f2u3n4d5',
+      orderId: 'ORD12345678abcdef',
+      amount: 1200,
+      method: 'b2c',
+      items: [{ name: 'A4 Exercise Books', quantity: 2 }],
+      reason: 'Changed my mind'
+    }
+  },
+
+  // Tells a seller that revenue was taken back for a buyer refund
+  seller_refund_notice: {
+    type: 'sales',
+    copy: {
+      en: {
+        subject: (r, ksh) => `Order #${r.orderId.substring(0, 8)} Refunded - ${ksh(r.amount)}`,
+        title: 'Order Refund',
+        greeting: 'Hello Seller,',
+        intro: 'A buyer has been refunded for items from your shop.',
+        statusLabel: 'REVENUE REVERSED',
+        message: (r, ksh) => `${ksh(r.amount)} has been deducted from your earnings. Refunded items have been returned to your stock.`,
+        orderId: 'Order ID',
+        items: 'Items',
+        reason: 'Reason',
+        deliveryCharges: 'Delivery charges',
+        orderCancelled: 'Order cancelled'
+      },
+      sw: {
+        subject: (r, ksh) => `Agizo #${r.orderId.substring(0, 8)} Limerejeshewa Pesa - ${ksh(r.amount)}`,
+        title: 'Marejesho ya Agizo',
+        greeting: 'Habari Muuzaji,',
+        intro: 'Mnunuzi amerejeshewa pesa za bidhaa kutoka dukani kwako.',
+        statusLabel: 'MAPATO YAMEREJESHWA',
+        message: (r, ksh) => `${ksh(r.amount)} zimetolewa kwenye mapato yako. Bidhaa zilizorejeshewa pesa zimerudishwa kwenye hisa yako.`,
+        orderId: 'Nambari ya Agizo',
+        items: 'Bidhaa',
+        reason: 'Sababu',
+        deliveryCharges: 'Gharama za usafirishaji',
+        orderCancelled: 'Agizo limeghairiwa'
+      }
+    },
+    subject: (r, t) => t.subject(r, (amount) => formatKsh(amount, t.lang)),
+    title: (r, t) => t.title,
+    body: (r, t) => noticeBody({
+      greeting: t.greeting,
+      intro: t.intro,
+      tone: 'warning',
+      statusLabel: t.statusLabel,
+      message: t.message(r, (amount) => formatKsh(amount, t.lang)),
+      details: [
+        [t.orderId, `#${r.orderId.substring(0, 8)}`],
+        [t.items, formatNoticeItems(r.items) || t.deliveryCharges],
+        [t.reason, r.reason || t.orderCancelled]
+      ]
+    }),
+    sample: {
+      orderId: 'ORD12345678abcdef',
+      amount: 1000,
+      items: [{ name: 'A4 Exercise Books', quantity: 2 }],
+      reason: 'Changed my mind'
+    }
+  },
+
+  // One seller group of a buyer's order changing status. `stage` is the
+  // new fulfilment status.
+  order_status_notice: {
+    type: 'sales',
+    copy: {
+      en: {
+        title: 'Order Update',
+        greeting: (name) => (name ? `Hello ${name},` : 'Hello there,'),
+        orderId: 'Order ID',
+        seller: 'Seller',
+        defaultSeller: 'MarketMix seller',
+        items: 'Items',
+        note: 'Note',
+        stages: {
+          accepted: {
+            subject: (id) => `Order #${id} Accepted`,
+            intro: 'Good news - the seller has accepted your order.',
+            statusLabel: 'ORDER ACCEPTED',
+            message: () => 'Your items are being prepared for dispatch.'
+          },
+          dispatched: {
+            subject: (id) => `Order #${id} Is On Its Way`,
+            intro: 'Your order has been dispatched.',
+            statusLabel: 'DISPATCHED',
+            message: () => 'Please confirm delivery in the app once you receive your items.'
+          },
+          delivered: {
+            subject: (id) => `Order #${id} Delivered`,
+            intro: 'Thank you for confirming delivery.',
+            statusLabel: 'DELIVERED',
+            message: () => 'We hope you enjoy your purchase. Thank you for shopping with MarketMix Kenya!'
+          },
+          cancelled: {
+            subject: (id) => `Order #${id} Cancelled by the Seller`,
+            intro: 'Unfortunately the seller could not fulfil part of your order.',
+            statusLabel: 'CANCELLED',
+            message: (o, ksh) => o.refundAmount
+              ? `A refund of ${ksh(o.refundAmount)} is on its way to your M-Pesa account.`
+              : 'Any payment for these items will be refunded to you.'
+          }
+        }
+      },
+      sw: {
+        title: 'Taarifa ya Agizo',
+        greeting: (name) => (name ? `Habari ${name},` : 'Habari,'),
+        orderId: 'Nambari ya Agizo',
+        seller: 'Muuzaji',
+        defaultSeller: 'Muuzaji wa MarketMix',
+        items: 'Bidhaa',
+        note: 'Maelezo',
+        stages: {
+          accepted: {
+            subject: (id) => `Agizo #${id} Limekubaliwa`,
+            intro: 'Habari njema - muuzaji amekubali agizo lako.',
+            statusLabel: 'AGIZO LIMEKUBALIWA',
+            message: () => 'Bidhaa zako zinaandaliwa ili zitumwe.'
+          },
+          dispatched: {
+            subject: (id) => `Agizo #${id} Liko Njiani`,
+            intro: 'Agizo lako limetumwa.',
+            statusLabel: 'LIMETUMWA',
+            message: () => 'Tafadhali thibitisha kwenye programu mara tu utakapopokea bidhaa zako.'
+          },
+          delivered: {
+            subject: (id) => `Agizo #${id} Limefika`,
+            intro: 'Asante kwa kuthibitisha kupokea agizo lako.',
+            statusLabel: 'LIMEFIKA',
+            message: () => 'Tunatumaini utafurahia ununuzi wako. Asante kwa kununua kupitia MarketMix Kenya!'
+          },
+          cancelled: {
+            subject: (id) => `Agizo #${id} Limeghairiwa na Muuzaji`,
+            intro: 'Kwa bahati mbaya muuzaji hakuweza kukamilisha sehemu ya agizo lako.',
+            statusLabel: 'LIMEGHAIRIWA',
+            message: (o, ksh) => o.refundAmount
+              ? `Marejesho ya ${ksh(o.refundAmount)} yako njiani kwenda kwenye akaunti yako ya M-Pesa.`
+              : 'Malipo yoyote ya bidhaa hizi yatarejeshwa kwako.'
+          }
+        }
+      }
+    },
+    subject: (o, t) => t.stages[o.stage].subject(o.orderId.substring(0, 8)),
+    title: (o, t) => t.title,
+    body: (o, t) => {
+      const notice = t.stages[o.stage];
+      const details = [
+        [t.orderId, `#${o.orderId.substring(0, 8)}`],
+        [t.seller, o.sellerName || t.defaultSeller],
+        [t.items, formatNoticeItems(o.items) || 'N/A']
+      ];
+      if (o.note) details.push([t.note, o.note]);
+      return noticeBody({
+        greeting: t.greeting(o.customerName),
+        intro: notice.intro,
+        tone: FULFILMENT_NOTICE_TONES[o.stage],
+        statusLabel: notice.statusLabel,
+        message: notice.message(o, (amount) => formatKsh(amount, t.lang)),
+        details
+      });
+    },
+    sample: {
+      stage: 'dispatched',
+      orderId: 'ORD12345678abcdef',
+      customerName: 'Brian Otieno',
+      sellerName: 'Campus Books',
+      items: [{ name: 'A4 Exercise Books', quantity: 2 }],
+      note: 'Rider will call on arrival'
+    }
+  },
+
+  // Low ad wallet balance and ad wallet refunds. `stage` picks the notice.
+  ad_wallet_notice: {
+    type: 'sales',
+    copy: {
+      en: {
+        title: 'Ad Wallet Update',
+        greeting: 'Hello Seller,',
+        balance: 'Wallet Balance',
+        alertBelow: 'Alert Below',
+        refundId: 'Refund ID',
+        amount: 'Amount',
+        fee: 'Fee',
+        phone: 'M-Pesa Number',
+        reason: 'Reason',
+        payoutFailed: 'Payout failed',
+        stages: {
+          low_balance: {
+            subject: (w, ksh) => `Ad Wallet Running Low - ${ksh(w.balance)} Left`,
+            intro: 'Your ad wallet has dropped below the alert level you set.',
+            statusLabel: 'LOW BALANCE',
+            message: () => 'Campaigns pause automatically when the wallet runs out. Top up your ad wallet to keep them running.'
+          },
+          refund_completed: {
+            subject: (w, ksh) => `Ad Wallet Refund Sent - ${ksh(w.netPayout)}`,
+            intro: 'Your ad wallet refund has been paid out.',
+            statusLabel: 'REFUNDED',
+            message: (w, ksh) => `${ksh(w.netPayout)} has been sent to your M-Pesa number.`
+          },
+          refund_failed: {
+            subject: (w, ksh) => `Ad Wallet Refund Failed - ${ksh(w.amount)} Returned to Your Wallet`,
+            intro: 'Your ad wallet refund could not be completed by M-Pesa.',
+            statusLabel: 'REFUND FAILED',
+            message: (w, ksh) => `The full ${ksh(w.amount)} is back in your ad wallet. You can request a new refund at any time.`
+          }
+        }
+      },
+      sw: {
+        title: 'Taarifa ya Pochi ya Matangazo',
+        greeting: 'Habari Muuzaji,',
+        balance: 'Salio la Pochi',
+        alertBelow: 'Arifa Chini ya',
+        refundId: 'Nambari ya Marejesho',
+        amount: 'Kiasi',
+        fee: 'Ada',
+        phone: 'Nambari ya M-Pesa',
+        reason: 'Sababu',
+        payoutFailed: 'Malipo hayakufaulu',
+        stages: {
+          low_balance: {
+            subject: (w, ksh) => `Salio la Pochi ya Matangazo Liko Chini - Zimebaki ${ksh(w.balance)}`,
+            intro: 'Salio la pochi yako ya matangazo limeshuka chini ya kiwango cha arifa ulichoweka.',
+            statusLabel: 'SALIO LIKO CHINI',
+            message: () => 'Kampeni husimama zenyewe pochi ikiisha. Ongeza pesa kwenye pochi yako ya matangazo ili ziendelee.'
+          },
+          refund_completed: {
+            subject: (w, ksh) => `Marejesho ya Pochi ya Matangazo Yametumwa - ${ksh(w.netPayout)}`,
+            intro: 'Marejesho ya pochi yako ya matangazo yamelipwa.',
+            statusLabel: 'IMEREJESHWA',
+            message: (w, ksh) => `${ksh(w.netPayout)} zimetumwa kwa nambari yako ya M-Pesa.`
+          },
+          refund_failed: {
+            subject: (w, ksh) => `Marejesho ya Pochi ya Matangazo Yameshindikana - ${ksh(w.amount)} Zimerudishwa kwenye Pochi`,
+            intro: 'Marejesho ya pochi yako ya matangazo hayakuweza kukamilishwa na M-Pesa.',
+            statusLabel: 'MAREJESHO YAMESHINDIKANA',
+            message: (w, ksh) => `Kiasi chote cha ${ksh(w.amount)} kimerudi kwenye pochi yako ya matangazo. Unaweza kuomba marejesho mapya wakati wowote.`
+          }
+        }
+      }
+    },
+    subject: (w, t) => t.stages[w.stage].subject(w, (amount) => formatKsh(amount, t.lang)),
+    title: (w, t) => t.title,
+    body: (w, t) => {
+      const notice = t.stages[w.stage];
+      const ksh = (amount) => formatKsh(amount, t.lang);
+      const details = w.stage === 'low_balance'
+        ? [
+            [t.balance, ksh(w.balance)],
+            [t.alertBelow, ksh(w.threshold)]
+          ]
+        : [
+            [t.refundId, w.refundId.substring(0, 8)],
+            [t.amount, ksh(w.amount)],
+            [t.fee, ksh(w.feeAmount)],
+            [t.phone, w.phoneNumber || 'N/A']
+          ];
+      if (w.stage === 'refund_failed') details.push([t.reason, w.failureReason || t.payoutFailed]);
+      return noticeBody({
+        greeting: t.greeting,
+        intro: notice.intro,
+        tone: AD_WALLET_NOTICE_TONES[w.stage],
+        statusLabel: notice.statusLabel,
+        message: notice.message(w, ksh),
+        details
+      });
+    },
+    sample: {
+      stage: 'low_balance',
+      balance: 180,
+      threshold: 200
+    }
+  }
+};
+
+// Returns { subject, html, type, language } for template `name` in the
+// given language (falling back to English), or throws for an unknown template
+const renderEmailTemplate = (name, data, language) => {
+  if (!Object.hasOwn(EMAIL_TEMPLATES, name)) throw new Error(`Unknown email template: ${name}`);
+  const template = EMAIL_TEMPLATES[name];
+  const lang = resolveEmailLanguage(language);
+  const t = { ...template.copy.en, ...template.copy[lang], lang };
+
+  return {
+    type: template.type,
+    sensitive: !!template.sensitive,
+    language: lang,
+    subject: template.subject(data, t),
+    html: renderEmailLayout({
+      language: lang,
+      title: template.title(data, t),
+      body: template.body(data, t),
+      footerNote: template.footerNote ? template.footerNote(data, t) : null
+    }).toString()
+  };
+};
+
+const sendTemplateEmail = async (to, name, data, language) => {
+  const { subject, html: emailHtml, type, sensitive } = renderEmailTemplate(name, data, language);
+  return sendEmail(to, subject, emailHtml, type, { sensitive });
+};
+// ============================
+// Proposal Status Email Function
+// ============================
+const sendProposalStatusEmail = async (emailData) => {
+  try {
+    console.log(`📧 Sending proposal status email to: ${emailData.to}`);
+    console.log(`📧 Proposal ID: ${emailData.proposalId}`);
+    console.log(`📧 Status: ${emailData.status}`);
+    
+    if (!isEmailConfigured()) {
+      console.log('❌ No email transport configured - skipping email');
+      return false;
+    }
+    
+    // An explicit `language` wins over the student's saved preference
+    const language = emailData.language || await getPreferredLanguage({ email: emailData.to });
+    const rendered = renderEmailTemplate('proposal_status', emailData, language);
+    const emailSent = await sendEmail(
+      emailData.to,
+      emailData.subject || rendered.subject,
+      emailData.html || rendered.html,
+      rendered.type
+    );
+
+    if (emailSent) {
+      try {
+        await db.collection('proposalStatusEmails').add({
+          proposalId: emailData.proposalId,
+          studentEmail: emailData.to,
+          studentName: emailData.studentName,
+          status: emailData.status,
+          notes: emailData.notes || '',
+          amount: emailData.amount || 0,
+          institution: emailData.institution || '',
+          language: rendered.language,
+          sentAt: admin.firestore.FieldValue.serverTimestamp(),
+          sender: 'MarketMixKenya <sales@marketmix.site>',
+          authenticated: true,
+          dmarc: 'configured',
+          dkim: 'signed'
+        });
+        
+        console.log(`✅ Proposal status email logged for ${emailData.proposalId}`);
+      } catch (logErr) {
+        console.error('Failed to log proposal status email:', logErr);
+      }
+    }
+    
+    return emailSent;
+    
+  } catch (error) {
+    console.error('❌ Proposal status email failed:', error.message);
+    return false;
+  }
+};
+
+// ============================
+// PIN Recovery System (Replacement Codes)
+// ============================
+
+const generateReplacementCode = () => {
+  return Math.floor(100000 + Math.random() * 900000).toString();
+};
+
+const storeReplacementCode = async (userId, email, code) => {
+  try {
+    const expiryTime = new Date();
+    expiryTime.setMinutes(expiryTime.getMinutes() + 15);
+    
+    await db.collection('pinRecoveryCodes').doc(userId).set({
+      code,
+      email,
+      userId,
+      expiresAt: expiryTime,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      attempts: 0,
+      maxAttempts: 3,
+      used: false,
+      status: 'pending'
+    });
     
     return true;
   } catch (error) {
@@ -441,6 +1968,144 @@ const markCodeAsUsed = async (userId) => {
   }
 };
 
+// ============================
+// Withdrawal PIN Security
+// ============================
+// PINs are stored as `scrypt$<salt>$<hash>`. Legacy plaintext PINs are
+// re-hashed the first time they are verified successfully.
+
+const PIN_HASH_PREFIX = 'scrypt';
+const PIN_KEY_LENGTH = 64;
+const MAX_PIN_ATTEMPTS = Number(process.env.MAX_PIN_ATTEMPTS) || 5;
+const PIN_LOCKOUT_MINUTES = Number(process.env.PIN_LOCKOUT_MINUTES) || 30;
+
+const scryptAsync = (value, salt) => new Promise((resolve, reject) => {
+  crypto.scrypt(value, salt, PIN_KEY_LENGTH, (err, key) => (err ? reject(err) : resolve(key)));
+});
+
+const hashPin = async (pin) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const key = await scryptAsync(String(pin), salt);
+  return `${PIN_HASH_PREFIX}$${salt}$${key.toString('hex')}`;
+};
+
+const isHashedPin = (storedPin) =>
+  typeof storedPin === 'string' && storedPin.startsWith(`${PIN_HASH_PREFIX}$`);
+
+const timingSafeStringEqual = (a, b) => {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+};
+
+const pinMatches = async (pin, storedPin) => {
+  if (!storedPin) return false;
+  if (!isHashedPin(storedPin)) return timingSafeStringEqual(pin, storedPin);
+
+  const [, salt, hash] = storedPin.split('$');
+  const key = await scryptAsync(String(pin), salt);
+  const expected = Buffer.from(hash, 'hex');
+  return expected.length === key.length && crypto.timingSafeEqual(key, expected);
+};
+
+const logPinEvent = (userId, action, req, extra = {}) =>
+  db.collection('securityLogs').add({
+    userId,
+    action,
+    ...extra,
+    timestamp: admin.firestore.FieldValue.serverTimestamp(),
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent')
+  }).catch((err) => console.error('Failed to write security log:', err));
+
+const recordFailedPinAttempt = async (userRef) => {
+  return db.runTransaction(async (t) => {
+    const snap = await t.get(userRef);
+    const data = snap.data() || {};
+    const lockExpired = data.pinLockedUntil && data.pinLockedUntil.toDate() <= new Date();
+    const attempts = (lockExpired ? 0 : data.pinFailedAttempts || 0) + 1;
+
+    const update = { pinFailedAttempts: attempts, pinLastFailedAt: admin.firestore.FieldValue.serverTimestamp() };
+    let lockedUntil = null;
+    if (attempts >= MAX_PIN_ATTEMPTS) {
+      lockedUntil = new Date(Date.now() + PIN_LOCKOUT_MINUTES * 60 * 1000);
+      update.pinLockedUntil = lockedUntil;
+    } else if (lockExpired) {
+      update.pinLockedUntil = null;
+    }
+
+    t.update(userRef, update);
+    return { attempts, lockedUntil };
+  });
+};
+
+const verifyWithdrawalPin = async (userId, pin, req) => {
+  const userRef = db.collection('users').doc(userId);
+  const userDoc = await userRef.get();
+
+  if (!userDoc.exists) {
+    return { valid: false, status: 404, message: 'User not found' };
+  }
+
+  const userData = userDoc.data();
+
+  if (!userData.withdrawalPin) {
+    return { valid: false, status: 400, message: 'Set a withdrawal PIN before withdrawing' };
+  }
+
+  const lockedUntil = userData.pinLockedUntil?.toDate();
+  if (lockedUntil && lockedUntil > new Date()) {
+    await logPinEvent(userId, 'WITHDRAWAL_PIN_LOCKED_ATTEMPT', req, { lockedUntil });
+    const minutesLeft = Math.ceil((lockedUntil - Date.now()) / 60000);
+    return {
+      valid: false,
+      status: 423,
+      message: `Withdrawal PIN locked after too many wrong attempts. Try again in ${minutesLeft} minute(s) or reset your PIN.`
+    };
+  }
+
+  if (!(await pinMatches(pin, userData.withdrawalPin))) {
+    const { attempts, lockedUntil: newLock } = await recordFailedPinAttempt(userRef);
+
+    if (newLock) {
+      await logPinEvent(userId, 'WITHDRAWAL_PIN_LOCKED', req, { attempts, lockedUntil: newLock });
+      return {
+        valid: false,
+        status: 423,
+        message: `Too many wrong attempts. Withdrawals are locked for ${PIN_LOCKOUT_MINUTES} minutes.`
+      };
+    }
+
+    const remainingAttempts = MAX_PIN_ATTEMPTS - attempts;
+    await logPinEvent(userId, 'WITHDRAWAL_PIN_FAILED', req, { attempts, remainingAttempts });
+    return {
+      valid: false,
+      status: 401,
+      message: `Incorrect PIN. ${remainingAttempts} attempts remaining`
+    };
+  }
+
+  const update = {};
+  if (userData.pinFailedAttempts || userData.pinLockedUntil) {
+    update.pinFailedAttempts = 0;
+    update.pinLockedUntil = null;
+  }
+  if (!isHashedPin(userData.withdrawalPin)) {
+    update.withdrawalPin = await hashPin(pin);
+    update.pinHashedAt = admin.firestore.FieldValue.serverTimestamp();
+  }
+
+  if (Object.keys(update).length) {
+    await userRef.update(update);
+    if (update.withdrawalPin) {
+      await logPinEvent(userId, 'WITHDRAWAL_PIN_MIGRATED', req);
+      console.log(`🔐 Migrated plaintext withdrawal PIN to hash for ${userId}`);
+    }
+  }
+
+  return { valid: true, userData };
+};
+
 // ============================
 // Order Confirmation Email System
 // ============================
@@ -449,424 +2114,2380 @@ const sendOrderConfirmationEmail = async (orderData, userEmail, orderId) => {
   try {
     console.log('📧 Sending order confirmation to:', userEmail);
     
-    if (!BREVO_API_KEY) {
-      console.log('❌ BREVO_API_KEY not configured - skipping email');
+    if (!isEmailConfigured()) {
+      console.log('❌ No email transport configured - skipping email');
       return false;
     }
     
-    const orderDate = orderData.orderDate?.toDate() || new Date();
-    const formattedDate = orderDate.toLocaleString('en-KE', {
-      timeZone: 'Africa/Nairobi',
-      month: 'short',
-      day: 'numeric',
-      year: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit'
-    });
-    
-    const itemsTotal = orderData.items?.reduce((sum, item) => 
-      sum + ((item.price || 0) * (item.quantity || 1)), 0) || 0;
-    
-    const deliveryTotal = orderData.sellerGroups?.reduce((sum, group) => 
-      sum + (group.deliveryCost || 0), 0) || 0;
-    
-    const emailHtml = `
-<!DOCTYPE html>
-<html>
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <style>
-    body { 
-      font-family: 'Georgia', 'Times New Roman', serif;
-      line-height: 1.6; 
-      color: #1f2937; 
-      margin: 0; 
-      padding: 0; 
-      background: linear-gradient(to bottom right, #f9fafb, #f3f4f6);
-      display: flex;
-      justify-content: center;
-      align-items: center;
-      min-height: 100vh;
-    }
-    .container { 
-      max-width: 480px; 
-      width: 100%;
-      margin: 20px auto; 
-      background: white; 
-      border-radius: 20px; 
-      overflow: hidden; 
-      box-shadow: 0 10px 30px rgba(0,0,0,0.08); 
-      position: relative;
-      border: 1px solid #e5e7eb;
-      padding-bottom: 64px;
-    }
-    .watermark {
-      position: absolute;
-      inset: 0;
-      display: flex;
-      align-items: center;
-      justify-content: center;
-      pointer-events: none;
-      z-index: 0;
-      opacity: 0.05;
-    }
-    .watermark img {
-      width: 100%;
-      height: 100%;
-      object-fit: cover;
-    }
-    .logo-container {
-      display: flex;
-      justify-content: center;
-      margin-bottom: 24px;
-      margin-top: 24px;
-      position: relative;
-      z-index: 10;
-    }
-    .logo {
-      height: 64px;
-    }
-    .header {
-      text-align: center;
-      position: relative;
-      z-index: 10;
-      padding: 0 24px;
-    }
-    .title {
-      font-weight: bold;
-      font-size: 18px;
-      margin-bottom: 4px;
-      color: #1f2937;
-    }
-    .subtitle {
-      color: #6b7280;
-      font-size: 14px;
-      margin-bottom: 24px;
-    }
-    .content-box {
-      background: #f9fafb;
-      border-radius: 12px;
-      padding: 20px;
-      margin: 0 24px 24px;
-      border: 1px solid #e5e7eb;
-      position: relative;
-      z-index: 10;
-    }
-    .order-info {
-      margin-bottom: 16px;
-    }
-    .info-row {
-      margin-bottom: 8px;
-      font-size: 14px;
-    }
-    .info-label {
-      font-weight: 600;
-      color: #374151;
-    }
-    .items-section {
-      margin-top: 16px;
-    }
-    .items-title {
-      font-weight: 600;
-      margin-bottom: 8px;
-      color: #374151;
-    }
-    .items-list {
-      padding-left: 20px;
-      list-style-type: disc;
-      margin: 0;
-    }
-    .item {
-      margin-bottom: 6px;
-      color: #4b5563;
-      font-size: 14px;
-    }
-    .item span {
-      color: #1f2937;
-      font-weight: 500;
-    }
-    .total-row {
-      text-align: right;
-      font-weight: 600;
-      margin-top: 16px;
-      padding-top: 12px;
-      border-top: 1px dashed #d1d5db;
-      font-size: 15px;
-      color: #1f2937;
-    }
-    .divider {
-      height: 1px;
-      background: #e5e7eb;
-      margin: 24px;
-      position: relative;
-      z-index: 10;
-    }
-    .section-title {
-      font-weight: 600;
-      margin-bottom: 12px;
-      margin-left: 24px;
-      color: #374151;
-      position: relative;
-      z-index: 10;
-      font-size: 15px;
-    }
-    .shipping-box {
-      background: #f9fafb;
-      border-radius: 8px;
-      padding: 16px;
-      margin: 0 24px;
-      border: 1px solid #e5e7eb;
-      position: relative;
-      z-index: 10;
-    }
-    .shipping-row {
-      margin-bottom: 6px;
-      font-size: 14px;
-    }
-    .footer {
-      text-align: center;
-      font-size: 11px;
-      color: #9ca3af;
-      margin-top: 24px;
-      position: relative;
-      z-index: 10;
-      padding: 0 24px;
-    }
-    .receipt-id {
-      display: inline-block;
-      background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-      color: white;
-      padding: 8px 16px;
-      border-radius: 8px;
-      font-weight: bold;
-      margin-bottom: 16px;
-      font-size: 14px;
-      letter-spacing: 0.5px;
-    }
-    .status-badge {
-      display: inline-block;
-      background: #10b981;
-      color: white;
-      padding: 6px 12px;
-      border-radius: 20px;
-      font-size: 12px;
-      font-weight: 500;
-      margin-top: 8px;
-    }
-    .print-section {
-      text-align: center;
-      margin-top: 24px;
-      position: relative;
-      z-index: 10;
-    }
-    .action-link {
-      color: #4f46e5;
-      text-decoration: none;
-      font-weight: 500;
-      font-size: 14px;
-    }
-    .action-link:hover {
-      text-decoration: underline;
-    }
-    .action-button {
-      display: inline-block;
-      background: #4f46e5;
-      color: white;
-      padding: 10px 20px;
-      border-radius: 8px;
-      text-decoration: none;
-      font-weight: 500;
-      margin: 0 8px;
-      font-size: 14px;
-      border: none;
-      cursor: pointer;
-    }
-    .coupon-row {
-      color: #10b981;
-      font-size: 14px;
-    }
-    .delivery-row {
-      font-size: 14px;
-      color: #4b5563;
-    }
-  </style>
-</head>
-<body>
-  <div class="container">
-    <div class="watermark">
-      <img src="https://i.ibb.co/JjSrxbPz/icon-png-1.png" alt="Watermark">
-    </div>
+    const language = await getPreferredLanguage({ userId: orderData.userId, email: userEmail });
+    const emailSent = await sendTemplateEmail(userEmail, 'order_confirmation', {
+      orderId,
+      order: orderData,
+      userEmail
+    }, language);
+
+    if (emailSent) {
+      try {
+        await db.collection('orderEmails').add({
+          orderId,
+          userEmail,
+          type: 'confirmation',
+          language,
+          sender: 'MarketMixKenya <sales@marketmix.site>',
+          sentAt: admin.firestore.FieldValue.serverTimestamp(),
+          authenticated: true,
+          dmarc: 'configured',
+          dkim: 'signed'
+        });
+      } catch (logErr) {
+        console.error('Failed to log email:', logErr);
+      }
+    }
     
-    <div class="logo-container">
-      <img src="https://i.ibb.co/JjSrxbPz/icon-png-1.png" alt="MarketMix Logo" class="logo">
-    </div>
+    return emailSent;
     
-    <div class="header">
-      <div class="receipt-id">Order #${orderId.substring(0, 8)}</div>
-      <div class="title">Thank you for shopping with us</div>
-      <div class="subtitle">We appreciate your trust and hope you enjoyed your order.</div>
-      <div class="status-badge">Payment Confirmed</div>
-    </div>
-    
-    <div class="content-box">
-      <div class="order-info">
-        <div class="info-row">
-          <span class="info-label">Order ID:</span> ${orderId || "N/A"}
-        </div>
-        <div class="info-row">
-          <span class="info-label">Date:</span> ${formattedDate}
-        </div>
-        <div class="info-row">
-          <span class="info-label">Buyer:</span> ${orderData.shippingDetails?.fullName || userEmail || "N/A"}
-        </div>
-      </div>
-      
-      <div class="items-section">
-        <div class="items-title">Items:</div>
-        <ul class="items-list">
-          ${orderData.items?.map(item => `
-            <li class="item">
-              ${item.name} × ${item.quantity} – Ksh <span>${((item.price || 0) * (item.quantity || 1)).toFixed(2)}</span>
-            </li>
-          `).join('') || '<li class="item">No items</li>'}
-        </ul>
-      </div>
-      
-      <div class="total-row">
-        Items Total: Ksh ${itemsTotal.toFixed(2)}
-      </div>
-      
-      ${orderData.couponDiscount > 0 ? `
-        <div class="total-row coupon-row">
-          Coupon Discount ${orderData.couponCode ? `(${orderData.couponCode})` : ''}: -Ksh ${orderData.couponDiscount.toFixed(2)}
-        </div>
-      ` : ''}
-      
-      <div class="total-row delivery-row">
-        Delivery Total: Ksh ${deliveryTotal.toFixed(2)}
-      </div>
-      
-      <div class="total-row" style="font-size: 16px; color: #1f2937; margin-top: 20px;">
-        Total Amount Paid: Ksh ${orderData.totalAmount?.toFixed(2) || '0.00'}
-      </div>
-    </div>
-    
-    <div class="divider"></div>
-    
-    <div class="section-title">Shipping Details</div>
-    <div class="shipping-box">
-      <div class="shipping-row">
-        <span class="info-label">Full Name:</span> ${orderData.shippingDetails?.fullName || "N/A"}
-      </div>
-      <div class="shipping-row">
-        <span class="info-label">Phone:</span> ${orderData.shippingDetails?.phoneNumber || "N/A"}
-      </div>
-      <div class="shipping-row">
-        <span class="info-label">Delivery Place:</span> ${orderData.shippingDetails?.deliveryPlace || "N/A"}
-      </div>
-    </div>
-    
-    <div class="print-section">
-      <p style="margin-bottom: 16px; color: #6b7280; font-size: 14px;">
-        View your full receipt: 
-        <a href="https://marketmix.site/order-receipt/${orderId}" class="action-link">Order Receipt</a>
-      </p>
-      <div style="margin-top: 20px;">
-        <a href="https://marketmix.site" class="action-button" style="background: #1f2937;">Continue Shopping</a>
-        <a href="https://marketmix.site/orders" class="action-button">View All Orders</a>
-      </div>
-    </div>
-    
-    <div class="footer">
-      <p style="margin: 0;">MarketMix Kenya © ${new Date().getFullYear()} | Receipt generated online</p>
-      <p style="margin: 8px 0 0 0; font-size: 10px;">
-        Need help? Contact: <a href="mailto:sales@marketmix.site" style="color: #6b7280;">sales@marketmix.site</a>
-      </p>
-    </div>
-  </div>
-</body>
-</html>`;
+  } catch (error) {
+    console.error('❌ Order confirmation email failed:', error.message);
+    return false;
+  }
+};
+
+// ============================
+// Account Notification Emails
+// ============================
+// Short transactional notices each have a template with English and Swahili
+// copy, sent in the recipient's preferred language. Internal notices with
+// free-form wording use the `notification` template.
+
+const buildNotificationEmailHtml = (notice) => renderEmailTemplate('notification', notice, notice.language).html;
+
+const getUserEmail = async (userId) => {
+  if (!userId) return null;
+  try {
+    const userDoc = await db.collection('users').doc(userId).get();
+    return userDoc.exists ? userDoc.data().email || null : null;
+  } catch (err) {
+    console.error(`Failed to fetch email for ${userId}:`, err);
+    return null;
+  }
+};
+
+const sendWithdrawalNotice = async (stage, withdrawalId, withdrawal) => {
+  const email = await getUserEmail(withdrawal.sellerId);
+  if (!WITHDRAWAL_NOTICE_TONES[stage] || !email) return false;
+
+  const language = await getPreferredLanguage({ userId: withdrawal.sellerId });
+  return sendTemplateEmail(email, 'withdrawal_notice', { ...withdrawal, stage, withdrawalId }, language);
+};
+
+const sendPayoutFailedEmail = (withdrawalId, withdrawal) =>
+  sendWithdrawalNotice('payout_failed', withdrawalId, withdrawal);
+
+const sendWithdrawalReviewEmail = (withdrawalId, withdrawal, stage) =>
+  sendWithdrawalNotice(stage, withdrawalId, withdrawal);
+
+const sendRefundEmail = async (refundId, refund, stage) => {
+  const email = refund.buyerEmail || await getUserEmail(refund.buyerId);
+  if (!REFUND_NOTICE_TONES[stage] || !email) return false;
+
+  const language = await getPreferredLanguage({ userId: refund.buyerId, email });
+  return sendTemplateEmail(email, 'refund_notice', { ...refund, stage, refundId }, language);
+};
+
+// Lets each affected seller know revenue was taken back for a refund
+const sendSellerRefundNotices = (refundId, refund) =>
+  Promise.all(Object.entries(refund.sellerAmounts).map(async ([sellerId, amount]) => {
+    const email = await getUserEmail(sellerId);
+    if (!email) return false;
+
+    const language = await getPreferredLanguage({ userId: sellerId });
+    return sendTemplateEmail(email, 'seller_refund_notice', {
+      orderId: refund.orderId,
+      amount,
+      items: refund.items.filter((item) => item.sellerId === sellerId),
+      reason: refund.reason
+    }, language);
+  }));
+
+// Tells the buyer that one seller group of their order changed status
+const sendFulfilmentEmail = async (orderId, order, group, status, extra = {}) => {
+  const email = order.userEmail || order.shippingDetails?.email || await getUserEmail(order.userId);
+  if (!FULFILMENT_NOTICE_TONES[status] || !email) return false;
+
+  const language = await getPreferredLanguage({ userId: order.userId, email });
+  return sendTemplateEmail(email, 'order_status_notice', {
+    stage: status,
+    orderId,
+    customerName: order.shippingDetails?.fullName,
+    sellerName: group?.sellerName,
+    items: group?.items,
+    note: extra.note,
+    refundAmount: extra.refundAmount
+  }, language);
+};
+
+// `subscription`: { sellerId, planName, expiresAt, graceEndsAt?, daysLeft?, graceDays? }
+const sendSubscriptionEmail = async (stage, subscription) => {
+  const email = await getUserEmail(subscription.sellerId);
+  if (!SUBSCRIPTION_NOTICE_TONES[stage] || !email) return false;
+
+  const language = await getPreferredLanguage({ userId: subscription.sellerId });
+  return sendTemplateEmail(email, 'subscription_notice', { ...subscription, stage }, language);
+};
+
+const sendAdWalletEmail = async (stage, sellerId, data) => {
+  const email = await getUserEmail(sellerId);
+  if (!AD_WALLET_NOTICE_TONES[stage] || !email) return false;
+
+  const language = await getPreferredLanguage({ userId: sellerId });
+  return sendTemplateEmail(email, 'ad_wallet_notice', { ...data, stage }, language);
+};
+
+// ============================
+// Fee Constants & Helpers
+// ============================
+const WITHDRAWAL_THRESHOLD = 100.0;
+const FIXED_FEE_BELOW_THRESHOLD = 10.0;
+const FIXED_FEE_ABOVE_THRESHOLD = 20.0;
+const AGENCY_FEE_RATE = 0.035;
+
+function getTieredFixedFee(amount) {
+  return amount < WITHDRAWAL_THRESHOLD
+    ? FIXED_FEE_BELOW_THRESHOLD
+    : FIXED_FEE_ABOVE_THRESHOLD;
+}
+
+function calculateTotalFee(amount) {
+  const percentageFee = amount * AGENCY_FEE_RATE;
+  const fixedFee = getTieredFixedFee(amount);
+  return +(percentageFee + fixedFee).toFixed(2);
+}
+
+function isValidPhone(phone) {
+  return typeof phone === "string" && /^(2547|2541)\d{8}$/.test(phone);
+}
+
+function parsePositiveNumber(value) {
+  const n = parseFloat(value);
+  return !isNaN(n) && n > 0 ? n : null;
+}
+
+function sendServerError(res, err, msg = "Internal server error") {
+  console.error(msg, err);
+  return res.status(500).json({ success: false, message: msg });
+}
+
+// ============================
+// Double-Entry Ledger
+// ============================
+// Append-only journal of every money movement. Each business event is one
+// balanced entry in `ledgerEntries`, with one `ledgerPostings` doc per line
+// and a running balance kept on each seller's `ledgerAccounts` docs. Balances
+// are on the account's normal side: a seller earnings (liability) balance of
+// 500 means the platform owes that seller KES 500. Maths is done in cents.
+//
+// Platform accounts (no owner) take a posting from nearly every payment, and
+// Firestore serializes writes to a single document, so they keep no account
+// doc or running balance. Their balance is summed from postings on demand.
+
+const NORMAL_BALANCE = {
+  asset: 'debit',
+  expense: 'debit',
+  liability: 'credit',
+  revenue: 'credit',
+  equity: 'credit'
+};
+
+const LEDGER_ACCOUNTS = {
+  cash: () => ({ id: 'platform:cash', type: 'asset', name: 'IntaSend settlement balance' }),
+  withdrawalFees: () => ({ id: 'platform:withdrawal-fees', type: 'revenue', name: 'Withdrawal fee revenue' }),
+  orderAdjustments: () => ({ id: 'platform:order-adjustments', type: 'revenue', name: 'Delivery charges less coupon discounts' }),
+  subscriptionRevenue: () => ({ id: 'platform:subscriptions', type: 'revenue', name: 'Subscription revenue' }),
+  adRevenue: () => ({ id: 'platform:advertising', type: 'revenue', name: 'Advertising revenue' }),
+  adRefundFees: () => ({ id: 'platform:ad-refund-fees', type: 'revenue', name: 'Ad wallet refund fee revenue' }),
+  openingBalances: () => ({ id: 'platform:opening-balances', type: 'equity', name: 'Balances migrated from legacy fields' }),
+  refundsPayable: () => ({ id: 'platform:refunds-payable', type: 'liability', name: 'Refunds owed to buyers' }),
+  sellerPendingEarnings: (sellerId) => ({ id: `seller:${sellerId}:pending`, type: 'liability', ownerId: sellerId, name: 'Seller earnings in escrow' }),
+  sellerEarnings: (sellerId) => ({ id: `seller:${sellerId}:earnings`, type: 'liability', ownerId: sellerId, name: 'Seller earnings' }),
+  sellerPayoutHolds: (sellerId) => ({ id: `seller:${sellerId}:payout-holds`, type: 'liability', ownerId: sellerId, name: 'Withdrawals awaiting payout' }),
+  sellerAdWallet: (sellerId) => ({ id: `seller:${sellerId}:ad-wallet`, type: 'liability', ownerId: sellerId, name: 'Ad wallet credit' }),
+  sellerAdRefundHolds: (sellerId) => ({ id: `seller:${sellerId}:ad-refund-holds`, type: 'liability', ownerId: sellerId, name: 'Ad wallet refunds awaiting payout' })
+};
+
+const LEDGER_ENTRY_TYPES = {
+  ORDER_SALE: 'order_sale',
+  ESCROW_RELEASE: 'escrow_release',
+  ORDER_REFUND: 'order_refund',
+  REFUND_PAYOUT: 'refund_payout',
+  WITHDRAWAL_HOLD: 'withdrawal_hold',
+  WITHDRAWAL_HOLD_RELEASE: 'withdrawal_hold_release',
+  WITHDRAWAL: 'withdrawal',
+  WITHDRAWAL_REVERSAL: 'withdrawal_reversal',
+  WALLET_DEPOSIT: 'wallet_deposit',
+  AD_SPEND: 'ad_spend',
+  AD_REFUND_HOLD: 'ad_refund_hold',
+  AD_REFUND_HOLD_RELEASE: 'ad_refund_hold_release',
+  AD_REFUND: 'ad_refund',
+  SUBSCRIPTION_PAYMENT: 'subscription_payment',
+  OPENING_BALANCE: 'opening_balance'
+};
+
+const PLATFORM_LEDGER_ACCOUNTS = Object.fromEntries(
+  Object.values(LEDGER_ACCOUNTS)
+    .filter((factory) => factory.length === 0)
+    .map((factory) => [factory().id, factory()])
+);
+
+const tracksRunningBalance = (account) => !!account.ownerId;
+
+const toCents = (amount) => Math.round((Number(amount) || 0) * 100);
+const fromCents = (cents) => cents / 100;
+
+const debit = (account, amount) => ({ account, debit: amount });
+const credit = (account, amount) => ({ account, credit: amount });
+
+// Posting that grows an account's balance by `amount` (negative shrinks it)
+const increaseAccount = (account, amount) => {
+  const creditNormal = NORMAL_BALANCE[account.type] === 'credit';
+  return (amount >= 0) === creditNormal
+    ? credit(account, Math.abs(amount))
+    : debit(account, Math.abs(amount));
+};
+
+const validateLedgerEntry = (entry) => {
+  if (!Object.values(LEDGER_ENTRY_TYPES).includes(entry.type)) {
+    throw new Error(`Unknown ledger entry type: ${entry.type}`);
+  }
+
+  let debits = 0;
+  let credits = 0;
+  const postings = entry.postings.filter((p) => toCents(p.debit) || toCents(p.credit));
+
+  postings.forEach((p) => {
+    const debitCents = toCents(p.debit);
+    const creditCents = toCents(p.credit);
+    if (!NORMAL_BALANCE[p.account.type] || debitCents < 0 || creditCents < 0 || (debitCents && creditCents)) {
+      throw new Error(`Invalid ledger posting on ${p.account.id}`);
+    }
+    debits += debitCents;
+    credits += creditCents;
+  });
+
+  if (debits !== credits) {
+    throw new Error(`Unbalanced ledger entry ${entry.entryId}: debits ${fromCents(debits)} != credits ${fromCents(credits)}`);
+  }
+  // Opening entries may be empty - they still mark the account as migrated
+  if (!postings.length && entry.type !== LEDGER_ENTRY_TYPES.OPENING_BALANCE) {
+    throw new Error(`Ledger entry ${entry.entryId} has no postings`);
+  }
+
+  return { postings, amountCents: debits };
+};
+
+// Stages `entries` on transaction `t`. Does reads, so it must be called
+// before the caller stages any writes of its own. An entry whose entryId
+// already exists is skipped, which makes re-posting an event a no-op.
+const postLedgerEntries = async (t, entries) => {
+  const prepared = entries.filter(Boolean).map((entry) => ({
+    ...entry,
+    entryId: entry.entryId || db.collection('ledgerEntries').doc().id,
+    ...validateLedgerEntry(entry)
+  }));
+  if (!prepared.length) return { results: [], balances: {} };
+
+  const accountDefs = new Map();
+  prepared.forEach((entry) => entry.postings.forEach((p) => {
+    if (tracksRunningBalance(p.account)) accountDefs.set(p.account.id, p.account);
+  }));
+
+  const entryRefs = prepared.map((entry) => db.collection('ledgerEntries').doc(entry.entryId));
+  const accountRefs = [...accountDefs.keys()].map((id) => db.collection('ledgerAccounts').doc(id));
+  const snaps = await t.getAll(...entryRefs, ...accountRefs);
+
+  const accountState = new Map();
+  snaps.slice(entryRefs.length).forEach((snap) => {
+    const data = snap.exists ? snap.data() : {};
+    accountState.set(snap.id, {
+      exists: snap.exists,
+      touched: false,
+      balanceCents: toCents(data.balance),
+      debitCents: toCents(data.totalDebits),
+      creditCents: toCents(data.totalCredits)
+    });
+  });
+
+  const results = [];
+  let sequence = 0;
+  prepared.forEach((entry, i) => {
+    if (snaps[i].exists) {
+      results.push({ entryId: entry.entryId, duplicate: true });
+      return;
+    }
+
+    entry.postings.forEach((posting, index) => {
+      const account = posting.account;
+      const state = accountState.get(account.id);
+      const debitCents = toCents(posting.debit);
+      const creditCents = toCents(posting.credit);
+
+      if (state) {
+        state.balanceCents += NORMAL_BALANCE[account.type] === 'debit'
+          ? debitCents - creditCents
+          : creditCents - debitCents;
+        state.debitCents += debitCents;
+        state.creditCents += creditCents;
+        state.touched = true;
+      }
+
+      t.set(db.collection('ledgerPostings').doc(`${entry.entryId}_${index}`), {
+        entryId: entry.entryId,
+        entryType: entry.type,
+        accountId: account.id,
+        accountType: account.type,
+        ownerId: account.ownerId || null,
+        debit: fromCents(debitCents),
+        credit: fromCents(creditCents),
+        balanceAfter: state ? fromCents(state.balanceCents) : null,
+        description: entry.description || '',
+        reference: entry.reference || null,
+        sequence: sequence++,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    });
+
+    t.set(entryRefs[i], {
+      entryId: entry.entryId,
+      type: entry.type,
+      description: entry.description || '',
+      reference: entry.reference || null,
+      amount: fromCents(entry.amountCents),
+      postings: entry.postings.map((p) => ({
+        accountId: p.account.id,
+        debit: fromCents(toCents(p.debit)),
+        credit: fromCents(toCents(p.credit))
+      })),
+      metadata: entry.metadata || {},
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    results.push({ entryId: entry.entryId, duplicate: false });
+  });
+
+  const balances = {};
+  accountState.forEach((state, accountId) => {
+    balances[accountId] = fromCents(state.balanceCents);
+    if (!state.touched) return;
+
+    const def = accountDefs.get(accountId);
+    t.set(db.collection('ledgerAccounts').doc(accountId), {
+      accountId,
+      type: def.type,
+      name: def.name,
+      ownerId: def.ownerId || null,
+      currency: 'KES',
+      balance: fromCents(state.balanceCents),
+      totalDebits: fromCents(state.debitCents),
+      totalCredits: fromCents(state.creditCents),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      ...(state.exists ? {} : { createdAt: admin.firestore.FieldValue.serverTimestamp() })
+    }, { merge: true });
+  });
+
+  return { results, balances };
+};
+
+const postLedgerEntry = async (t, entry) => {
+  const { results, balances } = await postLedgerEntries(t, [entry]);
+  return { ...results[0], balances };
+};
+
+// Sums an account's postings, optionally only those before `before`.
+// Returns { balance, totalDebits, totalCredits } on the account's normal side.
+const sumLedgerPostings = async (account, before) => {
+  let query = db.collection('ledgerPostings').where('accountId', '==', account.id);
+  if (before) query = query.where('createdAt', '<', before);
+  const { AggregateField } = admin.firestore;
+  const snap = await query.aggregate({
+    debits: AggregateField.sum('debit'),
+    credits: AggregateField.sum('credit')
+  }).get();
+  const debitCents = toCents(snap.data().debits);
+  const creditCents = toCents(snap.data().credits);
+  return {
+    balance: fromCents(NORMAL_BALANCE[account.type] === 'debit' ? debitCents - creditCents : creditCents - debitCents),
+    totalDebits: fromCents(debitCents),
+    totalCredits: fromCents(creditCents)
+  };
+};
+
+const getLedgerBalance = async (accountId) => {
+  if (PLATFORM_LEDGER_ACCOUNTS[accountId]) {
+    return (await sumLedgerPostings(PLATFORM_LEDGER_ACCOUNTS[accountId])).balance;
+  }
+  const snap = await db.collection('ledgerAccounts').doc(accountId).get();
+  return snap.exists ? snap.data().balance || 0 : 0;
+};
+
+// --- Entry builders ---
+
+const getOrderItems = (orderData) => {
+  const items = orderData?.items;
+  if (Array.isArray(items)) return items;
+  if (items && typeof items === "object") return Object.values(items);
+  return [];
+};
+
+const getSellerRevenueByOrder = (orderData) => {
+  const revenue = {};
+  getOrderItems(orderData).forEach((item) => {
+    if (!item?.sellerId) return;
+    const price = Number(item.price) || 0;
+    const qty = Number(item.quantity) || 0;
+    revenue[item.sellerId] = (revenue[item.sellerId] || 0) + price * qty;
+  });
+  return revenue;
+};
+
+// Sellers are owed their item revenue, held in escrow until released;
+// whatever else the buyer paid (delivery, minus coupons) lands on the
+// platform adjustments account
+const orderSaleLedgerEntry = (orderId, orderData) => {
+  const revenueBySeller = getSellerRevenueByOrder(orderData);
+  const sellerCents = Object.values(revenueBySeller).reduce((sum, amount) => sum + toCents(amount), 0);
+  const paidCents = toCents(orderData.totalAmount) || sellerCents;
+  if (paidCents <= 0) return null;
+
+  const postings = [debit(LEDGER_ACCOUNTS.cash(), fromCents(paidCents))];
+  Object.entries(revenueBySeller).forEach(([sellerId, amount]) => {
+    postings.push(credit(LEDGER_ACCOUNTS.sellerPendingEarnings(sellerId), fromCents(toCents(amount))));
+  });
+  const adjustmentCents = paidCents - sellerCents;
+  if (adjustmentCents) {
+    postings.push(increaseAccount(LEDGER_ACCOUNTS.orderAdjustments(), fromCents(adjustmentCents)));
+  }
+
+  return {
+    entryId: `order_sale:${orderId}`,
+    type: LEDGER_ENTRY_TYPES.ORDER_SALE,
+    description: `Order ${orderId} paid`,
+    reference: orderId,
+    postings,
+    metadata: { sellerIds: Object.keys(revenueBySeller) }
+  };
+};
+
+const escrowReleaseLedgerEntry = (orderId, sellerId, amount) => ({
+  entryId: `escrow_release:${orderId}:${sellerId}`,
+  type: LEDGER_ENTRY_TYPES.ESCROW_RELEASE,
+  description: `Order ${orderId} earnings released - KSH ${amount.toFixed(2)}`,
+  reference: orderId,
+  postings: [
+    debit(LEDGER_ACCOUNTS.sellerPendingEarnings(sellerId), amount),
+    credit(LEDGER_ACCOUNTS.sellerEarnings(sellerId), amount)
+  ],
+  metadata: { sellerId, orderId }
+});
+
+// Takes refunded item revenue back from each seller, out of escrow first
+// (`pendingAmounts`) and available earnings for the rest; the remainder of
+// the refund (delivery, less any coupon) comes off platform adjustments.
+// The buyer is owed the total until the refund is confirmed paid out.
+const orderRefundLedgerEntry = (refundId, orderId, sellerAmounts, amount, pendingAmounts = {}) => {
+  const postings = [];
+  let sellerCents = 0;
+  Object.entries(sellerAmounts).forEach(([sellerId, sellerAmount]) => {
+    const totalCents = toCents(sellerAmount);
+    const pendingCents = Math.min(toCents(pendingAmounts[sellerId]), totalCents);
+    sellerCents += totalCents;
+    postings.push(debit(LEDGER_ACCOUNTS.sellerPendingEarnings(sellerId), fromCents(pendingCents)));
+    postings.push(debit(LEDGER_ACCOUNTS.sellerEarnings(sellerId), fromCents(totalCents - pendingCents)));
+  });
+  const adjustmentCents = toCents(amount) - sellerCents;
+  if (adjustmentCents) {
+    postings.push(increaseAccount(LEDGER_ACCOUNTS.orderAdjustments(), -fromCents(adjustmentCents)));
+  }
+  postings.push(credit(LEDGER_ACCOUNTS.refundsPayable(), amount));
+
+  return {
+    entryId: `order_refund:${refundId}`,
+    type: LEDGER_ENTRY_TYPES.ORDER_REFUND,
+    description: `Refund for order ${orderId} - KSH ${amount.toFixed(2)}`,
+    reference: refundId,
+    postings,
+    metadata: { orderId, sellerIds: Object.keys(sellerAmounts) }
+  };
+};
+
+const refundPayoutLedgerEntry = (refundId, amount) => ({
+  entryId: `refund_payout:${refundId}`,
+  type: LEDGER_ENTRY_TYPES.REFUND_PAYOUT,
+  description: `Refund paid out - KSH ${amount.toFixed(2)}`,
+  reference: refundId,
+  postings: [
+    debit(LEDGER_ACCOUNTS.refundsPayable(), amount),
+    credit(LEDGER_ACCOUNTS.cash(), amount)
+  ]
+});
+
+// Moves a requested withdrawal out of the seller's available earnings into
+// payout holds, so in-flight payouts can't be withdrawn a second time
+const withdrawalHoldLedgerEntry = ({ withdrawalId, sellerId, amount }) => ({
+  entryId: `withdrawal_hold:${withdrawalId}`,
+  type: LEDGER_ENTRY_TYPES.WITHDRAWAL_HOLD,
+  description: `Withdrawal requested - KSH ${amount.toFixed(2)} on hold`,
+  reference: withdrawalId,
+  postings: [
+    debit(LEDGER_ACCOUNTS.sellerEarnings(sellerId), amount),
+    credit(LEDGER_ACCOUNTS.sellerPayoutHolds(sellerId), amount)
+  ],
+  metadata: { sellerId }
+});
+
+// Returns a held amount to earnings when its payout never went through
+const withdrawalHoldReleaseLedgerEntry = ({ withdrawalId, sellerId, amount }) => ({
+  entryId: `withdrawal_hold_release:${withdrawalId}`,
+  type: LEDGER_ENTRY_TYPES.WITHDRAWAL_HOLD_RELEASE,
+  description: `Payout failed - KSH ${amount.toFixed(2)} released`,
+  reference: withdrawalId,
+  postings: [
+    debit(LEDGER_ACCOUNTS.sellerPayoutHolds(sellerId), amount),
+    credit(LEDGER_ACCOUNTS.sellerEarnings(sellerId), amount)
+  ],
+  metadata: { sellerId }
+});
+
+// Settles a held withdrawal once IntaSend confirms the payout
+const withdrawalLedgerEntry = ({ withdrawalId, sellerId, amount, feeAmount, netPayout }) => ({
+  entryId: `withdrawal:${withdrawalId}`,
+  type: LEDGER_ENTRY_TYPES.WITHDRAWAL,
+  description: `Seller withdrawal - KSH ${amount.toFixed(2)}`,
+  reference: withdrawalId,
+  postings: [
+    debit(LEDGER_ACCOUNTS.sellerPayoutHolds(sellerId), amount),
+    credit(LEDGER_ACCOUNTS.cash(), netPayout),
+    credit(LEDGER_ACCOUNTS.withdrawalFees(), feeAmount)
+  ],
+  metadata: { sellerId }
+});
+
+// Puts a failed payout back on the seller's earnings (pre-hold withdrawals)
+const withdrawalReversalLedgerEntry = ({ withdrawalId, sellerId, amount, feeAmount, netPayout }) => ({
+  entryId: `withdrawal_reversal:${withdrawalId}`,
+  type: LEDGER_ENTRY_TYPES.WITHDRAWAL_REVERSAL,
+  description: `Failed payout reversed - KSH ${amount.toFixed(2)}`,
+  reference: withdrawalId,
+  postings: [
+    debit(LEDGER_ACCOUNTS.cash(), netPayout),
+    debit(LEDGER_ACCOUNTS.withdrawalFees(), feeAmount),
+    credit(LEDGER_ACCOUNTS.sellerEarnings(sellerId), amount)
+  ],
+  metadata: { sellerId }
+});
+
+const walletDepositLedgerEntry = (paymentRef, sellerId, amount) => ({
+  entryId: `wallet_deposit:${paymentRef}`,
+  type: LEDGER_ENTRY_TYPES.WALLET_DEPOSIT,
+  description: `Ad wallet deposit - KSH ${amount.toFixed(2)}`,
+  reference: paymentRef,
+  postings: [
+    debit(LEDGER_ACCOUNTS.cash(), amount),
+    credit(LEDGER_ACCOUNTS.sellerAdWallet(sellerId), amount)
+  ],
+  metadata: { sellerId }
+});
+
+const adSpendLedgerEntry = (spendId, sellerId, amount, description) => ({
+  entryId: `ad_spend:${spendId}`,
+  type: LEDGER_ENTRY_TYPES.AD_SPEND,
+  description: description || `Ad spend - KSH ${amount.toFixed(2)}`,
+  reference: spendId,
+  postings: [
+    debit(LEDGER_ACCOUNTS.sellerAdWallet(sellerId), amount),
+    credit(LEDGER_ACCOUNTS.adRevenue(), amount)
+  ],
+  metadata: { sellerId }
+});
+
+// Takes unused ad credit out of the wallet while its refund is paid out
+const adRefundHoldLedgerEntry = ({ refundId, sellerId, amount }) => ({
+  entryId: `ad_refund_hold:${refundId}`,
+  type: LEDGER_ENTRY_TYPES.AD_REFUND_HOLD,
+  description: `Ad wallet refund requested - KSH ${amount.toFixed(2)} on hold`,
+  reference: refundId,
+  postings: [
+    debit(LEDGER_ACCOUNTS.sellerAdWallet(sellerId), amount),
+    credit(LEDGER_ACCOUNTS.sellerAdRefundHolds(sellerId), amount)
+  ],
+  metadata: { sellerId }
+});
+
+const adRefundHoldReleaseLedgerEntry = ({ refundId, sellerId, amount }) => ({
+  entryId: `ad_refund_hold_release:${refundId}`,
+  type: LEDGER_ENTRY_TYPES.AD_REFUND_HOLD_RELEASE,
+  description: `Ad wallet refund failed - KSH ${amount.toFixed(2)} returned`,
+  reference: refundId,
+  postings: [
+    debit(LEDGER_ACCOUNTS.sellerAdRefundHolds(sellerId), amount),
+    credit(LEDGER_ACCOUNTS.sellerAdWallet(sellerId), amount)
+  ],
+  metadata: { sellerId }
+});
+
+const adRefundLedgerEntry = ({ refundId, sellerId, amount, feeAmount, netPayout }) => ({
+  entryId: `ad_refund:${refundId}`,
+  type: LEDGER_ENTRY_TYPES.AD_REFUND,
+  description: `Ad wallet refund - KSH ${amount.toFixed(2)}`,
+  reference: refundId,
+  postings: [
+    debit(LEDGER_ACCOUNTS.sellerAdRefundHolds(sellerId), amount),
+    credit(LEDGER_ACCOUNTS.cash(), netPayout),
+    credit(LEDGER_ACCOUNTS.adRefundFees(), feeAmount)
+  ],
+  metadata: { sellerId }
+});
+
+const subscriptionPaymentLedgerEntry = (orderId, subscriptionData) => {
+  const amount = Number(subscriptionData.amount) || 0;
+  if (toCents(amount) <= 0) return null;
+  return {
+    entryId: `subscription_payment:${orderId}`,
+    type: LEDGER_ENTRY_TYPES.SUBSCRIPTION_PAYMENT,
+    description: `Subscription ${subscriptionData.planId} - KSH ${amount.toFixed(2)}`,
+    reference: orderId,
+    postings: [
+      debit(LEDGER_ACCOUNTS.cash(), amount),
+      credit(LEDGER_ACCOUNTS.subscriptionRevenue(), amount)
+    ],
+    metadata: { sellerId: subscriptionData.sellerId, planId: subscriptionData.planId }
+  };
+};
+
+// --- Migration of legacy balances ---
+
+// Revenue from paid orders that predate the ledger (no ledgerEntryId),
+// read on transaction `t`
+const getLegacySellerRevenue = async (t, sellerId) => {
+  const ordersSnap = await t.get(db
+    .collection("orders")
+    .where("involvedSellerIds", "array-contains", sellerId)
+    .where("paymentStatus", "==", "paid"));
+
+  let totalRevenue = 0;
+  ordersSnap.forEach((doc) => {
+    const data = doc.data();
+    if (data.ledgerEntryId) return;
+    totalRevenue += getSellerRevenueByOrder(data)[sellerId] || 0;
+  });
+  return totalRevenue;
+};
+
+// Opens a seller's ledger accounts from the legacy fields exactly once:
+// earnings = legacy order revenue - sellerLedgers.totalWithdrawn, and the ad
+// wallet = whatever sellerAdCredits.balance holds beyond ledger postings.
+// Must run before the seller's first ledger withdrawal.
+const ensureSellerLedgerOpened = async (sellerId) => {
+  const entryId = `opening:seller:${sellerId}`;
+  const openingSnap = await db.collection('ledgerEntries').doc(entryId).get();
+  if (openingSnap.exists) return;
+
+  const earnings = LEDGER_ACCOUNTS.sellerEarnings(sellerId);
+  const adWallet = LEDGER_ACCOUNTS.sellerAdWallet(sellerId);
+
+  // Every legacy figure is read inside the transaction, so a sale or
+  // withdrawal landing meanwhile retries the opening instead of skewing it
+  const opened = await db.runTransaction(async (t) => {
+    const [entrySnap, ledgerSnap, walletSnap, walletAccountSnap] = await t.getAll(
+      db.collection('ledgerEntries').doc(entryId),
+      db.collection('sellerLedgers').doc(sellerId),
+      db.collection('sellerAdCredits').doc(sellerId),
+      db.collection('ledgerAccounts').doc(adWallet.id)
+    );
+    if (entrySnap.exists) return false;
+    const legacyRevenue = await getLegacySellerRevenue(t, sellerId);
+
+    const legacyWithdrawn = ledgerSnap.exists ? ledgerSnap.data().totalWithdrawn || 0 : 0;
+    const earningsOpening = fromCents(toCents(legacyRevenue) - toCents(legacyWithdrawn));
+    const walletOpening = fromCents(
+      toCents(walletSnap.exists ? walletSnap.data().balance : 0) -
+      toCents(walletAccountSnap.exists ? walletAccountSnap.data().balance : 0)
+    );
+
+    const postings = [];
+    [[earnings, earningsOpening], [adWallet, walletOpening]].forEach(([account, amount]) => {
+      if (!toCents(amount)) return;
+      postings.push(increaseAccount(account, amount));
+      postings.push(increaseAccount(LEDGER_ACCOUNTS.openingBalances(), -amount));
+    });
+
+    await postLedgerEntry(t, {
+      entryId,
+      type: LEDGER_ENTRY_TYPES.OPENING_BALANCE,
+      description: 'Opening balances migrated from legacy fields',
+      reference: sellerId,
+      postings,
+      metadata: { sellerId, legacyRevenue, legacyWithdrawn, earningsOpening, walletOpening }
+    });
+    return true;
+  });
+
+  if (opened) console.log(`📒 Opened ledger for seller ${sellerId}`);
+};
+
+// ============================
+// Checkout & Order Pricing
+// ============================
+// Orders are priced here from `products`; the client only says what it
+// wants and how many. Each seller ships their part of the cart separately,
+// so delivery is charged once per seller group.
+
+const DEFAULT_DELIVERY_COST = Number(process.env.DEFAULT_DELIVERY_COST) || 0;
+const MAX_CART_LINES = 50;
+
+const getSellerDeliveryCost = (seller) => {
+  const cost = Number(seller?.deliveryCost);
+  return Number.isFinite(cost) && cost >= 0 ? cost : DEFAULT_DELIVERY_COST;
+};
+
+// Returns { valid: false, status, message } or the priced order fields:
+// items, sellerGroups, involvedSellerIds, itemsTotal, deliveryTotal, totalAmount
+const priceCart = async (cartItems) => {
+  if (!Array.isArray(cartItems) || !cartItems.length) {
+    return { valid: false, status: 400, message: "Cart is empty" };
+  }
+  if (cartItems.length > MAX_CART_LINES) {
+    return { valid: false, status: 400, message: `A cart can have at most ${MAX_CART_LINES} items` };
+  }
+
+  // Duplicate lines for the same product are merged
+  const quantities = new Map();
+  for (const line of cartItems) {
+    const productId = typeof line?.productId === "string" ? line.productId.trim() : "";
+    const quantity = Number(line?.quantity);
+    if (!productId || !Number.isInteger(quantity) || quantity <= 0) {
+      return { valid: false, status: 400, message: "Each item needs a productId and a whole-number quantity" };
+    }
+    quantities.set(productId, (quantities.get(productId) || 0) + quantity);
+  }
+
+  const productSnaps = await db.getAll(
+    ...[...quantities.keys()].map((id) => db.collection("products").doc(id))
+  );
+
+  const items = [];
+  for (const snap of productSnaps) {
+    if (!snap.exists) {
+      return { valid: false, status: 404, message: `Product ${snap.id} not found` };
+    }
+    const product = snap.data();
+    const name = product.name || snap.id;
+    const price = Number(product.price);
+    const quantity = quantities.get(snap.id);
+
+    if (!product.sellerId || !(price > 0)) {
+      return { valid: false, status: 400, message: `${name} is not available for sale` };
+    }
+    if ((Number(product.quantity) || 0) < quantity) {
+      return { valid: false, status: 409, message: `Only ${Number(product.quantity) || 0} of ${name} left in stock` };
+    }
+
+    items.push({
+      productId: snap.id,
+      name,
+      price,
+      quantity,
+      sellerId: product.sellerId,
+      imageUrl: product.imageUrl || (Array.isArray(product.images) ? product.images[0] : null) || null
+    });
+  }
+
+  const involvedSellerIds = [...new Set(items.map((item) => item.sellerId))];
+  const sellerSnaps = await db.getAll(
+    ...involvedSellerIds.map((id) => db.collection("users").doc(id))
+  );
+
+  const sellerGroups = sellerSnaps.map((snap) => {
+    const seller = snap.exists ? snap.data() : {};
+    const groupItems = items.filter((item) => item.sellerId === snap.id);
+    const itemsCents = groupItems.reduce((sum, item) => sum + toCents(item.price) * item.quantity, 0);
+    const deliveryCost = getSellerDeliveryCost(seller);
+    return {
+      sellerId: snap.id,
+      sellerName: seller.businessName || seller.displayName || seller.name || null,
+      items: groupItems,
+      itemsTotal: fromCents(itemsCents),
+      deliveryCost,
+      subtotal: fromCents(itemsCents + toCents(deliveryCost))
+    };
+  });
+
+  const sum = (field) => fromCents(sellerGroups.reduce((total, group) => total + toCents(group[field]), 0));
+
+  return {
+    valid: true,
+    items,
+    sellerGroups,
+    involvedSellerIds,
+    itemsTotal: sum("itemsTotal"),
+    deliveryTotal: sum("deliveryCost"),
+    totalAmount: sum("subtotal")
+  };
+};
+
+const requestStkPush = ({ fullName, email, phoneNumber, amount, apiRef }) => {
+  const [firstName, ...rest] = fullName.trim().split(" ");
+  const lastName = rest.join(" ") || "N/A";
+
+  return intasend.collection().mpesaStkPush({
+    first_name: firstName,
+    last_name: lastName,
+    email,
+    phone_number: phoneNumber,
+    amount,
+    host: BACKEND_HOST,
+    api_ref: apiRef,
+  });
+};
+
+// ============================
+// Stock Reservations
+// ============================
+// Checkout takes the ordered quantities off `products` straight away and
+// records them in `stockReservations/{orderId}`. The payment callback
+// commits the reservation when the order is paid and puts the stock back
+// when the payment fails; reservations nobody paid for expire and are
+// returned by the stock sweeper. Status: held → committed | released; only
+// held reservations carry `expiresAt`, so the sweeper needs no composite index.
+
+const STOCK_RESERVATION_MINUTES = Number(process.env.STOCK_RESERVATION_MINUTES) || 15;
+const STOCK_SWEEP_INTERVAL_MS = Number(process.env.STOCK_SWEEP_INTERVAL_MS) || 60 * 1000;
+
+const stockReservationExpiry = () =>
+  admin.firestore.Timestamp.fromMillis(Date.now() + STOCK_RESERVATION_MINUTES * 60 * 1000);
+
+const getProductRefs = (items) => items.map((item) => db.collection("products").doc(item.productId));
+
+// Message for the first item the current stock can't cover, or null
+const findStockShortage = (items, productSnaps) => {
+  for (let i = 0; i < items.length; i++) {
+    const snap = productSnaps[i];
+    const available = snap.exists ? Number(snap.data().quantity) || 0 : 0;
+    if (available < items[i].quantity) {
+      const name = snap.exists ? snap.data().name || snap.id : items[i].productId;
+      return `Only ${available} of ${name} left in stock`;
+    }
+  }
+  return null;
+};
+
+// Takes (-1) or returns (+1) stock for `items`. Taking never goes below
+// zero; the ids of products that ran short are returned.
+const adjustProductStock = (t, items, productSnaps, direction) => {
+  const shortfall = [];
+  items.forEach((item, i) => {
+    const snap = productSnaps[i];
+    if (!snap.exists) return;
+    const current = Number(snap.data().quantity) || 0;
+    if (direction < 0 && current < item.quantity) shortfall.push(item.productId);
+    t.update(snap.ref, {
+      quantity: direction < 0 ? Math.max(0, current - item.quantity) : current + item.quantity,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  });
+  return shortfall;
+};
+
+// Creates the order and reserves its stock in one transaction
+const createOrderWithReservation = async (orderRef, order) => {
+  const items = order.items.map(({ productId, quantity }) => ({ productId, quantity }));
+  const reservationRef = db.collection("stockReservations").doc(orderRef.id);
+
+  return db.runTransaction(async (t) => {
+    const productSnaps = await t.getAll(...getProductRefs(items));
+    const shortage = findStockShortage(items, productSnaps);
+    if (shortage) return { reserved: false, message: shortage };
+
+    const expiresAt = stockReservationExpiry();
+    adjustProductStock(t, items, productSnaps, -1);
+    t.set(reservationRef, {
+      orderId: orderRef.id,
+      userId: order.userId,
+      items,
+      status: "held",
+      expiresAt,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    t.set(orderRef, { ...order, stockStatus: "reserved", stockReservedUntil: expiresAt });
+    return { reserved: true };
+  });
+};
+
+// Before a payment retry: extends a held reservation, or takes the stock
+// again if the previous reservation already expired
+const renewStockReservation = async (orderId) => {
+  const reservationRef = db.collection("stockReservations").doc(orderId);
+
+  return db.runTransaction(async (t) => {
+    const reservationSnap = await t.get(reservationRef);
+    if (!reservationSnap.exists) return { reserved: true };
+
+    const reservation = reservationSnap.data();
+    if (reservation.status === "committed") return { reserved: true };
+
+    const expiresAt = stockReservationExpiry();
+    const orderRef = db.collection("orders").doc(orderId);
+
+    if (reservation.status === "released") {
+      const productSnaps = await t.getAll(...getProductRefs(reservation.items));
+      const shortage = findStockShortage(reservation.items, productSnaps);
+      if (shortage) return { reserved: false, message: shortage };
+      adjustProductStock(t, reservation.items, productSnaps, -1);
+    }
+
+    t.update(reservationRef, {
+      status: "held",
+      expiresAt,
+      renewedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    t.update(orderRef, { stockStatus: "reserved", stockReservedUntil: expiresAt });
+    return { reserved: true };
+  });
+};
+
+// Transaction read phase: the order's reservation and its products.
+// Returns null for orders without a reservation (legacy client orders).
+const readStockReservation = async (t, orderId) => {
+  const ref = db.collection("stockReservations").doc(orderId);
+  const snap = await t.get(ref);
+  if (!snap.exists) return null;
+
+  const data = snap.data();
+  const productSnaps = data.status === "committed" ? [] : await t.getAll(...getProductRefs(data.items));
+  return { ref, data, productSnaps };
+};
+
+// Transaction write phase. "commit" keeps the stock sold (taking it again
+// if the reservation had already expired); "release" puts it back.
+// Returns the fields to merge into the order.
+const settleStockReservation = (t, reservation, action, reason = null) => {
+  const { ref, data, productSnaps } = reservation;
+  const now = admin.firestore.FieldValue.serverTimestamp();
+
+  if (action === "commit" && data.status !== "committed") {
+    const shortfall = data.status === "released"
+      ? adjustProductStock(t, data.items, productSnaps, -1)
+      : [];
+    t.update(ref, { status: "committed", committedAt: now, shortfall, expiresAt: admin.firestore.FieldValue.delete() });
+    return shortfall.length
+      ? { stockStatus: "committed", stockShortfall: shortfall }
+      : { stockStatus: "committed" };
+  }
+
+  if (action === "release" && data.status === "held") {
+    adjustProductStock(t, data.items, productSnaps, 1);
+    t.update(ref, {
+      status: "released",
+      releasedAt: now,
+      releaseReason: reason,
+      expiresAt: admin.firestore.FieldValue.delete()
+    });
+    return { stockStatus: "released" };
+  }
+
+  return {};
+};
+
+const releaseExpiredReservations = async () => {
+  const now = admin.firestore.Timestamp.now();
+  const snap = await db
+    .collection("stockReservations")
+    .where("expiresAt", "<=", now)
+    .limit(100)
+    .get();
+
+  for (const doc of snap.docs) {
+    try {
+      const released = await db.runTransaction(async (t) => {
+        const reservation = await readStockReservation(t, doc.id);
+        if (!reservation || reservation.data.status !== "held") return false;
+        if (reservation.data.expiresAt.toMillis() > Date.now()) return false;
+
+        const orderUpdate = settleStockReservation(t, reservation, "release", "expired");
+        t.set(db.collection("orders").doc(doc.id), orderUpdate, { merge: true });
+        return true;
+      });
+      if (released) console.log(`📦 Released expired stock reservation for order ${doc.id}`);
+    } catch (err) {
+      console.error(`❌ Failed to release stock reservation ${doc.id}:`, err?.message || err);
+    }
+  }
+};
+
+// ============================
+// Seller Earnings Escrow
+// ============================
+// Sale revenue is credited to the seller's pending (escrow) account and
+// tracked per order and seller in `escrowHolds/{orderId}_{sellerId}`. It
+// becomes withdrawable when the buyer confirms delivery or ESCROW_HOLD_DAYS
+// after payment, whichever comes first. Refunds before release come out of
+// the hold. Status: held → released | refunded; only held docs carry
+// `releaseAt`, which is what the escrow sweeper queries on.
+
+const ESCROW_HOLD_DAYS = Number(process.env.ESCROW_HOLD_DAYS ?? 7);
+const ESCROW_SWEEP_INTERVAL_MS = Number(process.env.ESCROW_SWEEP_INTERVAL_MS) || 15 * 60 * 1000;
+
+const escrowHoldRef = (orderId, sellerId) => db.collection('escrowHolds').doc(`${orderId}_${sellerId}`);
+
+// Transaction write phase of a paid order: one hold per seller
+const createEscrowHolds = (t, orderId, revenueBySeller) => {
+  const releaseAt = admin.firestore.Timestamp.fromMillis(Date.now() + ESCROW_HOLD_DAYS * 24 * 60 * 60 * 1000);
+  Object.entries(revenueBySeller).forEach(([sellerId, amount]) => {
+    if (toCents(amount) <= 0) return;
+    t.set(escrowHoldRef(orderId, sellerId), {
+      orderId,
+      sellerId,
+      amount: fromCents(toCents(amount)),
+      status: 'held',
+      releaseAt,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  });
+};
+
+// Moves a held amount to the seller's available earnings. Returns the
+// released amount, or null if the hold was already settled.
+const releaseEscrowHold = async (holdRef, reason) => {
+  const released = await db.runTransaction(async (t) => {
+    const snap = await t.get(holdRef);
+    if (!snap.exists || snap.data().status !== 'held') return null;
+
+    const hold = snap.data();
+    let entryId = null;
+    if (toCents(hold.amount) > 0) {
+      ({ entryId } = await postLedgerEntry(t, escrowReleaseLedgerEntry(hold.orderId, hold.sellerId, hold.amount)));
+    }
+    t.update(holdRef, {
+      status: 'released',
+      releaseReason: reason,
+      ledgerEntryId: entryId,
+      releasedAt: admin.firestore.FieldValue.serverTimestamp(),
+      releaseAt: admin.firestore.FieldValue.delete()
+    });
+    return hold.amount;
+  });
+
+  if (released !== null) console.log(`🔓 Released KSH ${released} escrow for ${holdRef.id} (${reason})`);
+  return released;
+};
+
+const releaseOrderEscrow = async (orderId, sellerIds, reason) => {
+  const results = {};
+  for (const sellerId of sellerIds) {
+    results[sellerId] = await releaseEscrowHold(escrowHoldRef(orderId, sellerId), reason);
+  }
+  return results;
+};
+
+const releaseDueEscrowHolds = async () => {
+  const snap = await db
+    .collection('escrowHolds')
+    .where('releaseAt', '<=', admin.firestore.Timestamp.now())
+    .limit(100)
+    .get();
+
+  for (const doc of snap.docs) {
+    try {
+      await releaseEscrowHold(doc.ref, 'hold_period_elapsed');
+    } catch (err) {
+      console.error(`❌ Escrow release failed for ${doc.id}:`, err?.message || err);
+    }
+  }
+};
+
+// Paid-out withdrawals: what the seller's withdrawal postings took off their
+// accounts, less reversals, plus what was withdrawn before the ledger opened
+const getSellerWithdrawnTotal = async (sellerId) => {
+  const { AggregateField } = admin.firestore;
+  const sellerPostings = db.collection('ledgerPostings').where('ownerId', '==', sellerId);
+  const [withdrawnSnap, reversedSnap, openingSnap] = await Promise.all([
+    sellerPostings.where('entryType', '==', LEDGER_ENTRY_TYPES.WITHDRAWAL)
+      .aggregate({ amount: AggregateField.sum('debit') }).get(),
+    sellerPostings.where('entryType', '==', LEDGER_ENTRY_TYPES.WITHDRAWAL_REVERSAL)
+      .aggregate({ amount: AggregateField.sum('credit') }).get(),
+    db.collection('ledgerEntries').doc(`opening:seller:${sellerId}`).get()
+  ]);
+  const legacyWithdrawn = openingSnap.exists ? openingSnap.data().metadata?.legacyWithdrawn || 0 : 0;
+
+  return fromCents(
+    toCents(legacyWithdrawn) + toCents(withdrawnSnap.data().amount) - toCents(reversedSnap.data().amount)
+  );
+};
+
+const getSellerBalances = async (sellerId) => {
+  await ensureSellerLedgerOpened(sellerId);
+
+  const [[pendingSnap, availableSnap, holdsSnap], withdrawn] = await Promise.all([
+    db.getAll(
+      db.collection('ledgerAccounts').doc(LEDGER_ACCOUNTS.sellerPendingEarnings(sellerId).id),
+      db.collection('ledgerAccounts').doc(LEDGER_ACCOUNTS.sellerEarnings(sellerId).id),
+      db.collection('ledgerAccounts').doc(LEDGER_ACCOUNTS.sellerPayoutHolds(sellerId).id)
+    ),
+    getSellerWithdrawnTotal(sellerId)
+  ]);
+  const balanceOf = (snap) => (snap.exists ? snap.data().balance || 0 : 0);
+
+  return {
+    pending: balanceOf(pendingSnap),
+    available: balanceOf(availableSnap),
+    processing: balanceOf(holdsSnap),
+    withdrawn: Math.max(0, withdrawn)
+  };
+};
+
+// ============================
+// Order Fulfilment
+// ============================
+// Each seller group on a paid order moves through its own lifecycle:
+// paid → accepted → dispatched → delivered, or cancelled before dispatch.
+// Status lives on `sellerGroups[].fulfilmentStatus` and every change is
+// appended to the order's `fulfilmentHistory`. Admins may make any listed
+// transition; everyone else only the ones granted to their role.
+
+const FULFILMENT_TRANSITIONS = {
+  paid: { accepted: ['seller'], cancelled: ['seller', 'buyer'] },
+  accepted: { dispatched: ['seller'], cancelled: ['seller'] },
+  dispatched: { delivered: ['buyer'] },
+  delivered: {},
+  cancelled: {}
+};
+
+// Orders from before checkout priced them have no sellerGroups, so one
+// group per seller is derived from the items
+const getFulfilmentGroups = (order) => {
+  const groups = Array.isArray(order.sellerGroups) && order.sellerGroups.length
+    ? order.sellerGroups
+    : Object.keys(getSellerRevenueByOrder(order)).map((sellerId) => ({
+        sellerId,
+        items: getOrderItems(order).filter((item) => item.sellerId === sellerId)
+      }));
+  return groups.map((group) => ({ ...group, fulfilmentStatus: group.fulfilmentStatus || 'paid' }));
+};
+
+const canTransitionFulfilment = (from, to, role) => {
+  const allowedRoles = FULFILMENT_TRANSITIONS[from]?.[to];
+  return !!allowedRoles && (role === 'admin' || allowedRoles.includes(role));
+};
+
+// Order fields that move the `sellerIds` groups to `to`, or { error, status }.
+// With `skipInvalid`, groups that can't make the move are left as they are.
+const buildFulfilmentUpdate = (order, sellerIds, to, actor, { note = null, skipInvalid = false } = {}) => {
+  const groups = getFulfilmentGroups(order);
+  const now = admin.firestore.Timestamp.now();
+  const history = [];
+
+  for (const sellerId of sellerIds) {
+    const group = groups.find((g) => g.sellerId === sellerId);
+    if (!group) return { error: 'That seller is not part of this order', status: 400 };
+    if (!canTransitionFulfilment(group.fulfilmentStatus, to, actor.role)) {
+      if (skipInvalid) continue;
+      return { error: `Order is ${group.fulfilmentStatus} and cannot be marked ${to}`, status: 409 };
+    }
+
+    history.push({ sellerId, from: group.fulfilmentStatus, to, by: actor.uid, role: actor.role, note, at: now });
+    group.fulfilmentStatus = to;
+    group.fulfilmentUpdatedAt = now;
+  }
+
+  if (!history.length) return { update: {}, history };
+  return {
+    update: {
+      sellerGroups: groups,
+      fulfilmentHistory: admin.firestore.FieldValue.arrayUnion(...history)
+    },
+    history
+  };
+};
+
+// Fields that open fulfilment when an order is paid
+const initialFulfilmentFields = (order) => {
+  const now = admin.firestore.Timestamp.now();
+  const groups = getFulfilmentGroups(order);
+  return {
+    sellerGroups: groups,
+    fulfilmentHistory: admin.firestore.FieldValue.arrayUnion(
+      ...groups.map((group) => ({ sellerId: group.sellerId, from: null, to: 'paid', by: 'system', role: 'system', note: null, at: now }))
+    )
+  };
+};
+
+// Moves seller groups through accepted, dispatched or delivered. Cancelling
+// refunds the buyer, so it goes through createRefund instead.
+const transitionFulfilment = async (orderRef, sellerIds, to, actor, note) => {
+  const result = await db.runTransaction(async (t) => {
+    const snap = await t.get(orderRef);
+    if (!snap.exists) return { error: 'Order not found', status: 404 };
+
+    const order = snap.data();
+    if (order.paymentStatus !== 'paid') return { error: 'Only paid orders can be fulfilled', status: 409 };
+
+    const fulfilment = buildFulfilmentUpdate(order, sellerIds, to, actor, { note });
+    if (fulfilment.error) return fulfilment;
+
+    t.update(orderRef, { ...fulfilment.update, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+    return { order, groups: fulfilment.update.sellerGroups };
+  });
+
+  if (result.error) return result;
+
+  // Delivery is what the escrow hold waits for
+  if (to === 'delivered') {
+    result.released = await releaseOrderEscrow(orderRef.id, sellerIds, 'delivery_confirmed');
+    await orderRef.update({
+      deliveryConfirmedSellerIds: admin.firestore.FieldValue.arrayUnion(...sellerIds),
+      deliveryConfirmedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  }
+
+  sellerIds.forEach((sellerId) => {
+    const group = result.groups.find((g) => g.sellerId === sellerId);
+    sendFulfilmentEmail(orderRef.id, result.order, group, to, { note })
+      .then((sent) => {
+        if (!sent) console.log(`❌ Failed to send ${to} email for order ${orderRef.id}`);
+      })
+      .catch((err) => console.error('Fulfilment email error:', err));
+  });
+
+  console.log(`🚚 Order ${orderRef.id} ${sellerIds.join(', ')} → ${to} by ${actor.uid}`);
+  return result;
+};
+
+// ============================
+// Refunds & Cancellation
+// ============================
+// Buyers and admins cancel unpaid orders outright. Paid orders are refunded
+// in full, per seller group or per item: one transaction restocks the
+// products, takes the revenue back from the sellers and records what the
+// buyer is owed; the money then goes back as an IntaSend refund (reversal of
+// the original M-Pesa payment) or a B2C payout.
+// Refund status: PENDING → PROCESSING → COMPLETED | FAILED (admins can retry).
+
+const REFUND_METHODS = ['chargeback', 'b2c'];
+const DEFAULT_REFUND_METHOD = REFUND_METHODS.includes(process.env.REFUND_METHOD) ? process.env.REFUND_METHOD : 'chargeback';
+const CHARGEBACK_SUCCESS_STATUSES = ['complete', 'completed', 'approved', 'refunded', 'successful'];
+const CHARGEBACK_FAILURE_STATUSES = ['rejected', 'failed', 'declined', 'cancelled', 'canceled'];
+
+// Works out what is still refundable: `sellerId` refunds that seller's
+// group (items and delivery), `items` ([{ productId, quantity }]) refunds
+// single items, and neither refunds whatever is left of the order.
+const calculateRefund = (order, { sellerId, items: requestedItems } = {}) => {
+  const orderItems = getOrderItems(order);
+  const refundedItems = order.refundedItems || {};
+  const refundedDelivery = order.refundedDeliverySellerIds || [];
+  const remainingPaidCents = toCents(order.totalAmount) - toCents(order.refundedAmount);
+  const remainingQuantity = (item) => (Number(item.quantity) || 0) - (refundedItems[item.productId] || 0);
+
+  let scope = 'order';
+  let lines = [];
+  let deliveryGroups = [];
+
+  if (Array.isArray(requestedItems) && requestedItems.length) {
+    scope = 'items';
+    const quantities = new Map();
+    for (const line of requestedItems) {
+      const quantity = Number(line?.quantity);
+      if (!line?.productId || !Number.isInteger(quantity) || quantity <= 0) {
+        return { valid: false, message: 'Each item needs a productId and a whole-number quantity' };
+      }
+      quantities.set(line.productId, (quantities.get(line.productId) || 0) + quantity);
+    }
+    for (const [productId, quantity] of quantities) {
+      const item = orderItems.find((orderItem) => orderItem.productId === productId);
+      if (!item) return { valid: false, message: `Product ${productId} is not part of this order` };
+      if (quantity > remainingQuantity(item)) {
+        return { valid: false, message: `Only ${remainingQuantity(item)} of ${item.name || productId} can be refunded` };
+      }
+      lines.push({ item, quantity });
+    }
+  } else {
+    if (sellerId) scope = 'seller';
+    const inScope = orderItems.filter((item) => !sellerId || item.sellerId === sellerId);
+    if (sellerId && !inScope.length) return { valid: false, message: 'That seller is not part of this order' };
+
+    lines = inScope
+      .map((item) => ({ item, quantity: remainingQuantity(item) }))
+      .filter((line) => line.quantity > 0);
+    deliveryGroups = (order.sellerGroups || []).filter((group) =>
+      (!sellerId || group.sellerId === sellerId) &&
+      !refundedDelivery.includes(group.sellerId) &&
+      toCents(group.deliveryCost) > 0
+    );
+  }
+
+  const items = lines.map(({ item, quantity }) => ({
+    productId: item.productId || null,
+    sellerId: item.sellerId || null,
+    name: item.name || 'Item',
+    price: Number(item.price) || 0,
+    quantity
+  }));
+
+  const sellerCents = {};
+  let amountCents = 0;
+  items.forEach((item) => {
+    const cents = toCents(item.price) * item.quantity;
+    amountCents += cents;
+    if (item.sellerId) sellerCents[item.sellerId] = (sellerCents[item.sellerId] || 0) + cents;
+  });
+  const deliveryRefunds = deliveryGroups.map((group) => ({ sellerId: group.sellerId, amount: group.deliveryCost }));
+  deliveryRefunds.forEach((delivery) => { amountCents += toCents(delivery.amount); });
+
+  // A full refund returns exactly what is left of the payment, coupons included
+  if (scope === 'order') amountCents = remainingPaidCents;
+  amountCents = Math.min(amountCents, remainingPaidCents);
+  if (amountCents <= 0) return { valid: false, message: 'Nothing left to refund on this order' };
+
+  const sellerAmounts = {};
+  Object.entries(sellerCents).forEach(([id, cents]) => { sellerAmounts[id] = fromCents(cents); });
+
+  return {
+    valid: true,
+    scope,
+    items,
+    deliveryRefunds,
+    sellerAmounts,
+    amount: fromCents(amountCents),
+    fullyRefunded: amountCents >= remainingPaidCents
+  };
+};
+
+// Cancels an order that hasn't been paid and releases its stock
+const cancelUnpaidOrder = async (orderRef, { cancelledBy, reason }) =>
+  db.runTransaction(async (t) => {
+    const orderSnap = await t.get(orderRef);
+    const order = orderSnap.data();
+    if (order.paymentStatus === 'paid') return { cancelled: false, message: 'Order has been paid - request a refund instead' };
+    if (order.status === 'CANCELLED') return { cancelled: false, message: 'Order is already cancelled' };
+
+    const reservation = await readStockReservation(t, orderRef.id);
+    const stockUpdate = reservation ? settleStockReservation(t, reservation, 'release', 'order_cancelled') : {};
+
+    t.update(orderRef, {
+      ...stockUpdate,
+      status: 'CANCELLED',
+      paymentStatus: 'cancelled',
+      cancelledBy,
+      cancellationReason: reason || null,
+      cancelledAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return { cancelled: true };
+  });
+
+// Records a refund against a paid order: restocks, reverses seller revenue
+// and marks the refunded lines on the order, all in one transaction.
+// Refunding whole seller groups also cancels their fulfilment, so `actor`
+// ({ uid, role }) must be allowed to cancel each group at its current status.
+const createRefund = async (orderRef, refundRef, { sellerId, items, reason, method, requestedBy, requestedByAdmin, actor }) => {
+  const orderSnap = await orderRef.get();
+  const sellerIds = [...new Set(getOrderItems(orderSnap.data()).map((item) => item.sellerId).filter(Boolean))];
+  for (const id of sellerIds) {
+    await ensureSellerLedgerOpened(id);
+  }
+
+  return db.runTransaction(async (t) => {
+    const snap = await t.get(orderRef);
+    const order = snap.data();
+    if (order.paymentStatus !== 'paid') {
+      return { created: false, status: 409, message: 'Only paid orders can be refunded' };
+    }
+
+    const refund = calculateRefund(order, { sellerId, items });
+    if (!refund.valid) return { created: false, status: 400, message: refund.message };
+
+    // Item refunds leave the group's status alone; admins may refund items
+    // at any stage, e.g. for a damaged delivery
+    let fulfilment = { update: {} };
+    if (actor && refund.scope === 'items' && actor.role !== 'admin') {
+      const groups = getFulfilmentGroups(order);
+      const blocked = refund.items
+        .map((item) => groups.find((group) => group.sellerId === item.sellerId))
+        .find((group) => group && !canTransitionFulfilment(group.fulfilmentStatus, 'cancelled', actor.role));
+      if (blocked) {
+        return { created: false, status: 409, message: `Items from an order that is ${blocked.fulfilmentStatus} cannot be cancelled` };
+      }
+    } else if (actor && refund.scope !== 'items') {
+      const groupSellerIds = refund.scope === 'seller' ? [sellerId] : getFulfilmentGroups(order).map((group) => group.sellerId);
+      fulfilment = buildFulfilmentUpdate(order, groupSellerIds, 'cancelled', actor, {
+        note: reason || null,
+        skipInvalid: actor.role === 'admin'
+      });
+      if (fulfilment.error) return { created: false, status: fulfilment.status, message: fulfilment.error };
+    }
+
+    let refundMethod = method || (order.invoiceId ? DEFAULT_REFUND_METHOD : 'b2c');
+    if (refundMethod === 'chargeback' && !order.invoiceId) refundMethod = 'b2c';
+    const phoneNumber = normalizePhone(order.paymentPhoneNumber || order.shippingDetails?.phoneNumber);
+    if (refundMethod === 'b2c' && !isValidPhone(phoneNumber)) {
+      return { created: false, status: 400, message: 'No valid M-Pesa number on this order to refund to' };
+    }
+
+    const restockItems = refund.items.filter((item) => item.productId);
+    const productSnaps = restockItems.length ? await t.getAll(...getProductRefs(restockItems)) : [];
+    const refundSellerIds = Object.keys(refund.sellerAmounts);
+    const holdSnaps = refundSellerIds.length
+      ? await t.getAll(...refundSellerIds.map((id) => escrowHoldRef(orderRef.id, id)))
+      : [];
+
+    // Revenue still in escrow is taken from the hold first
+    const pendingAmounts = {};
+    holdSnaps.forEach((snap, i) => {
+      if (!snap.exists || snap.data().status !== 'held') return;
+      const sellerId = refundSellerIds[i];
+      pendingAmounts[sellerId] = fromCents(Math.min(toCents(snap.data().amount), toCents(refund.sellerAmounts[sellerId])));
+    });
+
+    const { entryId } = await postLedgerEntry(t, orderRefundLedgerEntry(
+      refundRef.id,
+      orderRef.id,
+      refund.sellerAmounts,
+      refund.amount,
+      pendingAmounts
+    ));
+    adjustProductStock(t, restockItems, productSnaps, 1);
+    holdSnaps.forEach((snap, i) => {
+      const pending = pendingAmounts[refundSellerIds[i]];
+      if (pending === undefined) return;
+      const remainingCents = toCents(snap.data().amount) - toCents(pending);
+      t.update(snap.ref, remainingCents > 0
+        ? { amount: fromCents(remainingCents), refundedAmount: admin.firestore.FieldValue.increment(pending) }
+        : {
+            amount: 0,
+            refundedAmount: admin.firestore.FieldValue.increment(pending),
+            status: 'refunded',
+            releaseAt: admin.firestore.FieldValue.delete()
+          });
+    });
+
+    const refundDoc = {
+      orderId: orderRef.id,
+      buyerId: order.userId || null,
+      buyerEmail: order.userEmail || order.shippingDetails?.email || null,
+      requestedBy,
+      requestedByAdmin,
+      scope: refund.scope,
+      sellerId: sellerId || null,
+      items: refund.items,
+      deliveryRefunds: refund.deliveryRefunds,
+      sellerAmounts: refund.sellerAmounts,
+      amount: refund.amount,
+      reason: reason || null,
+      method: refundMethod,
+      invoiceId: order.invoiceId || null,
+      phoneNumber: refundMethod === 'b2c' ? phoneNumber : null,
+      status: 'PENDING',
+      ledgerEntryId: entryId,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+    t.set(refundRef, refundDoc);
+
+    const refundedItems = { ...(order.refundedItems || {}) };
+    restockItems.forEach((item) => {
+      refundedItems[item.productId] = (refundedItems[item.productId] || 0) + item.quantity;
+    });
+    const orderUpdate = {
+      ...fulfilment.update,
+      refundedItems,
+      refundedAmount: fromCents(toCents(order.refundedAmount) + toCents(refund.amount)),
+      refundStatus: refund.fullyRefunded ? 'refunded' : 'partially_refunded',
+      refundIds: admin.firestore.FieldValue.arrayUnion(refundRef.id),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+    if (refund.deliveryRefunds.length) {
+      orderUpdate.refundedDeliverySellerIds = admin.firestore.FieldValue.arrayUnion(
+        ...refund.deliveryRefunds.map((delivery) => delivery.sellerId)
+      );
+    }
+    if (refund.fullyRefunded) {
+      orderUpdate.paymentStatus = 'refunded';
+      orderUpdate.status = 'CANCELLED';
+      orderUpdate.cancelledBy = requestedBy;
+      orderUpdate.cancellationReason = reason || null;
+      orderUpdate.cancelledAt = admin.firestore.FieldValue.serverTimestamp();
+    }
+    t.update(orderRef, orderUpdate);
+
+    return { created: true, refund: refundDoc };
+  });
+};
+
+// Sends a PENDING refund to IntaSend. A provider error leaves it FAILED
+// for an admin to retry; the buyer stays owed in the ledger meanwhile.
+const submitRefund = async (refundRef, refund) => {
+  try {
+    let update;
+    if (refund.method === 'b2c') {
+      const response = await intasend.payouts().mpesa({
+        currency: 'KES',
+        requires_approval: 'NO',
+        transactions: [
+          {
+            name: 'Order Refund',
+            account: refund.phoneNumber,
+            amount: refund.amount,
+            narrative: `Refund ${refund.orderId.substring(0, 8)}`
+          }
+        ]
+      });
+      update = { trackingId: response?.tracking_id || null, providerResponse: response };
+    } else {
+      const response = await intasend.refunds().create({
+        invoice: refund.invoiceId,
+        amount: refund.amount,
+        reason: 'Unavailable service',
+        reason_details: refund.reason || 'Order cancelled'
+      });
+      update = { chargebackId: response?.chargeback_id || response?.id || null, providerResponse: response };
+    }
+
+    await refundRef.update({
+      ...update,
+      status: 'PROCESSING',
+      submittedAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return true;
+  } catch (err) {
+    console.error(`❌ IntaSend refund failed for ${refundRef.id}:`, err?.response || err);
+    await refundRef.update({
+      status: 'FAILED',
+      failureReason: 'Refund provider error',
+      providerError: err?.response || err?.message || String(err),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return false;
+  }
+};
+
+const mapChargebackStatus = (chargeback = {}) => {
+  const status = String(chargeback.status || '').toLowerCase();
+  if (CHARGEBACK_FAILURE_STATUSES.includes(status)) {
+    return { outcome: 'FAILED', reason: chargeback.status };
+  }
+  if (CHARGEBACK_SUCCESS_STATUSES.includes(status)) return { outcome: 'COMPLETED', reason: null };
+  return { outcome: 'PENDING', reason: null };
+};
+
+// Moves a PROCESSING refund to COMPLETED (the buyer has been paid, so the
+// payable is settled against cash) or FAILED
+const applyRefundOutcome = async (refundRef, outcome, details = {}) => {
+  const result = await db.runTransaction(async (t) => {
+    const snap = await t.get(refundRef);
+    if (!snap.exists || snap.data().status !== 'PROCESSING') return null;
+
+    const refund = snap.data();
+    if (outcome === 'COMPLETED') {
+      const { entryId } = await postLedgerEntry(t, refundPayoutLedgerEntry(refundRef.id, refund.amount));
+      t.update(refundRef, {
+        status: 'COMPLETED',
+        payoutEntryId: entryId,
+        providerStatus: details.providerStatus || null,
+        completedAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    } else {
+      t.update(refundRef, {
+        status: 'FAILED',
+        providerStatus: details.providerStatus || null,
+        failureReason: details.reason || 'Refund failed',
+        failedAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    }
+    return { outcome, refund };
+  });
+
+  if (!result) return null;
+
+  console.log(`↩️ Refund ${refundRef.id} ${result.outcome}`);
+  if (result.outcome === 'COMPLETED') {
+    sendRefundEmail(refundRef.id, result.refund, 'completed')
+      .then((sent) => {
+        if (!sent) console.log(`❌ Failed to send refund completion email for ${refundRef.id}`);
+      })
+      .catch((err) => console.error('Refund completion email error:', err));
+  }
+  return result;
+};
+
+const syncRefundStatus = async (refundRef, refund) => {
+  if (refund.status !== 'PROCESSING') return null;
+
+  let mapped;
+  let providerStatus;
+  if (refund.method === 'b2c') {
+    if (!refund.trackingId) return null;
+    const payout = await intasend.payouts().status({ tracking_id: refund.trackingId });
+    mapped = mapPayoutStatus(payout);
+    providerStatus = payout?.status || null;
+  } else {
+    if (!refund.chargebackId) return null;
+    const chargeback = await intasend.refunds().get(refund.chargebackId);
+    mapped = mapChargebackStatus(chargeback);
+    providerStatus = chargeback?.status || null;
+  }
+
+  if (mapped.outcome === 'PENDING') {
+    await refundRef.update({
+      providerStatus,
+      statusCheckedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return null;
+  }
+
+  return applyRefundOutcome(refundRef, mapped.outcome, { providerStatus, reason: mapped.reason });
+};
+
+const pollPendingRefunds = async () => {
+  const snap = await db
+    .collection('refunds')
+    .where('status', '==', 'PROCESSING')
+    .limit(50)
+    .get();
+
+  for (const doc of snap.docs) {
+    try {
+      await syncRefundStatus(doc.ref, doc.data());
+    } catch (err) {
+      console.error(`❌ Refund status check failed for ${doc.id}:`, err?.message || err);
+    }
+  }
+};
+
+// ============================
+// Ad Campaigns
+// ============================
+// Campaigns spend the seller's ad wallet per impression and click at platform
+// rates. A running campaign earmarks wallet credit in blocks (its `reserved`
+// amount, summed in sellerAdCredits.reservedBalance) so two campaigns can
+// never count on the same credit. A charged event only touches the campaign:
+// it spends out of that reservation and adds to the campaign's unsettled
+// spend, and a campaign that can't reserve more is paused. A background job
+// settles unsettled spend in batches, posting it to the ledger, the wallet
+// and the daily spend transaction, so those docs aren't written per event.
+// A click is only charged when it names the impression the server recorded
+// for the same viewer, and each impression can be clicked once.
+
+const AD_RATES = {
+  impression: Number(process.env.AD_COST_PER_IMPRESSION) || 0.1,
+  click: Number(process.env.AD_COST_PER_CLICK) || 5
+};
+const AD_EVENT_TYPES = Object.keys(AD_RATES);
+const AD_RESERVATION_BLOCK = Number(process.env.AD_RESERVATION_BLOCK) || 100;
+// Repeat events from the same viewer within this window are not charged
+const AD_EVENT_DEDUPE_MS = Number(process.env.AD_EVENT_DEDUPE_MS) || 30 * 60 * 1000;
+// How long after its impression a click can still be charged
+const AD_CLICK_WINDOW_MS = Number(process.env.AD_CLICK_WINDOW_MS) || 30 * 60 * 1000;
+const AD_EVENT_RATE_WINDOW_MS = 60 * 1000;
+const AD_EVENT_USER_LIMIT = Number(process.env.AD_EVENT_USER_LIMIT) || 60;
+const AD_EVENT_IP_LIMIT = Number(process.env.AD_EVENT_IP_LIMIT) || 300;
+const AD_SPEND_SETTLE_INTERVAL_MS = Number(process.env.AD_SPEND_SETTLE_INTERVAL_MS) || 60 * 1000;
+const AD_SPEND_SETTLE_BATCH_SIZE = 100;
+const MAX_CAMPAIGN_BUDGET = 500000;
+
+// Calendar day in Kenyan time, as YYYY-MM-DD
+const nairobiDate = (date = new Date()) =>
+  date.toLocaleDateString('en-CA', { timeZone: 'Africa/Nairobi' });
+
+// Checks a seller's campaign fields. With `partial`, only the fields present
+// are checked, for updates.
+const validateCampaignInput = (body = {}, { partial = false } = {}) => {
+  const data = {};
+  const has = (field) => body[field] !== undefined;
+
+  if (!partial || has('name')) {
+    if (typeof body.name !== 'string' || !body.name.trim() || body.name.length > 80) {
+      return { valid: false, message: 'Campaign name is required (max 80 characters)' };
+    }
+    data.name = body.name.trim();
+  }
+  if (!partial || has('budget')) {
+    const budget = parsePositiveNumber(body.budget);
+    if (!budget || budget > MAX_CAMPAIGN_BUDGET) {
+      return { valid: false, message: `Budget must be between KSH 1 and KSH ${MAX_CAMPAIGN_BUDGET}` };
+    }
+    data.budget = fromCents(toCents(budget));
+  }
+  if (has('dailyCap')) {
+    if (body.dailyCap === null) {
+      data.dailyCap = null;
+    } else {
+      const dailyCap = parsePositiveNumber(body.dailyCap);
+      if (!dailyCap) return { valid: false, message: 'Daily cap must be a positive amount, or null for none' };
+      data.dailyCap = fromCents(toCents(dailyCap));
+    }
+  } else if (!partial) {
+    data.dailyCap = null;
+  }
+  if (has('productId')) {
+    if (body.productId !== null && typeof body.productId !== 'string') {
+      return { valid: false, message: 'Invalid productId' };
+    }
+    data.productId = body.productId;
+  }
+
+  return { valid: true, data };
+};
+
+// Credit not yet spent or earmarked by a campaign, in cents
+const getAvailableAdCreditCents = async (sellerId) => {
+  const [accountSnap, walletSnap] = await db.getAll(
+    db.collection('ledgerAccounts').doc(LEDGER_ACCOUNTS.sellerAdWallet(sellerId).id),
+    db.collection('sellerAdCredits').doc(sellerId)
+  );
+  const balance = accountSnap.exists ? toCents(accountSnap.data().balance) : 0;
+  const reserved = walletSnap.exists ? toCents(walletSnap.data().reservedBalance) : 0;
+  return balance - reserved;
+};
+
+// Sellers can set `lowBalanceThreshold` on their wallet. The alert goes out
+// once when spending takes the balance below it and is re-armed when the
+// balance is back at or above it. Returns the wallet fields to write.
+const checkLowBalance = (wallet, balanceCents) => {
+  const thresholdCents = toCents(wallet.lowBalanceThreshold);
+  const below = balanceCents < thresholdCents;
+  if (!thresholdCents || below === Boolean(wallet.lowBalanceAlerted)) return { alert: false, fields: {} };
+  return { alert: below, fields: { lowBalanceAlerted: below } };
+};
+
+// Stages a pause on `t`, handing the campaign's reservation back to the wallet
+const stagePauseCampaign = (t, campaignRef, campaign, walletRef, walletSnap, reason) => {
+  const reservedCents = toCents(campaign.reserved);
+  t.update(campaignRef, {
+    status: 'paused',
+    pausedReason: reason,
+    pausedAt: admin.firestore.FieldValue.serverTimestamp(),
+    reserved: 0,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+  if (reservedCents && walletSnap.exists) {
+    t.update(walletRef, {
+      reservedBalance: fromCents(Math.max(0, toCents(walletSnap.data().reservedBalance) - reservedCents)),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  }
+};
+
+const pauseCampaign = async (campaignRef, reason) =>
+  db.runTransaction(async (t) => {
+    const campaignSnap = await t.get(campaignRef);
+    if (!campaignSnap.exists) return { paused: false, status: 404, message: 'Campaign not found' };
+    const campaign = campaignSnap.data();
+    if (campaign.status !== 'active') return { paused: false, status: 409, message: `Campaign is already ${campaign.status}` };
+
+    const walletRef = db.collection('sellerAdCredits').doc(campaign.sellerId);
+    const walletSnap = await t.get(walletRef);
+    stagePauseCampaign(t, campaignRef, campaign, walletRef, walletSnap, reason);
+    return { paused: true };
+  });
+
+// In-memory fixed-window counter. `hit(key)` returns false once `key` has
+// used up `max` requests in the current window. Limits are per process.
+const createRateLimiter = ({ windowMs, max }) => {
+  const windows = new Map();
+  return (key) => {
+    const now = Date.now();
+    let entry = windows.get(key);
+    if (!entry || entry.resetAt <= now) {
+      if (windows.size >= 10000) {
+        windows.forEach((e, k) => { if (e.resetAt <= now) windows.delete(k); });
+      }
+      entry = { count: 0, resetAt: now + windowMs };
+      windows.set(key, entry);
+    }
+    entry.count += 1;
+    return entry.count <= max;
+  };
+};
+
+const adEventUserLimiter = createRateLimiter({ windowMs: AD_EVENT_RATE_WINDOW_MS, max: AD_EVENT_USER_LIMIT });
+const adEventIpLimiter = createRateLimiter({ windowMs: AD_EVENT_RATE_WINDOW_MS, max: AD_EVENT_IP_LIMIT });
+
+// A click must name the impression it follows: one recorded by the server
+// for the same campaign and viewer, recently enough, and not clicked yet
+const checkClickImpression = (impressionSnap, campaignId, viewerId) => {
+  const impression = impressionSnap?.exists ? impressionSnap.data() : null;
+  if (!impression || impression.type !== 'impression' ||
+      impression.campaignId !== campaignId || impression.viewerId !== viewerId) {
+    return 'invalid_impression';
+  }
+  if (impression.clickedAt) return 'duplicate';
+  const shownAtMs = impression.createdAt?.toMillis?.() || 0;
+  if (Date.now() - shownAtMs > AD_CLICK_WINDOW_MS) return 'impression_expired';
+  return null;
+};
+
+// Charges one impression or click by `viewerId`. Clicks pass the impressionId
+// returned for their impression. Returns { charged, reason, impressionId }.
+const chargeAdEvent = async (campaignRef, type, viewerId, impressionId) => {
+  const today = nairobiDate();
+  const eventId = `${campaignRef.id}_${type}_${viewerId}_${Math.floor(Date.now() / AD_EVENT_DEDUPE_MS)}`;
+  const eventRef = db.collection('adEvents').doc(eventId);
+  const impressionRef = type === 'click' ? db.collection('adEvents').doc(impressionId) : null;
+  const costCents = toCents(AD_RATES[type]);
+
+  const result = await db.runTransaction(async (t) => {
+    const [campaignSnap, eventSnap, impressionSnap] = await t.getAll(campaignRef, eventRef, ...(impressionRef ? [impressionRef] : []));
+    if (!campaignSnap.exists) return { charged: false, status: 404, reason: 'not_found' };
+
+    const campaign = campaignSnap.data();
+    if (campaign.status !== 'active') return { charged: false, reason: 'not_active' };
+    if (viewerId === campaign.sellerId) return { charged: false, reason: 'own_campaign' };
+    if (eventSnap.exists) {
+      return { charged: false, reason: 'duplicate', ...(type === 'impression' && { impressionId: eventId }) };
+    }
+    if (impressionRef) {
+      const reason = checkClickImpression(impressionSnap, campaignRef.id, viewerId);
+      if (reason) return { charged: false, reason };
+    }
+
+    const { sellerId } = campaign;
+    const walletRef = db.collection('sellerAdCredits').doc(sellerId);
+
+    const spentTodayCents = campaign.spendDate === today ? toCents(campaign.spentToday) : 0;
+    const budgetLeftCents = toCents(campaign.budget) - toCents(campaign.spent);
+    const dailyLeftCents = campaign.dailyCap ? toCents(campaign.dailyCap) - spentTodayCents : Infinity;
+    if (costCents > budgetLeftCents) {
+      stagePauseCampaign(t, campaignRef, campaign, walletRef, await t.get(walletRef), 'budget_exhausted');
+      return { charged: false, reason: 'budget_exhausted', paused: true, sellerId };
+    }
+    if (costCents > dailyLeftCents) return { charged: false, reason: 'daily_cap_reached' };
+
+    // The wallet is only read when the reservation needs topping up, so
+    // ordinary events don't contend on it
+    const reservedCents = toCents(campaign.reserved);
+    let topUpCents = 0;
+    if (reservedCents < costCents) {
+      const [walletSnap, accountSnap] = await t.getAll(
+        walletRef,
+        db.collection('ledgerAccounts').doc(LEDGER_ACCOUNTS.sellerAdWallet(sellerId).id)
+      );
+      const walletReservedCents = walletSnap.exists ? toCents(walletSnap.data().reservedBalance) : 0;
+      const balanceCents = accountSnap.exists ? toCents(accountSnap.data().balance) : 0;
+      topUpCents = Math.max(0, Math.min(
+        toCents(AD_RESERVATION_BLOCK),
+        budgetLeftCents - reservedCents,
+        dailyLeftCents - reservedCents,
+        balanceCents - walletReservedCents
+      ));
+      if (reservedCents + topUpCents < costCents) {
+        stagePauseCampaign(t, campaignRef, campaign, walletRef, walletSnap, 'insufficient_balance');
+        return { charged: false, reason: 'insufficient_balance', paused: true, sellerId };
+      }
+      if (topUpCents) {
+        t.set(walletRef, {
+          sellerId,
+          reservedBalance: fromCents(walletReservedCents + topUpCents),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        }, { merge: true });
+      }
+    }
+
+    const cost = fromCents(costCents);
+    const unsettled = campaign.unsettledSpend?.[today] || {};
+    t.create(eventRef, {
+      campaignId: campaignRef.id,
+      sellerId,
+      type,
+      viewerId,
+      cost,
+      ...(impressionRef && { impressionId }),
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    if (impressionRef) {
+      t.update(impressionRef, { clickEventId: eventId, clickedAt: admin.firestore.FieldValue.serverTimestamp() });
+    }
+    t.update(campaignRef, {
+      reserved: fromCents(reservedCents + topUpCents - costCents),
+      spent: fromCents(toCents(campaign.spent) + costCents),
+      spentToday: fromCents(spentTodayCents + costCents),
+      spendDate: today,
+      [type === 'click' ? 'clicks' : 'impressions']: admin.firestore.FieldValue.increment(1),
+      [`unsettledSpend.${today}`]: {
+        amount: fromCents(toCents(unsettled.amount) + costCents),
+        impressions: (unsettled.impressions || 0) + (type === 'impression' ? 1 : 0),
+        clicks: (unsettled.clicks || 0) + (type === 'click' ? 1 : 0)
+      },
+      spendUnsettled: true,
+      lastChargedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return { charged: true, cost, sellerId, ...(type === 'impression' && { impressionId: eventId }) };
+  });
+
+  if (result.paused) {
+    console.log(`⏸️ Campaign ${campaignRef.id} auto-paused: ${result.reason}`);
+  }
+  return result;
+};
+
+// Moves a campaign's unsettled spend onto the ledger and the wallet. The
+// spend already came out of the campaign's reservation, so it leaves the
+// wallet's reservedBalance along with its balance. Settlements are numbered
+// per campaign so each gets its own ledger entry.
+const settleCampaignSpend = async (campaignRef) => {
+  const result = await db.runTransaction(async (t) => {
+    const campaignSnap = await t.get(campaignRef);
+    if (!campaignSnap.exists) return {};
+
+    const campaign = campaignSnap.data();
+    const days = Object.entries(campaign.unsettledSpend || {}).filter(([, day]) => toCents(day.amount) > 0);
+    if (!days.length) {
+      t.update(campaignRef, { spendUnsettled: false });
+      return {};
+    }
+
+    const { sellerId } = campaign;
+    const walletRef = db.collection('sellerAdCredits').doc(sellerId);
+    const spendTxRefs = days.map(([date]) => db.collection('adTransactions').doc(`adspend_${campaignRef.id}_${date}`));
+    const [walletSnap, ...spendTxSnaps] = await t.getAll(walletRef, ...spendTxRefs);
+
+    const amountCents = days.reduce((sum, [, day]) => sum + toCents(day.amount), 0);
+    const settlementId = `${campaignRef.id}_${(campaign.spendSettlements || 0) + 1}`;
+    await postLedgerEntry(t, adSpendLedgerEntry(settlementId, sellerId, fromCents(amountCents), `Ad spend - ${campaign.name}`));
+
+    t.update(campaignRef, {
+      unsettledSpend: admin.firestore.FieldValue.delete(),
+      spendUnsettled: false,
+      spendSettlements: admin.firestore.FieldValue.increment(1),
+      lastSettledAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    // sellerAdCredits mirrors the ledger ad-wallet account for the frontend
+    const wallet = walletSnap.exists ? walletSnap.data() : {};
+    const balanceCents = toCents(wallet.balance) - amountCents;
+    const lowBalance = checkLowBalance(wallet, balanceCents);
+    t.set(walletRef, {
+      sellerId,
+      balance: fromCents(balanceCents),
+      totalSpent: fromCents(toCents(wallet.totalSpent) + amountCents),
+      reservedBalance: fromCents(Math.max(0, toCents(wallet.reservedBalance) - amountCents)),
+      ...lowBalance.fields,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+
+    // One spend transaction per campaign per day keeps the wallet history readable
+    days.forEach(([date, day], i) => {
+      const spendTx = spendTxSnaps[i].exists ? spendTxSnaps[i].data() : null;
+      t.set(spendTxRefs[i], {
+        paymentRef: spendTxRefs[i].id,
+        sellerId,
+        campaignId: campaignRef.id,
+        campaignName: campaign.name,
+        type: 'spend',
+        amount: fromCents(toCents(spendTx?.amount) + toCents(day.amount)),
+        impressions: (spendTx?.impressions || 0) + (day.impressions || 0),
+        clicks: (spendTx?.clicks || 0) + (day.clicks || 0),
+        status: 'completed',
+        date,
+        description: `Ad spend - ${campaign.name} (${date})`,
+        ...(!spendTx && {
+          timestamp: admin.firestore.FieldValue.serverTimestamp(),
+          createdAt: admin.firestore.FieldValue.serverTimestamp()
+        }),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      }, { merge: true });
+    });
+
+    return {
+      sellerId,
+      lowBalance: lowBalance.alert ? { balance: fromCents(balanceCents), threshold: wallet.lowBalanceThreshold } : null
+    };
+  });
+
+  if (result.lowBalance) {
+    sendAdWalletEmail('low_balance', result.sellerId, result.lowBalance)
+      .then((sent) => {
+        if (!sent) console.log(`❌ Failed to send low balance email to seller ${result.sellerId}`);
+      })
+      .catch((err) => console.error('Low balance email error:', err));
+  }
+  return result;
+};
+
+const settlePendingAdSpend = async () => {
+  const snap = await db
+    .collection('adCampaigns')
+    .where('spendUnsettled', '==', true)
+    .limit(AD_SPEND_SETTLE_BATCH_SIZE)
+    .get();
+
+  for (const doc of snap.docs) {
+    try {
+      await settleCampaignSpend(doc.ref);
+    } catch (err) {
+      console.error(`❌ Ad spend settlement failed for campaign ${doc.id}:`, err);
+    }
+  }
+};
+
+// ============================
+// Ad Wallet Refunds
+// ============================
+// Sellers can take unused ad credit back to M-Pesa, less a refund fee. Only
+// credit no campaign has reserved can be refunded. The request moves the
+// amount from the wallet into refund holds in one transaction; the hold is
+// settled when the B2C payout completes and returned to the wallet if it
+// fails. Payout status comes from the same webhook and poller as withdrawals.
+// Status: PENDING_PAYOUT → PAYOUT_INITIATED → COMPLETED | FAILED
+// (PAYOUT_FAILED when IntaSend rejects the request outright).
+
+const AD_REFUND_FEE_RATE = Number(process.env.AD_REFUND_FEE_RATE ?? 0.05);
+const AD_REFUND_MIN_FEE = Number(process.env.AD_REFUND_MIN_FEE ?? 20);
+
+const calculateAdRefundFee = (amount) =>
+  fromCents(Math.max(toCents(AD_REFUND_MIN_FEE), Math.round(toCents(amount) * AD_REFUND_FEE_RATE)));
+
+const adRefundTransactionRef = (refundId) => db.collection('adTransactions').doc(`adrefund_${refundId}`);
+
+// Creates the refund with its hold. `amount` defaults to all unreserved
+// credit. Returns { reserved: false, status, message } when it can't go ahead.
+const reserveAdWalletRefund = async (refundRef, { sellerId, amount: requestedAmount, phoneNumber }) => {
+  const adWallet = LEDGER_ACCOUNTS.sellerAdWallet(sellerId);
+  const walletRef = db.collection('sellerAdCredits').doc(sellerId);
+
+  return db.runTransaction(async (t) => {
+    const [accountSnap, walletSnap] = await t.getAll(db.collection('ledgerAccounts').doc(adWallet.id), walletRef);
+    const wallet = walletSnap.exists ? walletSnap.data() : {};
+    const availableCents = (accountSnap.exists ? toCents(accountSnap.data().balance) : 0) - toCents(wallet.reservedBalance);
+
+    const amount = requestedAmount ?? fromCents(Math.max(0, availableCents));
+    if (toCents(amount) <= 0) {
+      return { reserved: false, status: 400, message: 'There is no unused ad credit to refund' };
+    }
+    if (toCents(amount) > availableCents) {
+      return {
+        reserved: false,
+        status: 400,
+        message: toCents(wallet.reservedBalance)
+          ? `Only ${formatKsh(fromCents(availableCents))} can be refunded. Pause your campaigns to release reserved credit.`
+          : 'Insufficient ad wallet balance'
+      };
+    }
+    const feeAmount = calculateAdRefundFee(amount);
+    const netPayout = fromCents(toCents(amount) - toCents(feeAmount));
+    if (netPayout <= 0) {
+      return {
+        reserved: false,
+        status: 400,
+        message: `Refund amount must be greater than the refund fee of ${formatKsh(feeAmount)}`
+      };
+    }
+
+    const { entryId } = await postLedgerEntry(t, adRefundHoldLedgerEntry({ refundId: refundRef.id, sellerId, amount }));
+
+    const refund = { sellerId, amount, feeAmount, netPayout, phoneNumber };
+    t.set(refundRef, {
+      ...refund,
+      status: 'PENDING_PAYOUT',
+      holdEntryId: entryId,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    t.set(walletRef, {
+      sellerId,
+      balance: fromCents(toCents(wallet.balance) - toCents(amount)),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+    t.set(adRefundTransactionRef(refundRef.id), {
+      paymentRef: `adrefund_${refundRef.id}`,
+      refundId: refundRef.id,
+      sellerId,
+      type: 'refund',
+      amount,
+      feeAmount,
+      netPayout,
+      phoneNumber,
+      status: 'pending',
+      description: `Ad wallet refund - KSH ${amount.toFixed(2)}`,
+      timestamp: admin.firestore.FieldValue.serverTimestamp(),
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return { reserved: true, refund, available: fromCents(availableCents - toCents(amount)) };
+  });
+};
+
+// Puts a failed refund back in the wallet. Runs inside the caller's
+// transaction after its reads (including `walletSnap`) and before its writes.
+const releaseAdRefundHold = async (t, refundId, refund, walletSnap, failureReason) => {
+  const { entryId } = await postLedgerEntry(t, adRefundHoldReleaseLedgerEntry({
+    refundId,
+    sellerId: refund.sellerId,
+    amount: refund.amount
+  }));
+
+  const wallet = walletSnap.exists ? walletSnap.data() : {};
+  const balanceCents = toCents(wallet.balance) + toCents(refund.amount);
+  const lowBalance = checkLowBalance(wallet, balanceCents);
+  t.set(walletSnap.ref, {
+    balance: fromCents(balanceCents),
+    ...(!lowBalance.alert && lowBalance.fields),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  }, { merge: true });
+  t.set(adRefundTransactionRef(refundId), {
+    status: 'failed',
+    failureReason,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  }, { merge: true });
+  return entryId;
+};
+
+const initiateAdWalletRefundPayout = async (refundRef, refund) => {
+  let payoutResponse;
+  try {
+    payoutResponse = await intasend.payouts().mpesa({
+      currency: 'KES',
+      requires_approval: 'NO',
+      transactions: [
+        {
+          name: 'Ad Wallet Refund',
+          account: refund.phoneNumber,
+          amount: refund.netPayout,
+          narrative: 'Ad Wallet Refund'
+        }
+      ]
+    });
+  } catch (intasendErr) {
+    console.error('❌ IntaSend ad wallet refund payout failed:', intasendErr?.response || intasendErr);
+    await db.runTransaction(async (t) => {
+      const [snap, walletSnap] = await t.getAll(refundRef, db.collection('sellerAdCredits').doc(refund.sellerId));
+      const reversalEntryId = await releaseAdRefundHold(t, refundRef.id, snap.data(), walletSnap, 'Payout provider error');
+      t.update(refundRef, {
+        status: 'PAYOUT_FAILED',
+        reversalEntryId,
+        intasendError: intasendErr?.response || intasendErr?.message || String(intasendErr),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    });
+    return { initiated: false, trackingId: null };
+  }
+
+  const trackingId = payoutResponse?.tracking_id || null;
+  const batch = db.batch();
+  batch.update(refundRef, {
+    trackingId,
+    status: 'PAYOUT_INITIATED',
+    intasendResponse: payoutResponse,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+  batch.set(adRefundTransactionRef(refundRef.id), {
+    status: 'processing',
+    trackingId,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  }, { merge: true });
+  await batch.commit();
+  return { initiated: true, trackingId };
+};
+
+// Moves a PAYOUT_INITIATED refund to COMPLETED or FAILED and emails the
+// seller. Returns null when the refund was already settled.
+const applyAdWalletRefundOutcome = async (refundRef, outcome, details = {}) => {
+  const result = await db.runTransaction(async (t) => {
+    const snap = await t.get(refundRef);
+    if (!snap.exists || snap.data().status !== 'PAYOUT_INITIATED') return null;
+
+    const refund = snap.data();
+    const walletRef = db.collection('sellerAdCredits').doc(refund.sellerId);
+    const walletSnap = await t.get(walletRef);
+
+    if (outcome === 'COMPLETED') {
+      const { entryId } = await postLedgerEntry(t, adRefundLedgerEntry({ refundId: refundRef.id, ...refund }));
+      t.update(refundRef, {
+        status: 'COMPLETED',
+        ledgerEntryId: entryId,
+        payoutStatus: details.providerStatus || null,
+        completedAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      t.set(walletRef, {
+        totalRefunded: fromCents(toCents(walletSnap.data()?.totalRefunded) + toCents(refund.amount)),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      }, { merge: true });
+      t.set(adRefundTransactionRef(refundRef.id), {
+        status: 'completed',
+        completedAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      }, { merge: true });
+      return { outcome, refund };
+    }
+
+    const failureReason = details.reason || 'Payout failed';
+    const reversalEntryId = await releaseAdRefundHold(t, refundRef.id, refund, walletSnap, failureReason);
+    t.update(refundRef, {
+      status: 'FAILED',
+      payoutStatus: details.providerStatus || null,
+      failureReason,
+      reversalEntryId,
+      failedAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return { outcome, refund: { ...refund, failureReason } };
+  });
+
+  if (!result) return null;
+
+  console.log(`💳 Ad wallet refund ${refundRef.id} ${result.outcome}`);
+  const stage = result.outcome === 'COMPLETED' ? 'refund_completed' : 'refund_failed';
+  sendAdWalletEmail(stage, result.refund.sellerId, { refundId: refundRef.id, ...result.refund })
+    .then((sent) => {
+      if (!sent) console.log(`❌ Failed to send ad wallet refund email for ${refundRef.id}`);
+    })
+    .catch((err) => console.error('Ad wallet refund email error:', err));
+  return result;
+};
+
+const syncAdWalletRefund = async (refundRef, refund) => {
+  if (refund.status !== 'PAYOUT_INITIATED' || !refund.trackingId) return null;
+
+  const payout = await intasend.payouts().status({ tracking_id: refund.trackingId });
+  const { outcome, reason } = mapPayoutStatus(payout);
+
+  if (outcome === 'PENDING') {
+    await refundRef.update({
+      payoutStatus: payout?.status || null,
+      payoutCheckedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return null;
+  }
+
+  return applyAdWalletRefundOutcome(refundRef, outcome, { providerStatus: payout?.status || null, reason });
+};
 
-    const emailSent = await sendEmail(
-      userEmail,
-      `Order Confirmation #${orderId.substring(0, 8)} - MarketMix Kenya`,
-      emailHtml,
-      'sales'
-    );
+const pollPendingAdWalletRefunds = async () => {
+  const snap = await db
+    .collection('adWalletRefunds')
+    .where('status', '==', 'PAYOUT_INITIATED')
+    .limit(50)
+    .get();
 
-    if (emailSent) {
-      try {
-        await db.collection('orderEmails').add({
-          orderId,
-          userEmail,
-          type: 'confirmation',
-          sender: 'MarketMixKenya <sales@marketmix.site>',
-          sentAt: admin.firestore.FieldValue.serverTimestamp(),
-          authenticated: true,
-          dmarc: 'configured',
-          dkim: 'signed'
-        });
-      } catch (logErr) {
-        console.error('Failed to log email:', logErr);
-      }
+  for (const doc of snap.docs) {
+    try {
+      await syncAdWalletRefund(doc.ref, doc.data());
+    } catch (err) {
+      console.error(`❌ Ad wallet refund status check failed for ${doc.id}:`, err?.message || err);
     }
-    
-    return emailSent;
-    
-  } catch (error) {
-    console.error('❌ Order confirmation email failed:', error.message);
-    return false;
   }
 };
 
 // ============================
-// Fee Constants & Helpers
+// Subscription Plans
 // ============================
-const WITHDRAWAL_THRESHOLD = 100.0;
-const FIXED_FEE_BELOW_THRESHOLD = 10.0;
-const FIXED_FEE_ABOVE_THRESHOLD = 20.0;
-const AGENCY_FEE_RATE = 0.035;
-
-function getTieredFixedFee(amount) {
-  return amount < WITHDRAWAL_THRESHOLD
-    ? FIXED_FEE_BELOW_THRESHOLD
-    : FIXED_FEE_ABOVE_THRESHOLD;
-}
-
-function calculateTotalFee(amount) {
-  const percentageFee = amount * AGENCY_FEE_RATE;
-  const fixedFee = getTieredFixedFee(amount);
-  return +(percentageFee + fixedFee).toFixed(2);
-}
+// Plans live in `subscriptionPlans/{planId}` and are managed by admins.
+// Price and duration always come from here; the client only picks a plan.
+
+const PLAN_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{1,39}$/;
+const MAX_PLAN_DURATION_DAYS = 366;
+// Subscriptions paid before the catalogue existed ran for 30 days
+const LEGACY_SUBSCRIPTION_DAYS = 30;
+
+// Checks an admin's plan fields. With `partial`, only the fields present are
+// checked, for updates.
+const validatePlanInput = (body = {}, { partial = false } = {}) => {
+  const data = {};
+  const has = (field) => body[field] !== undefined;
+
+  if (!partial || has('name')) {
+    if (typeof body.name !== 'string' || !body.name.trim() || body.name.length > 80) {
+      return { valid: false, message: 'Plan name is required (max 80 characters)' };
+    }
+    data.name = body.name.trim();
+  }
+  if (!partial || has('price')) {
+    const price = parsePositiveNumber(body.price);
+    if (!price) return { valid: false, message: 'Price must be a positive amount' };
+    data.price = fromCents(toCents(price));
+  }
+  if (!partial || has('durationDays')) {
+    const days = Number(body.durationDays);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_PLAN_DURATION_DAYS) {
+      return { valid: false, message: `Duration must be a whole number of days between 1 and ${MAX_PLAN_DURATION_DAYS}` };
+    }
+    data.durationDays = days;
+  }
+  if (has('features')) {
+    if (!Array.isArray(body.features) || body.features.some((f) => typeof f !== 'string')) {
+      return { valid: false, message: 'Features must be a list of text items' };
+    }
+    data.features = body.features.map((f) => f.trim()).filter(Boolean);
+  } else if (!partial) {
+    data.features = [];
+  }
+  if (has('limits')) {
+    const limits = body.limits;
+    if (!limits || typeof limits !== 'object' || Array.isArray(limits) ||
+        Object.values(limits).some((v) => v !== null && (!Number.isInteger(v) || v < 0))) {
+      return { valid: false, message: 'Limits must map names to whole numbers (null for unlimited)' };
+    }
+    data.limits = limits;
+  } else if (!partial) {
+    data.limits = {};
+  }
+  if (has('active')) {
+    if (typeof body.active !== 'boolean') return { valid: false, message: 'Active must be true or false' };
+    data.active = body.active;
+  } else if (!partial) {
+    data.active = true;
+  }
+  if (has('description')) {
+    if (typeof body.description !== 'string' || body.description.length > 500) {
+      return { valid: false, message: 'Description must be text of at most 500 characters' };
+    }
+    data.description = body.description.trim();
+  }
 
-function isValidPhone(phone) {
-  return typeof phone === "string" && /^(2547|2541)\d{8}$/.test(phone);
-}
+  return { valid: true, data };
+};
 
-function parsePositiveNumber(value) {
-  const n = parseFloat(value);
-  return !isNaN(n) && n > 0 ? n : null;
-}
+const getSubscriptionPlan = async (planId) => {
+  if (typeof planId !== 'string' || !planId) return null;
+  const snap = await db.collection('subscriptionPlans').doc(planId).get();
+  return snap.exists ? { id: snap.id, ...snap.data() } : null;
+};
 
-function sendServerError(res, err, msg = "Internal server error") {
-  console.error(msg, err);
-  return res.status(500).json({ success: false, message: msg });
-}
+// Resolves what a subscription payment is for and what it costs. A client
+// amount is optional; when sent it must match the plan's price.
+const priceSubscription = async (planId, clientAmount) => {
+  const plan = await getSubscriptionPlan(planId);
+  if (!plan || !plan.active) {
+    return { valid: false, status: 404, message: 'Subscription plan not found or no longer available' };
+  }
+  if (clientAmount !== undefined && clientAmount !== null && toCents(clientAmount) !== toCents(plan.price)) {
+    return {
+      valid: false,
+      status: 400,
+      message: `Amount does not match the ${plan.name} price of KSH ${plan.price.toFixed(2)}`
+    };
+  }
+  return { valid: true, plan };
+};
 
 // ============================
 // Subscription Helper Functions
 // ============================
 
+// The amount is checked against the plan later, so it's optional here
 const validateSubscriptionPayment = (data) => {
   const { amount, phoneNumber, fullName, email, orderId, planId, sellerId } = data;
   
-  if (!amount || !phoneNumber || !fullName || !email || !orderId || !planId || !sellerId) {
+  if (!phoneNumber || !fullName || !email || !orderId || !planId || !sellerId) {
     return { valid: false, message: "Missing required fields" };
   }
+  // The callback recognises subscription payments by this prefix
+  if (typeof orderId !== "string" || !/^SUB_[A-Za-z0-9_-]{1,100}$/.test(orderId)) {
+    return { valid: false, message: "orderId must start with SUB_" };
+  }
   
-  const amt = parsePositiveNumber(amount);
-  if (!amt) return { valid: false, message: "Invalid amount" };
+  const amt = amount === undefined ? undefined : parsePositiveNumber(amount);
+  if (amt === null) return { valid: false, message: "Invalid amount" };
   
   if (!isValidPhone(phoneNumber)) {
     return { valid: false, message: "Invalid phone number format. Use 2547XXXXXXXX or 2541XXXXXXXX" };
@@ -886,6 +4507,9 @@ const createSubscriptionRecord = async (subscriptionData, invoiceId) => {
       planId: subscriptionData.planId,
       planName: subscriptionData.planName,
       amount: subscriptionData.amount,
+      durationDays: subscriptionData.durationDays,
+      renewal: !!subscriptionData.renewal,
+      planChange: subscriptionData.planChange || null,
       invoiceId: invoiceId,
       status: 'pending',
       paymentMethod: 'mpesa',
@@ -896,7 +4520,8 @@ const createSubscriptionRecord = async (subscriptionData, invoiceId) => {
       createdAt: admin.firestore.FieldValue.serverTimestamp(),
       expiresAt: null,
       paymentStatus: 'pending',
-      mpesaReference: null
+      mpesaReference: null,
+      reconcileAfter: paymentReconcileAfter()
     };
     
     await subscriptionRef.set(subscriptionRecord);
@@ -922,75 +4547,827 @@ const getSubscriptionPaymentStatus = async (invoiceId) => {
     return { 
       success: true, 
       data: {
+        sellerId: subscription.sellerId,
         paymentStatus: subscription.paymentStatus || 'pending',
         mpesaReference: subscription.mpesaReference,
         status: subscription.status
       }
     };
-  } catch (error) {
-    console.error('Failed to get subscription status:', error);
-    return { success: false, message: 'Failed to check payment status' };
+  } catch (error) {
+    console.error('Failed to get subscription status:', error);
+    return { success: false, message: 'Failed to check payment status' };
+  }
+};
+
+// Stages the activation writes on transaction `t`. Callers must have done
+// all of their reads first, as Firestore transactions require; `seller` is
+// the seller's user document as read in that transaction.
+const applySubscriptionActivation = (t, subscriptionData, mpesaReference, seller) => {
+  const { orderId, planId, sellerId, sellerEmail } = subscriptionData;
+  
+  const { startMs, isRenewal } = getSubscriptionStart(seller, planId);
+  const expiresAt = new Date(startMs + (subscriptionData.durationDays || LEGACY_SUBSCRIPTION_DAYS) * DAY_MS);
+  
+  const subscriptionRef = db.collection('subscriptions').doc(orderId);
+  t.update(subscriptionRef, {
+    status: 'active',
+    paymentStatus: 'paid',
+    mpesaReference: mpesaReference || null,
+    reconcileAfter: admin.firestore.FieldValue.delete(),
+    activatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    expiresAt: expiresAt,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+  
+  const sellerRef = db.collection('users').doc(sellerId);
+  t.update(sellerRef, {
+    subscriptionPlan: planId,
+    subscriptionStatus: 'active',
+    subscriptionActive: true,
+    subscriptionExpiresAt: expiresAt,
+    ...subscriptionScheduleFields(expiresAt.getTime()),
+    scheduledPlanChange: admin.firestore.FieldValue.delete(),
+    subscriptionStartedAt: admin.firestore.FieldValue.serverTimestamp(),
+    lastSubscriptionPayment: {
+      amount: subscriptionData.amount,
+      date: admin.firestore.FieldValue.serverTimestamp(),
+      reference: mpesaReference || null,
+      orderId: orderId
+    },
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+  
+  // Keyed by orderId so a payment can only ever be recorded once
+  t.set(db.collection('subscriptionPayments').doc(orderId), {
+    sellerId,
+    planId,
+    amount: subscriptionData.amount,
+    mpesaReference: mpesaReference || null,
+    orderId,
+    status: 'completed',
+    sellerEmail,
+    paymentDate: admin.firestore.FieldValue.serverTimestamp(),
+    expiresAt: expiresAt
+  });
+  
+  // An upgrade replaces the subscription it was credited against
+  const { planChange } = subscriptionData;
+  if (planChange?.replacesOrderId) {
+    t.set(db.collection('subscriptions').doc(planChange.replacesOrderId), {
+      status: 'superseded',
+      supersededBy: orderId,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+  }
+
+  let action = isRenewal ? 'subscription_renewed' : 'subscription_activated';
+  if (planChange) action = 'subscription_upgraded';
+  logSubscriptionEvent(t, sellerId, action, {
+    planId,
+    amount: subscriptionData.amount,
+    orderId,
+    expiresAt,
+    ...(planChange && { fromPlanId: planChange.fromPlanId, proratedCredit: planChange.credit })
+  });
+  
+  return expiresAt;
+};
+
+const MPESA_REFERENCE_PATTERN = /^[A-Z0-9]{8,12}$/;
+
+// Checks a seller's claim that they paid for subscription `orderId`. Only a
+// payment that IntaSend confirms, by callback or by an invoice lookup, for
+// the same seller and plan and with an unused M-Pesa reference is accepted.
+// Activation itself always goes through processPaymentCallback.
+const confirmSubscriptionPayment = async ({ orderId, sellerId, planId, mpesaReference }) => {
+  const reference = String(mpesaReference).trim().toUpperCase();
+  if (!MPESA_REFERENCE_PATTERN.test(reference)) {
+    return { confirmed: false, status: 400, message: 'Invalid M-Pesa reference' };
+  }
+
+  const subscriptionRef = db.collection('subscriptions').doc(orderId);
+  const snap = await subscriptionRef.get();
+  if (!snap.exists) {
+    return { confirmed: false, status: 404, message: 'No subscription payment was started with this order id' };
+  }
+
+  const subscription = snap.data();
+  if (subscription.sellerId !== sellerId) {
+    return { confirmed: false, status: 403, message: 'This subscription payment belongs to another seller' };
+  }
+  if (subscription.planId !== planId) {
+    return { confirmed: false, status: 400, message: 'Plan does not match the subscription payment that was started' };
+  }
+
+  const usedSnap = await db.collection('subscriptionPayments').where('mpesaReference', '==', reference).get();
+  if (usedSnap.docs.some((doc) => doc.id !== orderId)) {
+    return { confirmed: false, status: 409, message: 'This M-Pesa reference has already been used for another payment' };
+  }
+
+  const referenceMatches = (known) => !known || String(known).toUpperCase() === reference;
+
+  // Already applied by the callback: confirming again is harmless
+  if (subscription.paymentStatus === 'paid') {
+    if (!referenceMatches(subscription.mpesaReference)) {
+      return { confirmed: false, status: 400, message: 'M-Pesa reference does not match this payment' };
+    }
+    return { confirmed: true, alreadyApplied: true, subscription };
+  }
+
+  if (!subscription.invoiceId) {
+    return { confirmed: false, status: 409, message: 'No M-Pesa payment was started for this subscription' };
+  }
+
+  let invoice;
+  try {
+    invoice = await fetchInvoiceStatus(subscription.invoiceId);
+  } catch (err) {
+    console.error(`❌ Invoice lookup failed for subscription ${orderId}:`, err?.message || err);
+    return { confirmed: false, status: 503, message: 'Could not verify the payment right now. Please try again shortly.' };
+  }
+
+  if (invoice.apiRef && invoice.apiRef !== orderId) {
+    return { confirmed: false, status: 400, message: 'The payment does not belong to this subscription' };
+  }
+  if (invoice.state !== 'COMPLETE') {
+    return {
+      confirmed: false,
+      status: 409,
+      message: `Payment has not been completed yet (status: ${invoice.state || 'unknown'})`
+    };
+  }
+  if (!referenceMatches(invoice.mpesaReference)) {
+    return { confirmed: false, status: 400, message: 'M-Pesa reference does not match this payment' };
+  }
+
+  const result = await processPaymentCallback({
+    api_ref: orderId,
+    state: invoice.state,
+    mpesa_reference: invoice.mpesaReference || reference,
+    invoice_id: subscription.invoiceId,
+    value: invoice.value
+  });
+  if (result.status !== 200) {
+    return { confirmed: false, status: 500, message: 'Payment was confirmed but could not be applied' };
+  }
+
+  await recordPaymentWebhook(
+    { apiRef: orderId, invoiceId: subscription.invoiceId, state: invoice.state, outcome: 'confirmed', verified: true },
+    { source: 'confirm-subscription', sellerId, mpesaReference: reference }
+  );
+
+  const updated = await subscriptionRef.get();
+  return { confirmed: true, alreadyApplied: !!result.duplicate, subscription: updated.data() };
+};
+
+// ============================
+// Subscription Lifecycle
+// ============================
+// Sellers with a live subscription carry `subscriptionCheckAt`, the time of
+// their next lifecycle step: a renewal reminder, expiry, or the end of the
+// grace period. The sweep advances each due seller one step:
+// active → grace (benefits kept) → expired (moved to the free plan).
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SUBSCRIPTION_GRACE_DAYS = Number(process.env.SUBSCRIPTION_GRACE_DAYS ?? 3);
+const SUBSCRIPTION_REMINDER_DAYS = (process.env.SUBSCRIPTION_REMINDER_DAYS || '7,1')
+  .split(',')
+  .map(Number)
+  .filter((days) => Number.isInteger(days) && days > 0);
+const SUBSCRIPTION_FREE_PLAN = process.env.SUBSCRIPTION_FREE_PLAN || 'free';
+const SUBSCRIPTION_SWEEP_INTERVAL_MS = Number(process.env.SUBSCRIPTION_SWEEP_INTERVAL_MS) || 60 * 60 * 1000;
+
+const LIVE_SUBSCRIPTION_STATUSES = ['active', 'grace'];
+
+const nextSubscriptionCheck = (expiresAtMs, remindersSent = []) => {
+  const reminderTimes = SUBSCRIPTION_REMINDER_DAYS
+    .filter((days) => !remindersSent.includes(days))
+    .map((days) => expiresAtMs - days * DAY_MS);
+  return admin.firestore.Timestamp.fromMillis(Math.min(...reminderTimes, expiresAtMs));
+};
+
+// Lifecycle fields for a subscription that has just been (re)activated.
+// Reminders whose time has already passed are skipped.
+const subscriptionScheduleFields = (expiresAtMs) => {
+  const remindersSent = SUBSCRIPTION_REMINDER_DAYS.filter((days) => expiresAtMs - days * DAY_MS <= Date.now());
+  return {
+    subscriptionRemindersSent: remindersSent,
+    subscriptionCheckAt: nextSubscriptionCheck(expiresAtMs, remindersSent),
+    subscriptionGraceEndsAt: admin.firestore.FieldValue.delete()
+  };
+};
+
+// A renewal of the seller's current plan extends from the current expiry,
+// also during the grace period; anything else starts today
+const getSubscriptionStart = (seller, planId) => {
+  const currentExpiryMs = seller?.subscriptionExpiresAt?.toMillis?.();
+  const isRenewal = LIVE_SUBSCRIPTION_STATUSES.includes(seller?.subscriptionStatus) &&
+    seller.subscriptionPlan === planId &&
+    !!currentExpiryMs;
+  return { startMs: isRenewal ? currentExpiryMs : Date.now(), isRenewal };
+};
+
+const logSubscriptionEvent = (t, sellerId, action, fields = {}) => {
+  t.set(db.collection('subscriptionLogs').doc(), {
+    sellerId,
+    action,
+    ...fields,
+    timestamp: admin.firestore.FieldValue.serverTimestamp()
+  });
+};
+
+// Moves one seller a step along the lifecycle. Returns the email to send,
+// or null when nothing was due.
+const advanceSubscription = async (userRef) => {
+  return db.runTransaction(async (t) => {
+    const snap = await t.get(userRef);
+    if (!snap.exists) return null;
+
+    const user = snap.data();
+    const sellerId = snap.id;
+    const planId = user.subscriptionPlan;
+    const expiresAtMs = user.subscriptionExpiresAt?.toMillis?.();
+    if (!expiresAtMs || !LIVE_SUBSCRIPTION_STATUSES.includes(user.subscriptionStatus)) {
+      t.update(userRef, { subscriptionCheckAt: admin.firestore.FieldValue.delete() });
+      return null;
+    }
+
+    const subscriptionRef = user.lastSubscriptionPayment?.orderId
+      ? db.collection('subscriptions').doc(user.lastSubscriptionPayment.orderId)
+      : null;
+    const subscriptionSnap = subscriptionRef ? await t.get(subscriptionRef) : null;
+
+    const now = Date.now();
+    const graceEndsAtMs = user.subscriptionGraceEndsAt?.toMillis?.() || expiresAtMs + SUBSCRIPTION_GRACE_DAYS * DAY_MS;
+    const base = { sellerId, planId, expiresAt: new Date(expiresAtMs) };
+
+    if (now >= graceEndsAtMs) {
+      t.update(userRef, {
+        subscriptionStatus: 'expired',
+        subscriptionActive: false,
+        subscriptionPlan: SUBSCRIPTION_FREE_PLAN,
+        previousSubscriptionPlan: planId,
+        subscriptionExpiredAt: admin.firestore.FieldValue.serverTimestamp(),
+        subscriptionCheckAt: admin.firestore.FieldValue.delete(),
+        subscriptionGraceEndsAt: admin.firestore.FieldValue.delete(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      if (subscriptionSnap?.exists && subscriptionSnap.data().status === 'active') {
+        t.update(subscriptionRef, { status: 'expired', updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+      }
+      logSubscriptionEvent(t, sellerId, 'subscription_expired', { planId, downgradedTo: SUBSCRIPTION_FREE_PLAN });
+      return { stage: 'expired', ...base };
+    }
+
+    if (now >= expiresAtMs) {
+      if (user.subscriptionStatus === 'grace') {
+        t.update(userRef, { subscriptionCheckAt: admin.firestore.Timestamp.fromMillis(graceEndsAtMs) });
+        return null;
+      }
+      const graceEndsAt = admin.firestore.Timestamp.fromMillis(graceEndsAtMs);
+      const graceUpdate = {
+        subscriptionStatus: 'grace',
+        subscriptionGraceEndsAt: graceEndsAt,
+        subscriptionCheckAt: graceEndsAt,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      };
+      // A scheduled downgrade takes over here, so renewing pays for the new plan
+      const scheduledPlanId = user.scheduledPlanChange?.planId;
+      if (scheduledPlanId) {
+        graceUpdate.subscriptionPlan = scheduledPlanId;
+        graceUpdate.previousSubscriptionPlan = planId;
+        graceUpdate.scheduledPlanChange = admin.firestore.FieldValue.delete();
+        logSubscriptionEvent(t, sellerId, 'subscription_downgraded', { fromPlanId: planId, planId: scheduledPlanId });
+      }
+      t.update(userRef, graceUpdate);
+      logSubscriptionEvent(t, sellerId, 'subscription_grace_started', { planId: scheduledPlanId || planId, graceEndsAt });
+      return {
+        stage: 'grace',
+        ...base,
+        planId: scheduledPlanId || planId,
+        graceEndsAt: new Date(graceEndsAtMs),
+        graceDays: SUBSCRIPTION_GRACE_DAYS
+      };
+    }
+
+    const sent = user.subscriptionRemindersSent || [];
+    const due = SUBSCRIPTION_REMINDER_DAYS.filter((days) => !sent.includes(days) && now >= expiresAtMs - days * DAY_MS);
+    const remindersSent = [...sent, ...due];
+    t.update(userRef, {
+      subscriptionRemindersSent: remindersSent,
+      subscriptionCheckAt: nextSubscriptionCheck(expiresAtMs, remindersSent)
+    });
+    if (!due.length) return null;
+
+    // Only the nearest reminder is sent when several fell due together
+    const daysLeft = Math.max(1, Math.ceil((expiresAtMs - now) / DAY_MS));
+    logSubscriptionEvent(t, sellerId, 'subscription_reminder_sent', { planId, reminderDays: Math.min(...due), daysLeft });
+    return { stage: 'reminder', ...base, daysLeft };
+  });
+};
+
+// Sellers activated before the lifecycle existed have no subscriptionCheckAt;
+// they are scheduled once, on the first sweep after start-up
+let legacySubscriptionsScheduled = false;
+const scheduleLegacySubscriptions = async () => {
+  const snap = await db.collection('users').where('subscriptionActive', '==', true).get();
+  let scheduled = 0;
+  for (const doc of snap.docs) {
+    const user = doc.data();
+    const expiresAtMs = user.subscriptionExpiresAt?.toMillis?.();
+    if (user.subscriptionCheckAt || !expiresAtMs) continue;
+    await doc.ref.update({
+      subscriptionStatus: LIVE_SUBSCRIPTION_STATUSES.includes(user.subscriptionStatus) ? user.subscriptionStatus : 'active',
+      ...subscriptionScheduleFields(expiresAtMs)
+    });
+    scheduled += 1;
+  }
+  if (scheduled) console.log(`📅 Scheduled lifecycle checks for ${scheduled} existing subscription(s)`);
+};
+
+const sweepSubscriptions = async () => {
+  if (!legacySubscriptionsScheduled) {
+    await scheduleLegacySubscriptions();
+    legacySubscriptionsScheduled = true;
+  }
+
+  const snap = await db
+    .collection('users')
+    .where('subscriptionCheckAt', '<=', admin.firestore.Timestamp.now())
+    .limit(100)
+    .get();
+
+  for (const doc of snap.docs) {
+    try {
+      const notice = await advanceSubscription(doc.ref);
+      if (!notice) continue;
+
+      console.log(`📅 Subscription ${notice.stage} for seller ${notice.sellerId}`);
+      const plan = await getSubscriptionPlan(notice.planId);
+      sendSubscriptionEmail(notice.stage, { ...notice, planName: plan?.name || notice.planId || 'seller' })
+        .then((sent) => {
+          if (!sent) console.log(`❌ Failed to send subscription ${notice.stage} email to ${notice.sellerId}`);
+        })
+        .catch((err) => console.error('Subscription email error:', err));
+    } catch (err) {
+      console.error(`❌ Subscription lifecycle step failed for ${doc.id}:`, err);
+    }
+  }
+};
+
+// ============================
+// Subscription Plan Changes
+// ============================
+// Upgrades take effect as soon as they are paid: the unused part of the
+// current plan is credited against the new plan's price and a fresh period
+// starts. Downgrades are not charged now; they are stored on the seller as
+// `scheduledPlanChange` and applied when the current period ends. Only one
+// upgrade can await payment at a time, and a seller in grace has to renew
+// before moving to a cheaper plan.
+
+const MIN_STK_AMOUNT = 1;
+
+// Value of the unused part of the seller's current period, in KSH
+const getProratedCredit = (seller, currentPlan) => {
+  const expiresAtMs = seller.subscriptionExpiresAt?.toMillis?.() || 0;
+  const remainingMs = Math.max(0, expiresAtMs - Date.now());
+  const price = currentPlan?.price ?? seller.lastSubscriptionPayment?.amount ?? 0;
+  const periodMs = (currentPlan?.durationDays || LEGACY_SUBSCRIPTION_DAYS) * DAY_MS;
+  return fromCents(Math.min(toCents(price), Math.floor(toCents(price) * remainingMs / periodMs)));
+};
+
+// An upgrade whose STK push is still awaiting payment. Failed pushes keep
+// status 'pending' but get a terminal paymentStatus, so that is what counts.
+const findPendingPlanChange = async (sellerId) => {
+  const snap = await db.collection('subscriptions')
+    .where('sellerId', '==', sellerId)
+    .where('paymentStatus', '==', 'pending')
+    .get();
+  const pending = snap.docs.find((doc) => doc.data().planChange && doc.data().reconcileAfter);
+  return pending ? pending.data() : null;
+};
+
+// Works out how a seller moves from their current plan to `newPlan`
+const calculatePlanChange = async (sellerId, seller, newPlan) => {
+  if (!LIVE_SUBSCRIPTION_STATUSES.includes(seller.subscriptionStatus) ||
+      !seller.subscriptionPlan || seller.subscriptionPlan === SUBSCRIPTION_FREE_PLAN) {
+    return { valid: false, status: 400, message: 'No active subscription to change. Subscribe to a plan instead.' };
+  }
+  if (seller.subscriptionPlan === newPlan.id) {
+    return { valid: false, status: 400, message: `You are already on the ${newPlan.name} plan` };
+  }
+
+  const currentPlan = await getSubscriptionPlan(seller.subscriptionPlan);
+  const currentPrice = currentPlan?.price ?? seller.lastSubscriptionPayment?.amount ?? 0;
+  const effectiveAt = seller.subscriptionExpiresAt.toDate();
+
+  if (toCents(newPlan.price) <= toCents(currentPrice)) {
+    // In grace the period has already ended, so there is no end to schedule for
+    if (seller.subscriptionStatus === 'grace') {
+      return { valid: false, status: 409, message: 'Your subscription has lapsed. Renew your current plan before switching to a cheaper one.' };
+    }
+    return { valid: true, type: 'downgrade', fromPlanId: seller.subscriptionPlan, effectiveAt };
+  }
+
+  const pendingChange = await findPendingPlanChange(sellerId);
+  if (pendingChange) {
+    return { valid: false, status: 409, message: `An upgrade to the ${pendingChange.planName} plan is still awaiting payment` };
+  }
+
+  const credit = getProratedCredit(seller, currentPlan);
+  const charge = fromCents(Math.max(toCents(MIN_STK_AMOUNT), toCents(newPlan.price) - toCents(credit)));
+  return { valid: true, type: 'upgrade', fromPlanId: seller.subscriptionPlan, credit, charge };
+};
+
+// ============================
+// IntaSend Webhook Verification
+// ============================
+const INTASEND_WEBHOOK_CHALLENGE = process.env.INTASEND_WEBHOOK_CHALLENGE;
+// Re-fetch the invoice from IntaSend before trusting the callback's `state`
+const VERIFY_INVOICE_STATUS = process.env.INTASEND_VERIFY_INVOICE_STATUS === "true";
+const TERMINAL_PAYMENT_STATES = ["COMPLETE", "FAILED", "CANCELLED"];
+
+// The callbacks are public routes, so without a challenge to check they are
+// refused outright; reconciliation still settles payments from IntaSend
+if (!INTASEND_WEBHOOK_CHALLENGE) {
+  console.error('❌ INTASEND_WEBHOOK_CHALLENGE not set - IntaSend callbacks will be rejected');
+}
+
+const verifyWebhookChallenge = (body) => {
+  if (!INTASEND_WEBHOOK_CHALLENGE) return false;
+  return typeof body.challenge === 'string' &&
+    timingSafeStringEqual(body.challenge, INTASEND_WEBHOOK_CHALLENGE);
+};
+
+const fetchInvoiceStatus = async (invoiceId) => {
+  const response = await intasend.collection().status(invoiceId);
+  const invoice = response?.invoice || {};
+  return {
+    state: invoice.state || null,
+    apiRef: invoice.api_ref || null,
+    value: parseFloat(invoice.value) || null,
+    mpesaReference: invoice.mpesa_reference || null,
+    failedReason: invoice.failed_reason || null
+  };
+};
+
+// Audit trail of every callback delivery, accepted or not
+const recordPaymentWebhook = async (entry, payload) => {
+  try {
+    const { challenge, ...safePayload } = payload || {};
+    await db.collection('paymentWebhooks').add({
+      ...entry,
+      payload: safePayload,
+      receivedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  } catch (err) {
+    console.error('Failed to record payment webhook:', err);
+  }
+};
+
+// ============================
+// Withdrawal Reservations
+// ============================
+// A withdrawal first reserves its amount: one transaction checks the seller's
+// earnings balance and moves the amount into payout holds, so concurrent
+// requests can never spend the same money twice. The hold is settled when
+// the payout completes and released back to earnings when it fails.
+// Requests from the same seller are also serialized with a short-lived lock.
+
+const WITHDRAWAL_LOCK_TTL_MS = Number(process.env.WITHDRAWAL_LOCK_TTL_MS) || 2 * 60 * 1000;
+
+// Returns a lock token, or null while another request holds the seller's
+// lock. Locks expire on their own so a crashed request can't block a seller.
+const acquireWithdrawalLock = async (sellerId) => {
+  const lockRef = db.collection('withdrawalLocks').doc(sellerId);
+  const token = crypto.randomBytes(8).toString('hex');
+
+  const acquired = await db.runTransaction(async (t) => {
+    const snap = await t.get(lockRef);
+    const expiresAt = snap.exists ? snap.data().expiresAt?.toMillis?.() || 0 : 0;
+    if (expiresAt > Date.now()) return false;
+
+    t.set(lockRef, {
+      token,
+      acquiredAt: admin.firestore.FieldValue.serverTimestamp(),
+      expiresAt: admin.firestore.Timestamp.fromMillis(Date.now() + WITHDRAWAL_LOCK_TTL_MS)
+    });
+    return true;
+  });
+
+  return acquired ? token : null;
+};
+
+const releaseWithdrawalLock = async (sellerId, token) => {
+  const lockRef = db.collection('withdrawalLocks').doc(sellerId);
+  try {
+    await db.runTransaction(async (t) => {
+      const snap = await t.get(lockRef);
+      if (snap.exists && snap.data().token === token) t.delete(lockRef);
+    });
+  } catch (err) {
+    console.error(`Failed to release withdrawal lock for ${sellerId}:`, err);
+  }
+};
+
+// Creates the withdrawal together with its hold. Returns
+// { reserved: false, available } when earnings don't cover the amount.
+const reserveWithdrawal = async (withdrawalRef, { sellerId, amount, feeAmount, netPayout, phoneNumber, reviewReasons = [] }) => {
+  const earnings = LEDGER_ACCOUNTS.sellerEarnings(sellerId);
+
+  return db.runTransaction(async (t) => {
+    const earningsSnap = await t.get(db.collection('ledgerAccounts').doc(earnings.id));
+    const available = earningsSnap.exists ? earningsSnap.data().balance || 0 : 0;
+    if (toCents(available) < toCents(amount)) return { reserved: false, available };
+
+    const { entryId } = await postLedgerEntry(t, withdrawalHoldLedgerEntry({
+      withdrawalId: withdrawalRef.id,
+      sellerId,
+      amount
+    }));
+
+    t.set(withdrawalRef, {
+      sellerId,
+      amount,
+      feeAmount,
+      netPayout,
+      phoneNumber,
+      status: reviewReasons.length ? 'PENDING_REVIEW' : 'PENDING_PAYOUT',
+      reviewReasons,
+      holdEntryId: entryId,
+      timestamp: admin.firestore.FieldValue.serverTimestamp()
+    });
+    // sellerLedgers is kept as a read-only summary for the dashboard
+    t.set(db.collection('sellerLedgers').doc(sellerId), {
+      totalWithdrawn: admin.firestore.FieldValue.increment(amount),
+      lastWithdrawalDate: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+
+    return { reserved: true, available: fromCents(toCents(available) - toCents(amount)) };
+  });
+};
+
+// Gives a failed withdrawal's money back to the seller. Runs inside the
+// caller's transaction, after its reads and before its writes.
+const releaseWithdrawalHold = async (t, withdrawalId, withdrawal) => {
+  const { entryId } = await postLedgerEntry(t, withdrawalHoldReleaseLedgerEntry({
+    withdrawalId,
+    sellerId: withdrawal.sellerId,
+    amount: withdrawal.amount
+  }));
+  t.set(db.collection('sellerLedgers').doc(withdrawal.sellerId), {
+    totalWithdrawn: admin.firestore.FieldValue.increment(-withdrawal.amount)
+  }, { merge: true });
+  return entryId;
+};
+
+// Sends the B2C transfer for a reserved withdrawal. If IntaSend rejects the
+// request outright the hold is released and the withdrawal is PAYOUT_FAILED.
+const initiateWithdrawalPayout = async (withdrawalRef, withdrawal) => {
+  let payoutResponse;
+  try {
+    payoutResponse = await intasend.payouts().mpesa({
+      currency: 'KES',
+      requires_approval: 'NO',
+      transactions: [
+        {
+          name: 'Seller Withdrawal',
+          account: withdrawal.phoneNumber,
+          amount: withdrawal.netPayout,
+          narrative: 'Seller Payout'
+        }
+      ]
+    });
+  } catch (intasendErr) {
+    console.error('❌ IntaSend payout failed:', intasendErr?.response || intasendErr);
+    await db.runTransaction(async (t) => {
+      const snap = await t.get(withdrawalRef);
+      const reversalEntryId = await releaseWithdrawalHold(t, withdrawalRef.id, snap.data());
+      t.update(withdrawalRef, {
+        status: 'PAYOUT_FAILED',
+        reversalEntryId,
+        intasendError: intasendErr?.response || intasendErr?.message || String(intasendErr),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    });
+    return { initiated: false, trackingId: null };
+  }
+
+  const trackingId = payoutResponse?.tracking_id || null;
+  await withdrawalRef.update({
+    trackingId,
+    status: 'PAYOUT_INITIATED',
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    intasendResponse: payoutResponse
+  });
+  return { initiated: true, trackingId };
+};
+
+// ============================
+// Withdrawal Review Rules
+// ============================
+// Risky withdrawals are parked in PENDING_REVIEW, with their hold in place,
+// until an admin approves (pays out) or rejects (releases) them.
+
+const WITHDRAWAL_REVIEW_RULES = {
+  // KSH amount at or above which a withdrawal is reviewed; 0 disables
+  amountThreshold: Number(process.env.WITHDRAWAL_REVIEW_THRESHOLD ?? 20000),
+  firstWithdrawal: process.env.WITHDRAWAL_REVIEW_FIRST !== 'false',
+  phoneMismatch: process.env.WITHDRAWAL_REVIEW_PHONE_MISMATCH !== 'false',
+  // Hours after a PIN recovery during which withdrawals are reviewed; 0 disables
+  pinResetHours: Number(process.env.WITHDRAWAL_REVIEW_PIN_RESET_HOURS ?? 24)
+};
+
+const WITHDRAWAL_REVIEW_REASONS = {
+  AMOUNT_THRESHOLD: 'Amount at or above the review threshold',
+  FIRST_WITHDRAWAL: "Seller's first withdrawal",
+  PHONE_MISMATCH: 'M-Pesa number differs from the seller profile',
+  RECENT_PIN_RESET: 'Withdrawal PIN was reset recently'
+};
+
+// 07XXXXXXXX, +2547XXXXXXXX and 2547XXXXXXXX all compare equal
+const normalizePhone = (phone) => {
+  const digits = String(phone || '').replace(/\D/g, '');
+  return digits.startsWith('0') ? `254${digits.slice(1)}` : digits;
+};
+
+const getWithdrawalReviewReasons = async (sellerId, { amount, phoneNumber }) => {
+  const rules = WITHDRAWAL_REVIEW_RULES;
+  const reasons = [];
+
+  if (rules.amountThreshold > 0 && amount >= rules.amountThreshold) {
+    reasons.push('AMOUNT_THRESHOLD');
+  }
+
+  const [userDoc, previousSnap] = await Promise.all([
+    db.collection('users').doc(sellerId).get(),
+    rules.firstWithdrawal
+      ? db.collection('withdrawals')
+          .where('sellerId', '==', sellerId)
+          .where('status', 'in', ['PAYOUT_INITIATED', 'COMPLETED'])
+          .limit(1)
+          .get()
+      : null
+  ]);
+
+  if (previousSnap && previousSnap.empty) reasons.push('FIRST_WITHDRAWAL');
+
+  const user = userDoc.exists ? userDoc.data() : {};
+  const profilePhone = normalizePhone(user.phoneNumber || user.phone);
+  if (rules.phoneMismatch && profilePhone && profilePhone !== normalizePhone(phoneNumber)) {
+    reasons.push('PHONE_MISMATCH');
+  }
+
+  const pinChangedAt = user.pinLastChanged?.toMillis?.();
+  if (
+    rules.pinResetHours > 0 &&
+    user.pinSetMethod === 'recovery' &&
+    pinChangedAt &&
+    Date.now() - pinChangedAt < rules.pinResetHours * 60 * 60 * 1000
+  ) {
+    reasons.push('RECENT_PIN_RESET');
+  }
+
+  return reasons;
+};
+
+// ============================
+// Payout Status Tracking
+// ============================
+// Withdrawals stay PAYOUT_INITIATED until IntaSend reports the B2C transfer
+// as completed or failed, via the payout webhook or the background poller.
+// Both always re-read the status from IntaSend rather than trusting a payload.
+
+const PAYOUT_POLL_INTERVAL_MS = Number(process.env.PAYOUT_POLL_INTERVAL_MS) || 5 * 60 * 1000;
+const PAYOUT_SUCCESS_STATUSES = ['successful', 'success', 'completed', 'complete'];
+const PAYOUT_FAILURE_STATUSES = ['failed', 'cancelled', 'canceled', 'rejected', 'reversed', 'declined'];
+
+// Every payout we send has exactly one transaction, so its status decides
+const mapPayoutStatus = (payout = {}) => {
+  const transaction = Array.isArray(payout.transactions) ? payout.transactions[0] : null;
+  const txStatus = String(transaction?.status || '').toLowerCase();
+  const txCode = String(transaction?.status_code || '');
+  const fileStatus = String(payout.status || '').toLowerCase();
+
+  if (PAYOUT_FAILURE_STATUSES.includes(txStatus) || txCode.startsWith('TF') || PAYOUT_FAILURE_STATUSES.includes(fileStatus)) {
+    return {
+      outcome: 'FAILED',
+      reason: transaction?.failed_reason || transaction?.status || payout.status || 'Payout failed'
+    };
+  }
+  if (PAYOUT_SUCCESS_STATUSES.includes(txStatus) || txCode.startsWith('TS')) {
+    return { outcome: 'COMPLETED', reason: null };
   }
+  if (!transaction && PAYOUT_SUCCESS_STATUSES.includes(fileStatus)) {
+    return { outcome: 'COMPLETED', reason: null };
+  }
+  return { outcome: 'PENDING', reason: null };
 };
 
-const activateSellerSubscription = async (subscriptionData, mpesaReference) => {
-  try {
-    const { orderId, planId, sellerId, sellerEmail } = subscriptionData;
-    
-    const expiresAt = new Date();
-    expiresAt.setDate(expiresAt.getDate() + 30);
-    
-    const subscriptionRef = db.collection('subscriptions').doc(orderId);
-    await subscriptionRef.update({
-      status: 'active',
-      paymentStatus: 'paid',
-      mpesaReference: mpesaReference,
-      activatedAt: admin.firestore.FieldValue.serverTimestamp(),
-      expiresAt: expiresAt,
-      updatedAt: admin.firestore.FieldValue.serverTimestamp()
-    });
-    
-    const sellerRef = db.collection('users').doc(sellerId);
-    await sellerRef.update({
-      subscriptionPlan: planId,
-      subscriptionStatus: 'active',
-      subscriptionActive: true,
-      subscriptionExpiresAt: expiresAt,
-      subscriptionStartedAt: admin.firestore.FieldValue.serverTimestamp(),
-      lastSubscriptionPayment: {
-        amount: subscriptionData.amount,
-        date: admin.firestore.FieldValue.serverTimestamp(),
-        reference: mpesaReference,
-        orderId: orderId
-      },
+// Moves a PAYOUT_INITIATED withdrawal to COMPLETED or FAILED. Completion
+// settles the payout hold; a failure releases it (or, for withdrawals made
+// before holds existed, reverses the withdrawal entry) so the money is
+// available again. Returns null when the withdrawal was already settled.
+const applyPayoutOutcome = async (withdrawalRef, outcome, details = {}) => {
+  const result = await db.runTransaction(async (t) => {
+    const snap = await t.get(withdrawalRef);
+    if (!snap.exists) return null;
+
+    const withdrawal = snap.data();
+    if (withdrawal.status !== 'PAYOUT_INITIATED') return null;
+
+    if (outcome === 'COMPLETED') {
+      let ledgerEntryId = withdrawal.ledgerEntryId || null;
+      if (withdrawal.holdEntryId) {
+        ({ entryId: ledgerEntryId } = await postLedgerEntry(t, withdrawalLedgerEntry({
+          withdrawalId: withdrawalRef.id,
+          sellerId: withdrawal.sellerId,
+          amount: withdrawal.amount,
+          feeAmount: withdrawal.feeAmount,
+          netPayout: withdrawal.netPayout
+        })));
+      }
+      t.update(withdrawalRef, {
+        status: 'COMPLETED',
+        ledgerEntryId,
+        payoutStatus: details.providerStatus || null,
+        completedAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      return { outcome, withdrawal };
+    }
+
+    let reversalEntryId = null;
+    if (withdrawal.holdEntryId) {
+      reversalEntryId = await releaseWithdrawalHold(t, withdrawalRef.id, withdrawal);
+    } else if (withdrawal.ledgerEntryId) {
+      ({ entryId: reversalEntryId } = await postLedgerEntry(t, withdrawalReversalLedgerEntry({
+        withdrawalId: withdrawalRef.id,
+        sellerId: withdrawal.sellerId,
+        amount: withdrawal.amount,
+        feeAmount: withdrawal.feeAmount,
+        netPayout: withdrawal.netPayout
+      })));
+      t.set(db.collection('sellerLedgers').doc(withdrawal.sellerId), {
+        totalWithdrawn: admin.firestore.FieldValue.increment(-withdrawal.amount)
+      }, { merge: true });
+    }
+
+    const failureReason = details.reason || 'Payout failed';
+    t.update(withdrawalRef, {
+      status: 'FAILED',
+      payoutStatus: details.providerStatus || null,
+      failureReason,
+      reversalEntryId,
+      failedAt: admin.firestore.FieldValue.serverTimestamp(),
       updatedAt: admin.firestore.FieldValue.serverTimestamp()
     });
-    
-    await db.collection('subscriptionPayments').add({
-      sellerId,
-      planId,
-      amount: subscriptionData.amount,
-      mpesaReference,
-      orderId,
-      status: 'completed',
-      sellerEmail,
-      paymentDate: admin.firestore.FieldValue.serverTimestamp(),
-      expiresAt: expiresAt
-    });
-    
-    await db.collection('subscriptionLogs').add({
-      sellerId,
-      action: 'subscription_activated',
-      planId,
-      amount: subscriptionData.amount,
-      orderId,
-      timestamp: admin.firestore.FieldValue.serverTimestamp()
+    return { outcome, withdrawal: { ...withdrawal, failureReason } };
+  });
+
+  if (!result) return null;
+
+  console.log(`💸 Withdrawal ${withdrawalRef.id} ${result.outcome}`);
+  if (result.outcome === 'FAILED') {
+    sendPayoutFailedEmail(withdrawalRef.id, result.withdrawal)
+      .then((sent) => {
+        if (!sent) console.log(`❌ Failed to send payout failure email for ${withdrawalRef.id}`);
+      })
+      .catch((err) => console.error('Payout failure email error:', err));
+  }
+  return result;
+};
+
+const syncWithdrawalPayout = async (withdrawalRef, withdrawal) => {
+  if (withdrawal.status !== 'PAYOUT_INITIATED' || !withdrawal.trackingId) return null;
+
+  const payout = await intasend.payouts().status({ tracking_id: withdrawal.trackingId });
+  const { outcome, reason } = mapPayoutStatus(payout);
+
+  if (outcome === 'PENDING') {
+    await withdrawalRef.update({
+      payoutStatus: payout?.status || null,
+      payoutCheckedAt: admin.firestore.FieldValue.serverTimestamp()
     });
-    
-    return true;
-  } catch (error) {
-    console.error('Failed to activate subscription:', error);
-    throw error;
+    return null;
+  }
+
+  return applyPayoutOutcome(withdrawalRef, outcome, { providerStatus: payout?.status || null, reason });
+};
+
+const pollPendingPayouts = async () => {
+  const snap = await db
+    .collection('withdrawals')
+    .where('status', '==', 'PAYOUT_INITIATED')
+    .limit(50)
+    .get();
+
+  for (const doc of snap.docs) {
+    try {
+      await syncWithdrawalPayout(doc.ref, doc.data());
+    } catch (err) {
+      console.error(`❌ Payout status check failed for ${doc.id}:`, err?.message || err);
+    }
   }
 };
 
@@ -998,9 +5375,15 @@ const activateSellerSubscription = async (subscriptionData, mpesaReference) => {
 // Routes
 // ============================
 
-app.post("/api/send-proposal-status", async (req, res) => {
+// Every /api route requires a verified Firebase user unless listed as public
+app.use("/api", (req, res, next) => {
+  if (PUBLIC_API_PATHS.has(req.path)) return next();
+  return authenticate(req, res, next);
+});
+
+app.post("/api/send-proposal-status", requireRole("admin"), async (req, res) => {
   try {
-    const { to, subject, html, proposalId, studentName, status, notes, amount, institution } = req.body;
+    const { to, subject, html, proposalId, studentName, status, notes, amount, institution, language } = req.body;
     
     if (!to || !proposalId || !status) {
       return res.status(400).json({ 
@@ -1011,14 +5394,15 @@ app.post("/api/send-proposal-status", async (req, res) => {
 
     const emailData = {
       to,
-      subject: subject || `Your Installment Proposal Has Been ${status === 'approved' ? 'Approved' : 'Rejected'} - MarketMix Kenya`,
+      subject,
       html,
       proposalId,
       studentName,
       status,
       notes,
       amount,
-      institution
+      institution,
+      language
     };
 
     const emailSent = await sendProposalStatusEmail(emailData);
@@ -1050,13 +5434,115 @@ app.post("/api/send-proposal-status", async (req, res) => {
   }
 });
 
+// ✅ Checkout: prices the cart server-side, creates the order, then
+// sends the STK push for the computed total
+app.post("/api/checkout", async (req, res) => {
+  try {
+    const { items, phoneNumber, shippingDetails = {} } = req.body;
+
+    if (!isValidPhone(phoneNumber))
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid phone number format" });
+
+    const fullName = typeof shippingDetails.fullName === "string" ? shippingDetails.fullName.trim() : "";
+    const email = shippingDetails.email || req.user.email;
+    if (!fullName)
+      return res
+        .status(400)
+        .json({ success: false, message: "Full name required" });
+    if (!email || !email.includes("@"))
+      return res.status(400).json({ success: false, message: "Invalid email" });
+
+    const pricing = await priceCart(items);
+    if (!pricing.valid)
+      return res
+        .status(pricing.status)
+        .json({ success: false, message: pricing.message });
+
+    const orderRef = db.collection("orders").doc();
+    const reservation = await createOrderWithReservation(orderRef, {
+      orderId: orderRef.id,
+      userId: req.user.uid,
+      userEmail: email,
+      items: pricing.items,
+      sellerGroups: pricing.sellerGroups,
+      involvedSellerIds: pricing.involvedSellerIds,
+      itemsTotal: pricing.itemsTotal,
+      deliveryTotal: pricing.deliveryTotal,
+      totalAmount: pricing.totalAmount,
+      shippingDetails: {
+        fullName,
+        email,
+        phoneNumber: shippingDetails.phoneNumber || phoneNumber,
+        deliveryPlace: shippingDetails.deliveryPlace || null,
+      },
+      paymentPhoneNumber: phoneNumber,
+      pricedBy: "server",
+      paymentStatus: "pending",
+      status: "CREATED",
+      orderDate: admin.firestore.FieldValue.serverTimestamp(),
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    // Stock can sell out between pricing and reserving
+    if (!reservation.reserved)
+      return res
+        .status(409)
+        .json({ success: false, message: reservation.message });
+
+    console.log(`🛒 Order ${orderRef.id} created for ${req.user.uid}: KSH ${pricing.totalAmount.toFixed(2)}`);
+
+    let response;
+    try {
+      response = await requestStkPush({
+        fullName,
+        email,
+        phoneNumber,
+        amount: pricing.totalAmount,
+        apiRef: orderRef.id,
+      });
+    } catch (intasendErr) {
+      console.error(
+        "❌ IntaSend STK Push failed:",
+        intasendErr?.response || intasendErr
+      );
+      await orderRef.update({
+        status: "STK_PUSH_FAILED",
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      return res.status(502).json({
+        success: false,
+        message: "Payment provider error. You can retry payment for this order.",
+        orderId: orderRef.id,
+      });
+    }
+
+    await orderRef.update({
+      invoiceId: response?.invoice?.invoice_id || null,
+      status: "STK_PUSH_SENT",
+      reconcileAfter: paymentReconcileAfter(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    return res.json({
+      success: true,
+      orderId: orderRef.id,
+      totalAmount: pricing.totalAmount,
+      sellerGroups: pricing.sellerGroups,
+      data: response,
+    });
+  } catch (error) {
+    return sendServerError(res, error, "Checkout failed");
+  }
+});
+
+// STK push for an existing order (payment retries) or an ad wallet top-up.
+// Orders are always charged the total stored by /api/checkout.
 app.post("/api/stk-push", async (req, res) => {
   try {
     const { amount, phoneNumber, fullName, email, orderId } = req.body;
 
-    const amt = parsePositiveNumber(amount);
-    if (!amt)
-      return res.status(400).json({ success: false, message: "Invalid amount" });
     if (!isValidPhone(phoneNumber))
       return res
         .status(400)
@@ -1072,23 +5558,238 @@ app.post("/api/stk-push", async (req, res) => {
         .status(400)
         .json({ success: false, message: "Missing orderId" });
 
+    const isWalletDeposit = orderId.startsWith("WALLET_");
+    // WALLET_<sellerId>_... credits that seller's ad wallet when paid
+    if (isWalletDeposit && !isOwnerOrAdmin(req.user, orderId.split("_")[1])) {
+      return sendForbidden(res, "You can only top up your own ad wallet");
+    }
+
+    const orderRef = db.collection("orders").doc(orderId);
+    const existingOrder = await orderRef.get();
+    if (existingOrder.exists) {
+      const { sellerId, userId } = existingOrder.data();
+      const ownerId = isWalletDeposit ? sellerId || userId : userId || sellerId;
+      if (!isOwnerOrAdmin(req.user, ownerId))
+        return sendForbidden(res, "You can only pay for your own orders");
+    }
+
+    let amt;
+    if (isWalletDeposit) {
+      amt = parsePositiveNumber(amount);
+      if (!amt)
+        return res.status(400).json({ success: false, message: "Invalid amount" });
+    } else {
+      const order = existingOrder.exists ? existingOrder.data() : null;
+      if (!order || order.pricedBy !== "server")
+        return res.status(400).json({
+          success: false,
+          message: "Unknown order. Orders must be created through /api/checkout",
+        });
+      if (order.paymentStatus === "paid")
+        return res
+          .status(409)
+          .json({ success: false, message: "Order is already paid" });
+      // A cancellation is final; paying must not take the released stock back
+      if (order.status === "CANCELLED")
+        return res
+          .status(409)
+          .json({ success: false, message: "Order has been cancelled" });
+
+      amt = order.totalAmount;
+      if (amount !== undefined && toCents(amount) !== toCents(amt))
+        return res.status(400).json({
+          success: false,
+          message: `Amount does not match the order total of KSH ${amt.toFixed(2)}`,
+        });
+
+      const reservation = await renewStockReservation(orderId);
+      if (!reservation.reserved)
+        return res
+          .status(409)
+          .json({ success: false, message: reservation.message });
+    }
+
+    let response;
+    try {
+      response = await requestStkPush({ fullName, email, phoneNumber, amount: amt, apiRef: orderId });
+    } catch (intasendErr) {
+      console.error(
+        "❌ IntaSend STK Push failed:",
+        intasendErr?.response || intasendErr
+      );
+      return res
+        .status(502)
+        .json({ success: false, message: "Payment provider error" });
+    }
+
+    const orderUpdate = {
+      invoiceId: response?.invoice?.invoice_id || null,
+      status: "STK_PUSH_SENT",
+      reconcileAfter: paymentReconcileAfter(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+    // Wallet top-ups have no order until now, so the amount is kept for later reference
+    if (isWalletDeposit) orderUpdate.totalAmount = amt;
+    else orderUpdate.paymentPhoneNumber = phoneNumber;
+    await orderRef.set(orderUpdate, { merge: true });
+
+    return res.json({ success: true, data: response });
+  } catch (error) {
+    return sendServerError(res, error, "STK Push failed");
+  }
+});
+
+// ✅ Subscription plan catalogue
+app.get("/api/subscription-plans", async (req, res) => {
+  try {
+    const snap = await db.collection("subscriptionPlans").where("active", "==", true).get();
+    const plans = snap.docs
+      .map((doc) => ({ id: doc.id, ...doc.data() }))
+      .sort((a, b) => a.price - b.price);
+
+    return res.json({ success: true, plans });
+  } catch (error) {
+    return sendServerError(res, error, "Failed to load subscription plans");
+  }
+});
+
+app.get("/api/admin/subscription-plans", requireRole("admin"), async (req, res) => {
+  try {
+    const snap = await db.collection("subscriptionPlans").get();
+    return res.json({ success: true, plans: snap.docs.map((doc) => ({ id: doc.id, ...doc.data() })) });
+  } catch (error) {
+    return sendServerError(res, error, "Failed to load subscription plans");
+  }
+});
+
+app.post("/api/admin/subscription-plans", requireRole("admin"), async (req, res) => {
+  try {
+    const { planId } = req.body;
+    if (typeof planId !== "string" || !PLAN_ID_PATTERN.test(planId))
+      return res.status(400).json({
+        success: false,
+        message: "planId must be 2-40 lowercase letters, numbers, dashes or underscores",
+      });
+
+    const validation = validatePlanInput(req.body);
+    if (!validation.valid)
+      return res.status(400).json({ success: false, message: validation.message });
+
+    const planRef = db.collection("subscriptionPlans").doc(planId);
+    try {
+      await planRef.create({
+        ...validation.data,
+        createdBy: req.user.uid,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    } catch (createErr) {
+      if (createErr.code === 6)
+        return res.status(409).json({ success: false, message: "A plan with that id already exists" });
+      throw createErr;
+    }
+
+    console.log(`📋 Subscription plan ${planId} created by ${req.user.uid}`);
+    return res.status(201).json({ success: true, plan: { id: planId, ...validation.data } });
+  } catch (error) {
+    return sendServerError(res, error, "Failed to create subscription plan");
+  }
+});
+
+// Price and duration changes only apply to payments started afterwards
+app.put("/api/admin/subscription-plans/:planId", requireRole("admin"), async (req, res) => {
+  try {
+    const validation = validatePlanInput(req.body, { partial: true });
+    if (!validation.valid)
+      return res.status(400).json({ success: false, message: validation.message });
+    if (!Object.keys(validation.data).length)
+      return res.status(400).json({ success: false, message: "Nothing to update" });
+
+    const planRef = db.collection("subscriptionPlans").doc(req.params.planId);
+    const snap = await planRef.get();
+    if (!snap.exists)
+      return res.status(404).json({ success: false, message: "Subscription plan not found" });
+
+    await planRef.update({
+      ...validation.data,
+      updatedBy: req.user.uid,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    console.log(`📋 Subscription plan ${req.params.planId} updated by ${req.user.uid}`);
+    return res.json({ success: true, plan: { id: snap.id, ...snap.data(), ...validation.data } });
+  } catch (error) {
+    return sendServerError(res, error, "Failed to update subscription plan");
+  }
+});
+
+// Plans are deactivated rather than deleted, since subscriptions refer to them
+app.delete("/api/admin/subscription-plans/:planId", requireRole("admin"), async (req, res) => {
+  try {
+    const planRef = db.collection("subscriptionPlans").doc(req.params.planId);
+    const snap = await planRef.get();
+    if (!snap.exists)
+      return res.status(404).json({ success: false, message: "Subscription plan not found" });
+
+    await planRef.update({
+      active: false,
+      updatedBy: req.user.uid,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    console.log(`📋 Subscription plan ${req.params.planId} deactivated by ${req.user.uid}`);
+    return res.json({ success: true, message: "Subscription plan deactivated" });
+  } catch (error) {
+    return sendServerError(res, error, "Failed to deactivate subscription plan");
+  }
+});
+
+app.post("/api/subscription-payment", requireRole("seller"), requireOwner((req) => req.body.sellerId), async (req, res) => {
+  try {
+    console.log("📦 Subscription payment request:", req.body);
+    
+    const validation = validateSubscriptionPayment(req.body);
+    if (!validation.valid) {
+      return res.status(400).json({ success: false, message: validation.message });
+    }
+    
+    const pricing = await priceSubscription(validation.data.planId, validation.data.amount);
+    if (!pricing.valid) {
+      return res.status(pricing.status).json({ success: false, message: pricing.message });
+    }
+
+    // A paid record must never be reset to pending by reusing its order id
+    const existing = await db.collection('subscriptions').doc(validation.data.orderId).get();
+    if (existing.exists) {
+      return res.status(409).json({ success: false, message: "This subscription order already exists. Start a new payment." });
+    }
+
+    const { plan } = pricing;
+    const subscriptionData = {
+      ...validation.data,
+      amount: plan.price,
+      planName: plan.name,
+      durationDays: plan.durationDays
+    };
+    const { amount, phoneNumber, fullName, email, orderId } = subscriptionData;
+    
     const [firstName, ...rest] = fullName.trim().split(" ");
     const lastName = rest.join(" ") || "N/A";
 
-    let response;
+    let intasendResponse;
     try {
-      response = await intasend.collection().mpesaStkPush({
+      intasendResponse = await intasend.collection().mpesaStkPush({
         first_name: firstName,
         last_name: lastName,
         email,
         phone_number: phoneNumber,
-        amount: amt,
+        amount: amount,
         host: BACKEND_HOST,
         api_ref: orderId,
       });
     } catch (intasendErr) {
       console.error(
-        "❌ IntaSend STK Push failed:",
+        "❌ IntaSend Subscription STK Push failed:",
         intasendErr?.response || intasendErr
       );
       return res
@@ -1096,70 +5797,213 @@ app.post("/api/stk-push", async (req, res) => {
         .json({ success: false, message: "Payment provider error" });
     }
 
-    // Store the amount in the order for later reference
-    await db.collection("orders").doc(orderId).set(
-      {
-        invoiceId: response?.invoice?.invoice_id || null,
-        status: "STK_PUSH_SENT",
-        totalAmount: amt, // ✅ Store the correct amount
+    const invoiceId = intasendResponse?.invoice?.invoice_id;
+    await createSubscriptionRecord(subscriptionData, invoiceId);
+
+    return res.json({ 
+      success: true, 
+      data: intasendResponse,
+      message: "Subscription payment initiated successfully" 
+    });
+  } catch (error) {
+    console.error("❌ Subscription payment error:", error);
+    return sendServerError(res, error, "Subscription payment failed");
+  }
+});
+
+// ✅ Renew the seller's current plan. The new period starts when the current
+// one ends (or ended, during the grace period), not today.
+app.post("/api/subscription-renewal", requireRole("seller"), requireOwner((req) => req.body.sellerId), async (req, res) => {
+  try {
+    const { sellerId } = req.body;
+    if (!sellerId)
+      return res.status(400).json({ success: false, message: "Missing sellerId" });
+
+    const sellerSnap = await db.collection("users").doc(sellerId).get();
+    const seller = sellerSnap.exists ? sellerSnap.data() : {};
+    const planId = seller.subscriptionStatus === "expired" ? seller.previousSubscriptionPlan : seller.subscriptionPlan;
+    if (!planId || planId === SUBSCRIPTION_FREE_PLAN)
+      return res
+        .status(400)
+        .json({ success: false, message: "No paid subscription to renew. Choose a plan instead." });
+    // Renewing now would extend the plan the seller is leaving
+    if (seller.scheduledPlanChange && seller.subscriptionStatus === "active")
+      return res.status(409).json({
+        success: false,
+        message: "A plan change is scheduled for the end of this period. Renew once it starts, or cancel the change first.",
+      });
+
+    const orderId = `SUB_${sellerId}_${Date.now()}`;
+    const validation = validateSubscriptionPayment({ ...req.body, planId, orderId });
+    if (!validation.valid)
+      return res.status(400).json({ success: false, message: validation.message });
+
+    const pricing = await priceSubscription(planId, validation.data.amount);
+    if (!pricing.valid)
+      return res.status(pricing.status).json({ success: false, message: pricing.message });
+
+    const { plan } = pricing;
+    const subscriptionData = {
+      ...validation.data,
+      amount: plan.price,
+      planName: plan.name,
+      durationDays: plan.durationDays,
+      renewal: true,
+    };
+
+    let response;
+    try {
+      response = await requestStkPush({
+        fullName: subscriptionData.fullName,
+        email: subscriptionData.email,
+        phoneNumber: subscriptionData.phoneNumber,
+        amount: plan.price,
+        apiRef: orderId,
+      });
+    } catch (intasendErr) {
+      console.error("❌ IntaSend renewal STK Push failed:", intasendErr?.response || intasendErr);
+      return res.status(502).json({ success: false, message: "Payment provider error" });
+    }
+
+    await createSubscriptionRecord(subscriptionData, response?.invoice?.invoice_id);
+
+    const { startMs } = getSubscriptionStart(seller, planId);
+    return res.json({
+      success: true,
+      message: "Renewal payment initiated successfully",
+      data: {
+        orderId,
+        planId,
+        amount: plan.price,
+        renewsFrom: new Date(startMs).toISOString(),
+        expiresAt: new Date(startMs + plan.durationDays * DAY_MS).toISOString(),
+        payment: response,
+      },
+    });
+  } catch (error) {
+    return sendServerError(res, error, "Subscription renewal failed");
+  }
+});
+
+// ✅ Switch plans. Upgrades charge the new price less a prorated credit for
+// the unused time and start straight away; downgrades are scheduled for the
+// end of the current period. Choosing the current plan again cancels a
+// scheduled downgrade.
+app.post("/api/subscription-plan-change", requireRole("seller"), requireOwner((req) => req.body.sellerId), async (req, res) => {
+  try {
+    const { sellerId, planId } = req.body;
+    if (!sellerId || !planId)
+      return res.status(400).json({ success: false, message: "Missing sellerId or planId" });
+
+    const sellerRef = db.collection("users").doc(sellerId);
+    const sellerSnap = await sellerRef.get();
+    const seller = sellerSnap.exists ? sellerSnap.data() : {};
+
+    if (seller.scheduledPlanChange && planId === seller.subscriptionPlan) {
+      const batch = db.batch();
+      batch.update(sellerRef, {
+        scheduledPlanChange: admin.firestore.FieldValue.delete(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      logSubscriptionEvent(batch, sellerId, "plan_change_cancelled", {
+        planId,
+        cancelledPlanId: seller.scheduledPlanChange.planId,
+      });
+      await batch.commit();
+      return res.json({ success: true, message: "Scheduled plan change cancelled", data: { planId } });
+    }
+
+    const plan = await getSubscriptionPlan(planId);
+    if (!plan || !plan.active)
+      return res
+        .status(404)
+        .json({ success: false, message: "Subscription plan not found or no longer available" });
+
+    const change = await calculatePlanChange(sellerId, seller, plan);
+    if (!change.valid)
+      return res.status(change.status).json({ success: false, message: change.message });
+
+    if (change.type === "downgrade") {
+      const batch = db.batch();
+      batch.update(sellerRef, {
+        scheduledPlanChange: {
+          planId,
+          fromPlanId: change.fromPlanId,
+          effectiveAt: change.effectiveAt,
+          requestedAt: admin.firestore.Timestamp.now(),
+        },
         updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-      },
-      { merge: true }
-    );
+      });
+      logSubscriptionEvent(batch, sellerId, "plan_change_scheduled", {
+        fromPlanId: change.fromPlanId,
+        planId,
+        effectiveAt: change.effectiveAt,
+      });
+      await batch.commit();
 
-    return res.json({ success: true, data: response });
-  } catch (error) {
-    return sendServerError(res, error, "STK Push failed");
-  }
-});
+      console.log(`📅 Seller ${sellerId} scheduled a change from ${change.fromPlanId} to ${planId}`);
+      return res.json({
+        success: true,
+        message: `Your plan will change to ${plan.name} when your current period ends`,
+        data: { type: "downgrade", planId, effectiveAt: change.effectiveAt.toISOString() },
+      });
+    }
 
-app.post("/api/subscription-payment", async (req, res) => {
-  try {
-    console.log("📦 Subscription payment request:", req.body);
-    
-    const validation = validateSubscriptionPayment(req.body);
-    if (!validation.valid) {
+    const orderId = `SUB_${sellerId}_${Date.now()}`;
+    const validation = validateSubscriptionPayment({ ...req.body, orderId });
+    if (!validation.valid)
       return res.status(400).json({ success: false, message: validation.message });
-    }
-    
-    const subscriptionData = validation.data;
-    const { amount, phoneNumber, fullName, email, orderId } = subscriptionData;
-    
-    const [firstName, ...rest] = fullName.trim().split(" ");
-    const lastName = rest.join(" ") || "N/A";
+    if (validation.data.amount !== undefined && toCents(validation.data.amount) !== toCents(change.charge))
+      return res.status(400).json({
+        success: false,
+        message: `Amount does not match the upgrade price of KSH ${change.charge.toFixed(2)}`,
+      });
 
-    let intasendResponse;
+    const subscriptionData = {
+      ...validation.data,
+      amount: change.charge,
+      planName: plan.name,
+      durationDays: plan.durationDays,
+      planChange: {
+        fromPlanId: change.fromPlanId,
+        planPrice: plan.price,
+        credit: change.credit,
+        replacesOrderId: seller.lastSubscriptionPayment?.orderId || null,
+      },
+    };
+
+    let response;
     try {
-      intasendResponse = await intasend.collection().mpesaStkPush({
-        first_name: firstName,
-        last_name: lastName,
-        email,
-        phone_number: phoneNumber,
-        amount: amount,
-        host: BACKEND_HOST,
-        api_ref: orderId,
+      response = await requestStkPush({
+        fullName: subscriptionData.fullName,
+        email: subscriptionData.email,
+        phoneNumber: subscriptionData.phoneNumber,
+        amount: change.charge,
+        apiRef: orderId,
       });
     } catch (intasendErr) {
-      console.error(
-        "❌ IntaSend Subscription STK Push failed:",
-        intasendErr?.response || intasendErr
-      );
-      return res
-        .status(502)
-        .json({ success: false, message: "Payment provider error" });
+      console.error("❌ IntaSend upgrade STK Push failed:", intasendErr?.response || intasendErr);
+      return res.status(502).json({ success: false, message: "Payment provider error" });
     }
 
-    const invoiceId = intasendResponse?.invoice?.invoice_id;
-    await createSubscriptionRecord(subscriptionData, invoiceId);
+    await createSubscriptionRecord(subscriptionData, response?.invoice?.invoice_id);
 
-    return res.json({ 
-      success: true, 
-      data: intasendResponse,
-      message: "Subscription payment initiated successfully" 
+    console.log(`⬆️ Seller ${sellerId} upgrading ${change.fromPlanId} → ${planId}: KSH ${change.charge} after KSH ${change.credit} credit`);
+    return res.json({
+      success: true,
+      message: "Upgrade payment initiated successfully",
+      data: {
+        type: "upgrade",
+        orderId,
+        planId,
+        planPrice: plan.price,
+        proratedCredit: change.credit,
+        amount: change.charge,
+        payment: response,
+      },
     });
   } catch (error) {
-    console.error("❌ Subscription payment error:", error);
-    return sendServerError(res, error, "Subscription payment failed");
+    return sendServerError(res, error, "Plan change failed");
   }
 });
 
@@ -1179,6 +6023,10 @@ app.get("/api/subscription-status/:invoiceId", async (req, res) => {
     if (!status.success) {
       return res.status(404).json(status);
     }
+
+    if (!isOwnerOrAdmin(req.user, status.data.sellerId)) {
+      return sendForbidden(res);
+    }
     
     return res.json(status);
   } catch (error) {
@@ -1187,33 +6035,37 @@ app.get("/api/subscription-status/:invoiceId", async (req, res) => {
   }
 });
 
-app.post("/api/confirm-subscription", async (req, res) => {
+// Lets the app confirm a subscription when the callback is slow. Nothing is
+// activated unless IntaSend confirms the payment.
+app.post("/api/confirm-subscription", requireRole("seller"), requireOwner((req) => req.body.sellerId), async (req, res) => {
   try {
-    const { orderId, mpesaReference, planId, sellerId, sellerEmail } = req.body;
+    const { orderId, mpesaReference, planId, sellerId } = req.body;
     
     console.log("✅ Confirming subscription:", { orderId, mpesaReference });
     
-    if (!orderId || !mpesaReference || !planId || !sellerId || !sellerEmail) {
+    if (!orderId || !mpesaReference || !planId || !sellerId) {
       return res.status(400).json({ 
         success: false, 
         message: "Missing required fields" 
       });
     }
     
-    await activateSellerSubscription({
-      orderId,
-      planId,
-      sellerId,
-      sellerEmail,
-      amount: req.body.amount
-    }, mpesaReference);
+    const confirmation = await confirmSubscriptionPayment({ orderId, sellerId, planId, mpesaReference });
+    if (!confirmation.confirmed) {
+      console.warn(`🚫 Subscription confirmation refused for ${orderId}: ${confirmation.message}`);
+      return res.status(confirmation.status).json({ success: false, message: confirmation.message });
+    }
     
     return res.json({ 
       success: true, 
-      message: "Subscription activated successfully",
+      message: confirmation.alreadyApplied
+        ? "Subscription payment already confirmed"
+        : "Subscription activated successfully",
       data: {
         orderId,
         activated: true,
+        status: confirmation.subscription.status,
+        expiresAt: confirmation.subscription.expiresAt || null,
         timestamp: new Date().toISOString()
       }
     });
@@ -1226,150 +6078,193 @@ app.post("/api/confirm-subscription", async (req, res) => {
 // ============================================================
 // ✅ CRITICAL FIX: IntaSend callback - FIXED amount handling
 // ============================================================
-app.post("/api/intasend-callback", async (req, res) => {
-  try {
-    const { api_ref, state, mpesa_reference, invoice_id } = req.body;
-    if (!api_ref || !state) return res.status(400).send("Missing api_ref or state");
-
-    console.log(`📞 Callback received:`, {
-      api_ref,
-      state,
-      mpesa_reference,
-      invoice_id,
-      value: req.body.value, // Log the actual amount from callback
-      timestamp: new Date().toISOString()
-    });
+// Applies a verified callback to orders, subscriptions and wallet deposits.
+// Everything happens in one transaction keyed on the invoice, so a retried
+// delivery of an already-applied terminal state is a no-op.
+// Returns the HTTP status/body to send back to IntaSend.
+const processPaymentCallback = async ({ api_ref, state, mpesa_reference, invoice_id, value }) => {
+  let paymentStatus = "pending";
+  if (state === "COMPLETE") paymentStatus = "paid";
+  if (["FAILED", "CANCELLED"].includes(state)) paymentStatus = "failed";
+
+  const isSubscription = api_ref?.startsWith('SUB_');
+  const isWalletDeposit = api_ref?.startsWith('WALLET_');
+  const isTerminal = TERMINAL_PAYMENT_STATES.includes(state);
+
+  // ✅ FIX: Get the actual amount from the callback
+  const callbackAmount = parseFloat(value);
+
+  const processedRef = db.collection('processedPayments').doc(invoice_id || api_ref);
+
+  const result = await db.runTransaction(async (t) => {
+    const processedSnap = await t.get(processedRef);
+    if (processedSnap.exists && TERMINAL_PAYMENT_STATES.includes(processedSnap.data().state)) {
+      return { status: 200, body: "OK", duplicate: true };
+    }
 
-    let paymentStatus = "pending";
-    if (state === "COMPLETE") paymentStatus = "paid";
-    if (["FAILED", "CANCELLED"].includes(state)) paymentStatus = "failed";
+    const markProcessed = () => {
+      if (!isTerminal) return;
+      t.set(processedRef, {
+        invoiceId: invoice_id || null,
+        apiRef: api_ref,
+        state,
+        processedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    };
 
-    const isSubscription = api_ref?.startsWith('SUB_');
-    const isWalletDeposit = api_ref?.startsWith('WALLET_');
-    
     if (isSubscription) {
       const subscriptionRef = db.collection('subscriptions').doc(api_ref);
-      const subscriptionSnap = await subscriptionRef.get();
-      
-      if (subscriptionSnap.exists) {
-        await subscriptionRef.update({
+      const subscriptionSnap = await t.get(subscriptionRef);
+
+      if (!subscriptionSnap.exists) {
+        return { status: 200, body: "OK", reason: 'subscription_not_found' };
+      }
+
+      const subscriptionData = subscriptionSnap.data();
+      if (state === "COMPLETE" && subscriptionData.status !== 'active') {
+        const sellerSnap = await t.get(db.collection('users').doc(subscriptionData.sellerId));
+        await postLedgerEntry(t, subscriptionPaymentLedgerEntry(api_ref, subscriptionData));
+        applySubscriptionActivation(t, {
+          orderId: api_ref,
+          planId: subscriptionData.planId,
+          sellerId: subscriptionData.sellerId,
+          sellerEmail: subscriptionData.email,
+          amount: subscriptionData.amount,
+          durationDays: subscriptionData.durationDays,
+          planChange: subscriptionData.planChange
+        }, mpesa_reference, sellerSnap.data());
+      } else {
+        t.update(subscriptionRef, {
           paymentStatus: paymentStatus,
           mpesaReference: mpesa_reference || null,
+          ...(isTerminal && { reconcileAfter: admin.firestore.FieldValue.delete() }),
           updatedAt: admin.firestore.FieldValue.serverTimestamp(),
         });
-        
-        console.log(`✅ Subscription ${api_ref} updated to: ${paymentStatus}`);
-        
-        if (state === "COMPLETE") {
-          const subscriptionData = subscriptionSnap.data();
-          try {
-            await activateSellerSubscription({
-              orderId: api_ref,
-              planId: subscriptionData.planId,
-              sellerId: subscriptionData.sellerId,
-              sellerEmail: subscriptionData.email,
-              amount: subscriptionData.amount
-            }, mpesa_reference);
-            console.log(`✅ Subscription ${api_ref} activated`);
-          } catch (activationError) {
-            console.error('Failed to activate subscription:', activationError);
-          }
-        }
       }
-      return res.send("OK");
+
+      markProcessed();
+      return { status: 200, body: "OK", kind: 'subscription', paymentStatus };
     }
-    
+
     // Handle regular orders and wallet deposits
     const orderRef = db.collection("orders").doc(api_ref);
-    let orderSnap = await orderRef.get();
-    
-    // ✅ FIX: Get the actual amount from the callback
-    const callbackAmount = parseFloat(req.body.value);
-    
-    // Auto-create order for wallet deposits if not exists
-    if (!orderSnap.exists && isWalletDeposit) {
-      console.log(`📝 Auto-creating wallet order: ${api_ref}`);
-      
-      const parts = api_ref.split('_');
-      const sellerId = parts[1];
-      
+    const orderSnap = await t.get(orderRef);
+
+    let sellerId = null;
+    let walletRef = null;
+    let walletSnap = null;
+    let adTxRef = null;
+    let adTxSnap = null;
+    if (isWalletDeposit) {
+      sellerId = api_ref.split('_')[1];
+      walletRef = db.collection('sellerAdCredits').doc(sellerId);
+      adTxRef = db.collection('adTransactions').doc(api_ref);
+      walletSnap = await t.get(walletRef);
+      adTxSnap = await t.get(adTxRef);
+    }
+
+    if (!orderSnap.exists && !isWalletDeposit) {
+      return { status: 404, body: "Order not found", reason: "order_not_found" };
+    }
+
+    const stockReservation = isWalletDeposit ? null : await readStockReservation(t, api_ref);
+
+    let orderData;
+    if (orderSnap.exists) {
+      orderData = orderSnap.data();
+    } else {
+      // Auto-create order for wallet deposits
       // ✅ FIX: Use the actual amount from callback, not hardcoded 10
       let amount = 1; // Default minimum
-      
       if (callbackAmount && callbackAmount > 0 && callbackAmount <= 500000) {
         amount = callbackAmount;
-        console.log(`✅ Using amount from callback: KSH ${amount}`);
       } else {
         console.log(`⚠️ Invalid callback amount: ${callbackAmount}, using default: ${amount}`);
       }
-      
-      await orderRef.set({
+
+      orderData = {
         orderId: api_ref,
-        paymentStatus: paymentStatus,
-        mpesaReference: mpesa_reference || null,
         totalAmount: amount,
-        state: state,
+        invoiceId: invoice_id || null,
         createdAt: admin.firestore.FieldValue.serverTimestamp(),
-        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
         isWalletDeposit: true,
         sellerId: sellerId
-      });
-      
-      orderSnap = await orderRef.get();
-      console.log(`✅ Auto-created wallet order: ${api_ref} with amount ${amount}`);
+      };
     }
-    
-    if (!orderSnap.exists) {
-      console.error(`❌ Order not found: ${api_ref}`);
-      return res.status(404).send("Order not found");
+
+    // A retried STK push leaves older invoices behind. Their late callbacks
+    // must not touch the order, and nothing ever moves a paid order back.
+    if (!isWalletDeposit && orderSnap.exists) {
+      const staleInvoice = !!orderData.invoiceId && !!invoice_id && invoice_id !== orderData.invoiceId;
+      if (orderData.paymentStatus === 'paid' && state === 'COMPLETE' && staleInvoice) {
+        // The buyer paid twice - keep a trace so the extra payment can be refunded
+        t.update(orderRef, {
+          duplicatePaymentInvoices: admin.firestore.FieldValue.arrayUnion(invoice_id),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        markProcessed();
+        return { status: 200, body: "OK", ignored: 'duplicate_payment' };
+      }
+      if (orderData.paymentStatus === 'paid' && state !== 'COMPLETE') {
+        return { status: 200, body: "OK", ignored: 'already_paid' };
+      }
+      // Not marked processed: if this is really the newest invoice racing the
+      // STK push write, reconciliation picks it up from order.invoiceId.
+      // A stale COMPLETE is still money received, so it is applied.
+      if (staleInvoice && state !== 'COMPLETE') {
+        return { status: 200, body: "OK", ignored: 'stale_invoice' };
+      }
     }
 
-    const orderData = orderSnap.data();
-    
-    // Update order status
-    await orderRef.update({
+    const orderUpdate = {
       paymentStatus: paymentStatus,
       mpesaReference: mpesa_reference || null,
       state: state,
       updatedAt: admin.firestore.FieldValue.serverTimestamp()
-    });
-
-    console.log(`✅ Order ${api_ref} updated: ${paymentStatus}`);
+    };
+    // A final state means reconciliation no longer needs to chase this payment
+    if (isTerminal && orderSnap.exists) {
+      orderUpdate.reconcileAfter = admin.firestore.FieldValue.delete();
+    }
+    const writeOrder = () => {
+      if (orderSnap.exists) t.update(orderRef, orderUpdate);
+      else t.set(orderRef, { ...orderData, ...orderUpdate });
+    };
 
     // ============================================================
     // 🔥 FIXED: Handle wallet deposit with correct amount
     // ============================================================
     if (isWalletDeposit && state === "COMPLETE") {
-      console.log(`💰 Processing wallet deposit: ${api_ref}`);
-      
-      const parts = api_ref.split('_');
-      const sellerId = parts[1];
-      
       // ✅ FIX: Get amount from callback first, then orderData
       let amount = callbackAmount;
       
       // If callback amount is invalid, try orderData
       if (!amount || amount <= 0 || amount > 500000) {
         amount = orderData.totalAmount;
-        console.log(`⚠️ Using amount from orderData: ${amount}`);
       }
       
       // Final validation
       if (!amount || amount <= 0 || amount > 500000) {
-        console.error(`❌ Invalid amount: ${amount} - marking transaction as failed`);
-        await orderRef.update({
-          paymentStatus: 'failed',
-          errorMessage: 'Invalid amount detected'
-        });
-        return res.send("OK");
+        orderUpdate.paymentStatus = 'failed';
+        orderUpdate.errorMessage = 'Invalid amount detected';
+        writeOrder();
+        markProcessed();
+        return { status: 200, body: "OK", kind: 'wallet', invalidAmount: amount };
       }
+
+      // A completed adTransaction means this deposit was credited before
+      // processedPayments existed - never credit it twice
+      if (adTxSnap.exists && adTxSnap.data().status === 'completed') {
+        writeOrder();
+        markProcessed();
+        return { status: 200, body: "OK", kind: 'wallet', alreadyCredited: true };
+      }
+
+      const { entryId } = await postLedgerEntry(t, walletDepositLedgerEntry(api_ref, sellerId, amount));
+      orderUpdate.ledgerEntryId = entryId;
+      writeOrder();
       
-      console.log(`✅ Processing deposit amount: KSH ${amount}`);
-      
-      // Create adTransaction with correct amount
-      const adTxRef = db.collection('adTransactions').doc(api_ref);
-      
-      await adTxRef.set({
+      t.set(adTxRef, {
         paymentRef: api_ref,
         sellerId: sellerId,
         sellerEmail: orderData.sellerEmail || null,
@@ -1381,27 +6276,26 @@ app.post("/api/intasend-callback", async (req, res) => {
         paymentMethod: 'mpesa',
         mpesaCode: mpesa_reference || `MPESA_${Date.now()}`,
         description: `Ad wallet deposit - KSH ${amount.toFixed(2)}`,
+        ledgerEntryId: entryId,
         timestamp: admin.firestore.FieldValue.serverTimestamp(),
         completedAt: admin.firestore.FieldValue.serverTimestamp(),
         createdAt: admin.firestore.FieldValue.serverTimestamp(),
         updatedAt: admin.firestore.FieldValue.serverTimestamp()
       }, { merge: true });
       
-      console.log(`✅ AdTransaction created with amount: ${amount}`);
-      
-      // Update seller's wallet balance
-      const walletRef = db.collection('sellerAdCredits').doc(sellerId);
-      const walletSnap = await walletRef.get();
-      
+      // sellerAdCredits mirrors the ledger ad-wallet account for the frontend
       if (walletSnap.exists) {
-        await walletRef.update({
+        const wallet = walletSnap.data();
+        const lowBalance = checkLowBalance(wallet, toCents(wallet.balance) + toCents(amount));
+        t.update(walletRef, {
           balance: admin.firestore.FieldValue.increment(amount),
           totalDeposited: admin.firestore.FieldValue.increment(amount),
+          // A top-up only re-arms the alert; spending is what sends it
+          ...(!lowBalance.alert && lowBalance.fields),
           updatedAt: admin.firestore.FieldValue.serverTimestamp()
         });
-        console.log(`💰 Wallet updated for ${sellerId}: +KSH ${amount}`);
       } else {
-        await walletRef.set({
+        t.set(walletRef, {
           sellerId: sellerId,
           balance: amount,
           totalDeposited: amount,
@@ -1410,40 +6304,436 @@ app.post("/api/intasend-callback", async (req, res) => {
           createdAt: admin.firestore.FieldValue.serverTimestamp(),
           updatedAt: admin.firestore.FieldValue.serverTimestamp()
         });
-        console.log(`💰 Wallet created for ${sellerId} with KSH ${amount}`);
       }
-      
-      console.log(`✅ Successfully processed deposit: ${api_ref} for KSH ${amount}`);
+
+      markProcessed();
+      return { status: 200, body: "OK", kind: 'wallet', sellerId, credited: amount };
+    }
+
+    if (!isWalletDeposit && state === "COMPLETE" && !orderData.ledgerEntryId) {
+      const saleEntry = orderSaleLedgerEntry(api_ref, orderData);
+      if (saleEntry) {
+        await postLedgerEntry(t, saleEntry);
+        orderUpdate.ledgerEntryId = saleEntry.entryId;
+        createEscrowHolds(t, api_ref, getSellerRevenueByOrder(orderData));
+      }
+      Object.assign(orderUpdate, initialFulfilmentFields(orderData));
+    }
+
+    // Payment that lands after the buyer cancelled is kept as a normal sale
+    // and flagged, so it can be refunded through the usual path
+    if (state === "COMPLETE" && orderData.status === "CANCELLED") {
+      orderUpdate.paidAfterCancellation = true;
+    }
+
+    if (stockReservation && state === "COMPLETE") {
+      Object.assign(orderUpdate, settleStockReservation(t, stockReservation, "commit"));
+    } else if (stockReservation && paymentStatus === "failed") {
+      Object.assign(orderUpdate, settleStockReservation(t, stockReservation, "release", `payment_${state.toLowerCase()}`));
+    }
+
+    writeOrder();
+    markProcessed();
+    return { status: 200, body: "OK", kind: 'order', orderData, paymentStatus };
+  });
+
+  if (result.duplicate) {
+    console.log(`🔁 Duplicate ${state} callback for ${api_ref} (${invoice_id}) ignored`);
+    return result;
+  }
+
+  if (result.ignored === 'duplicate_payment') {
+    console.error(`❌ Second payment ${invoice_id} received for paid order ${api_ref} - needs a refund`);
+  } else if (result.ignored) {
+    console.log(`⏭️ ${state} callback for ${api_ref} (${invoice_id}) ignored: ${result.ignored}`);
+  } else if (result.kind === 'subscription') {
+    console.log(`✅ Subscription ${api_ref} updated to: ${result.paymentStatus}`);
+  } else if (result.invalidAmount !== undefined) {
+    console.error(`❌ Invalid amount: ${result.invalidAmount} - marked ${api_ref} as failed`);
+  } else if (result.alreadyCredited) {
+    console.log(`⚠️ Deposit ${api_ref} was already credited - skipped`);
+  } else if (result.credited) {
+    console.log(`💰 Wallet updated for ${result.sellerId}: +KSH ${result.credited}`);
+    console.log(`✅ Successfully processed deposit: ${api_ref} for KSH ${result.credited}`);
+  } else if (result.kind === 'order') {
+    console.log(`✅ Order ${api_ref} updated: ${result.paymentStatus}`);
+  }
+
+  // Send confirmation email for regular orders
+  if (result.kind === 'order' && state === "COMPLETE") {
+    const orderData = result.orderData;
+    let userEmail = orderData.userEmail || orderData.shippingDetails?.email;
+    
+    if (!userEmail && orderData.userId) {
+      try {
+        const userDoc = await db.collection('users').doc(orderData.userId).get();
+        if (userDoc.exists) userEmail = userDoc.data().email;
+      } catch (err) {
+        console.error('Failed to fetch user email:', err);
+      }
+    }
+    
+    if (userEmail) {
+      sendOrderConfirmationEmail(orderData, userEmail, api_ref)
+        .then(success => {
+          if (success) console.log(`✅ Confirmation email sent for ${api_ref}`);
+          else console.log(`❌ Failed to send email for ${api_ref}`);
+        })
+        .catch(err => console.error('Email error:', err));
+    }
+  }
+
+  return result;
+};
+
+app.post("/api/intasend-callback", async (req, res) => {
+  const { api_ref, mpesa_reference, invoice_id } = req.body;
+  let { state, value } = req.body;
+  const audit = { apiRef: api_ref || null, invoiceId: invoice_id || null, state: state || null, ipAddress: req.ip };
+
+  const reject = async (status, reason, body) => {
+    console.warn(`🚫 Callback rejected (${reason}):`, { api_ref, invoice_id, state });
+    await recordPaymentWebhook({ ...audit, outcome: 'rejected', reason }, req.body);
+    return res.status(status).send(body);
+  };
+
+  try {
+    if (!api_ref || !state) return reject(400, 'missing_fields', "Missing api_ref or state");
+
+    if (!verifyWebhookChallenge(req.body)) {
+      return reject(401, 'invalid_challenge', "Invalid webhook challenge");
+    }
+
+    if (!invoice_id) return reject(400, 'missing_invoice_id', "Missing invoice_id");
+
+    console.log(`📞 Callback received:`, {
+      api_ref,
+      state,
+      mpesa_reference,
+      invoice_id,
+      value, // Log the actual amount from callback
+      timestamp: new Date().toISOString()
+    });
+
+    // Cheap pre-check so replays skip the IntaSend lookup; the transaction
+    // in processPaymentCallback is what guarantees exactly-once
+    const processedSnap = await db.collection('processedPayments').doc(invoice_id).get();
+    if (processedSnap.exists && TERMINAL_PAYMENT_STATES.includes(processedSnap.data().state)) {
+      console.log(`🔁 Replay of processed invoice ${invoice_id} ignored`);
+      await recordPaymentWebhook({ ...audit, outcome: 'duplicate' }, req.body);
+      return res.send("OK");
+    }
+
+    if (VERIFY_INVOICE_STATUS) {
+      let invoice;
+      try {
+        invoice = await fetchInvoiceStatus(invoice_id);
+      } catch (verifyErr) {
+        console.error('❌ Invoice status lookup failed:', verifyErr?.message || verifyErr);
+        return reject(503, 'verification_unavailable', "Could not verify invoice status");
+      }
+
+      if (invoice.apiRef && invoice.apiRef !== api_ref) {
+        return reject(400, 'api_ref_mismatch', "Invoice does not match api_ref");
+      }
+      if (invoice.state && invoice.state !== state) {
+        console.warn(`⚠️ Callback state ${state} differs from IntaSend state ${invoice.state} - using IntaSend`);
+        audit.reportedState = state;
+        state = invoice.state;
+        audit.state = state;
+      }
+      if (invoice.value) value = invoice.value;
+      audit.verified = true;
+    }
+
+    const result = await processPaymentCallback({ api_ref, state, mpesa_reference, invoice_id, value });
+
+    if (result.status !== 200) {
+      return reject(result.status, result.reason || 'processing_failed', result.body);
+    }
+
+    await recordPaymentWebhook({ ...audit, outcome: result.duplicate ? 'duplicate' : 'accepted' }, req.body);
+    return res.status(result.status).send(result.body);
+    
+  } catch (error) {
+    console.error('❌ IntaSend callback error:', error);
+    await recordPaymentWebhook({ ...audit, outcome: 'error', reason: error.message }, req.body);
+    return res.status(500).send("Callback processing failed");
+  }
+});
+
+// ============================
+// Payment Reconciliation
+// ============================
+// Every STK push stamps its order or subscription with `reconcileAfter`,
+// and the callback clears it once the payment reaches a final state. Anything
+// still stamped after that time lost its callback, so the worker asks
+// IntaSend for the invoice and applies the result through the same
+// processPaymentCallback path. Mismatches go into a report per day.
+
+const RECONCILE_AFTER_MINUTES = Number(process.env.RECONCILE_AFTER_MINUTES) || 10;
+const RECONCILE_INTERVAL_MS = Number(process.env.RECONCILE_INTERVAL_MS) || 5 * 60 * 1000;
+const RECONCILE_REPORT_INTERVAL_MS = Number(process.env.RECONCILE_REPORT_INTERVAL_MS) || 60 * 60 * 1000;
+const RECONCILE_BATCH_SIZE = Number(process.env.RECONCILE_BATCH_SIZE) || 50;
+// Lookups that still show PENDING after this many tries are reported and dropped
+const RECONCILE_MAX_ATTEMPTS = Number(process.env.RECONCILE_MAX_ATTEMPTS) || 12;
+const RECONCILIATION_REPORT_EMAIL = process.env.RECONCILIATION_REPORT_EMAIL || null;
+
+const RECONCILIATION_MISMATCHES = {
+  LOST_CALLBACK: 'IntaSend reached a final state but no callback was applied',
+  AMOUNT_MISMATCH: 'IntaSend charged a different amount than the record expects',
+  API_REF_MISMATCH: 'The invoice belongs to a different payment reference',
+  MISSING_INVOICE: 'The STK push was recorded without an invoice id',
+  PROCESSING_FAILED: 'The IntaSend result could not be applied',
+  UNRESOLVED: 'IntaSend still reports the payment as pending'
+};
+
+const paymentReconcileAfter = () =>
+  admin.firestore.Timestamp.fromMillis(Date.now() + RECONCILE_AFTER_MINUTES * 60 * 1000);
+
+const reconciliationReportRef = (date) => db.collection('reconciliationReports').doc(date);
+
+// Reports are kept per day in Kenyan time
+const recordReconciliation = async (counts, mismatch = null) => {
+  const date = nairobiDate();
+  const reportRef = reconciliationReportRef(date);
+  const update = {
+    date,
+    status: 'open',
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  };
+  Object.entries(counts).forEach(([key, n]) => {
+    update[key] = admin.firestore.FieldValue.increment(n);
+  });
+  await reportRef.set(update, { merge: true });
+
+  if (mismatch) {
+    await reportRef.collection('mismatches').add({
+      ...mismatch,
+      description: RECONCILIATION_MISMATCHES[mismatch.type],
+      detectedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    console.warn(`⚠️ Reconciliation ${mismatch.type} for ${mismatch.kind} ${mismatch.apiRef}`);
+  }
+};
+
+const getReconcileKind = (apiRef) => {
+  if (apiRef.startsWith('SUB_')) return 'subscription';
+  if (apiRef.startsWith('WALLET_')) return 'wallet';
+  return 'order';
+};
+
+// Checks one stale record against IntaSend. Returns what happened to it:
+// 'applied', 'pending', 'error' or 'dropped'.
+const reconcilePayment = async (snap) => {
+  const record = snap.data();
+  const apiRef = snap.id;
+  const kind = getReconcileKind(apiRef);
+  const expectedAmount = kind === 'subscription' ? record.amount : record.totalAmount;
+  const base = {
+    kind,
+    apiRef,
+    invoiceId: record.invoiceId || null,
+    localStatus: record.paymentStatus || record.status || null,
+    expectedAmount: expectedAmount ?? null
+  };
+  const attempts = (record.reconcileAttempts || 0) + 1;
+
+  const stopReconciling = () => snap.ref.update({
+    reconcileAfter: admin.firestore.FieldValue.delete(),
+    reconcileAttempts: attempts,
+    reconciledAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+  const retryLater = async (counts, mismatchType) => {
+    if (attempts >= RECONCILE_MAX_ATTEMPTS) {
+      await stopReconciling();
+      await recordReconciliation({ ...counts, mismatches: 1 }, { ...base, type: mismatchType || 'UNRESOLVED', attempts });
+      return 'dropped';
+    }
+    await snap.ref.update({ reconcileAfter: paymentReconcileAfter(), reconcileAttempts: attempts });
+    await recordReconciliation(counts);
+    return null;
+  };
+
+  if (!record.invoiceId) {
+    await stopReconciling();
+    await recordReconciliation({ checked: 1, mismatches: 1 }, { ...base, type: 'MISSING_INVOICE' });
+    return 'dropped';
+  }
+
+  let invoice;
+  try {
+    invoice = await fetchInvoiceStatus(record.invoiceId);
+  } catch (err) {
+    console.error(`❌ Reconciliation lookup failed for ${apiRef}:`, err?.message || err);
+    return (await retryLater({ checked: 1, errors: 1 }, 'UNRESOLVED')) || 'error';
+  }
+
+  const providerFields = { providerState: invoice.state, providerAmount: invoice.value };
+  if (invoice.apiRef && invoice.apiRef !== apiRef) {
+    await stopReconciling();
+    await recordReconciliation({ checked: 1, mismatches: 1 }, { ...base, ...providerFields, type: 'API_REF_MISMATCH', providerApiRef: invoice.apiRef });
+    return 'dropped';
+  }
+
+  if (!TERMINAL_PAYMENT_STATES.includes(invoice.state)) {
+    return (await retryLater({ checked: 1, pending: 1 }, 'UNRESOLVED')) || 'pending';
+  }
+
+  const result = await processPaymentCallback({
+    api_ref: apiRef,
+    state: invoice.state,
+    mpesa_reference: invoice.mpesaReference,
+    invoice_id: record.invoiceId,
+    value: invoice.value
+  });
+
+  if (result.status !== 200) {
+    await stopReconciling();
+    await recordReconciliation({ checked: 1, mismatches: 1 }, { ...base, ...providerFields, type: 'PROCESSING_FAILED', reason: result.reason || null });
+    return 'dropped';
+  }
+
+  // The callback clears reconcileAfter on orders it updates; a duplicate
+  // (already applied under another path) leaves the stamp behind
+  await stopReconciling();
+  await recordPaymentWebhook(
+    { apiRef, invoiceId: record.invoiceId, state: invoice.state, outcome: result.duplicate ? 'duplicate' : 'reconciled', verified: true },
+    { source: 'reconciliation', ...invoice }
+  );
+
+  if (result.duplicate) {
+    await recordReconciliation({ checked: 1 });
+    return 'applied';
+  }
+
+  await recordReconciliation({ checked: 1, applied: 1, mismatches: 1 }, { ...base, ...providerFields, type: 'LOST_CALLBACK' });
+  if (invoice.state === 'COMPLETE' && invoice.value && expectedAmount && toCents(invoice.value) !== toCents(expectedAmount)) {
+    await recordReconciliation({ mismatches: 1 }, { ...base, ...providerFields, type: 'AMOUNT_MISMATCH' });
+  }
+  console.log(`🔄 Reconciled ${kind} ${apiRef}: ${invoice.state}`);
+  return 'applied';
+};
+
+const reconcilePendingPayments = async () => {
+  const now = admin.firestore.Timestamp.now();
+  const summary = { checked: 0, applied: 0, pending: 0, errors: 0, dropped: 0 };
+
+  for (const collection of ['orders', 'subscriptions']) {
+    const snap = await db
+      .collection(collection)
+      .where('reconcileAfter', '<=', now)
+      .limit(RECONCILE_BATCH_SIZE)
+      .get();
+
+    for (const doc of snap.docs) {
+      try {
+        const outcome = await reconcilePayment(doc);
+        summary.checked += 1;
+        summary[outcome === 'error' ? 'errors' : outcome] += 1;
+      } catch (err) {
+        summary.errors += 1;
+        console.error(`❌ Failed to reconcile ${collection}/${doc.id}:`, err);
+      }
+    }
+  }
+
+  if (summary.checked) console.log('🔄 Payment reconciliation:', summary);
+  return summary;
+};
+
+// Closes every open report from before today and emails its summary
+const finalizeReconciliationReports = async () => {
+  const today = nairobiDate();
+  const snap = await db.collection('reconciliationReports').where('status', '==', 'open').get();
+
+  for (const doc of snap.docs) {
+    const report = doc.data();
+    if (report.date >= today) continue;
+
+    const mismatchSnap = await doc.ref.collection('mismatches').get();
+    const byType = {};
+    mismatchSnap.forEach((m) => {
+      const type = m.data().type;
+      byType[type] = (byType[type] || 0) + 1;
+    });
+
+    await doc.ref.update({
+      status: 'final',
+      mismatchesByType: byType,
+      finalizedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    console.log(`📊 Reconciliation report ${report.date}: ${report.checked || 0} checked, ${mismatchSnap.size} mismatches`);
+
+    if (RECONCILIATION_REPORT_EMAIL) {
+      sendEmail(
+        RECONCILIATION_REPORT_EMAIL,
+        `Payment Reconciliation Report - ${report.date}`,
+        buildNotificationEmailHtml({
+          title: 'Payment Reconciliation',
+          greeting: 'Hello team,',
+          intro: `Here is the payment reconciliation summary for ${report.date}.`,
+          tone: mismatchSnap.size ? 'warning' : 'success',
+          statusLabel: mismatchSnap.size ? `${mismatchSnap.size} MISMATCHES` : 'ALL MATCHED',
+          message: 'Details of each mismatch are available from the admin reconciliation report.',
+          details: [
+            ['Payments checked', String(report.checked || 0)],
+            ['Lost callbacks applied', String(report.applied || 0)],
+            ['Still pending', String(report.pending || 0)],
+            ['Lookup errors', String(report.errors || 0)],
+            ...Object.entries(byType).map(([type, n]) => [type, String(n)])
+          ]
+        }),
+        'security'
+      )
+        .then((sent) => {
+          if (!sent) console.log(`❌ Failed to send reconciliation report for ${report.date}`);
+        })
+        .catch((err) => console.error('Reconciliation report email error:', err));
     }
+  }
+};
+
+// ✅ Payment reconciliation reports (admin)
+app.get("/api/admin/reconciliation/reports", requireRole("admin"), async (req, res) => {
+  try {
+    const snap = await db
+      .collection("reconciliationReports")
+      .orderBy("date", "desc")
+      .limit(30)
+      .get();
+
+    return res.json({ success: true, reports: snap.docs.map((doc) => ({ id: doc.id, ...doc.data() })) });
+  } catch (error) {
+    return sendServerError(res, error, "Failed to load reconciliation reports");
+  }
+});
 
-    // Send confirmation email for regular orders
-    if (!isWalletDeposit && state === "COMPLETE") {
-      let userEmail = orderData.userEmail || orderData.shippingDetails?.email;
-      
-      if (!userEmail && orderData.userId) {
-        try {
-          const userDoc = await db.collection('users').doc(orderData.userId).get();
-          if (userDoc.exists) userEmail = userDoc.data().email;
-        } catch (err) {
-          console.error('Failed to fetch user email:', err);
-        }
-      }
-      
-      if (userEmail) {
-        sendOrderConfirmationEmail(orderData, userEmail, api_ref)
-          .then(success => {
-            if (success) console.log(`✅ Confirmation email sent for ${api_ref}`);
-            else console.log(`❌ Failed to send email for ${api_ref}`);
-          })
-          .catch(err => console.error('Email error:', err));
-      }
-    }
+app.get("/api/admin/reconciliation/reports/:date", requireRole("admin"), async (req, res) => {
+  try {
+    const reportRef = reconciliationReportRef(req.params.date);
+    const snap = await reportRef.get();
+    if (!snap.exists)
+      return res.status(404).json({ success: false, message: "No reconciliation report for that date" });
 
-    return res.send("OK");
-    
+    const mismatchSnap = await reportRef.collection("mismatches").get();
+    return res.json({
+      success: true,
+      report: { id: snap.id, ...snap.data() },
+      mismatches: mismatchSnap.docs.map((doc) => ({ id: doc.id, ...doc.data() })),
+    });
   } catch (error) {
-    console.error('❌ IntaSend callback error:', error);
-    return res.status(500).send("Callback processing failed");
+    return sendServerError(res, error, "Failed to load reconciliation report");
+  }
+});
+
+// Runs a reconciliation pass now instead of waiting for the next tick
+app.post("/api/admin/reconciliation/run", requireRole("admin"), async (req, res) => {
+  try {
+    const summary = await reconcilePendingPayments();
+    return res.json({ success: true, data: summary });
+  } catch (error) {
+    return sendServerError(res, error, "Reconciliation failed");
   }
 });
 
@@ -1466,7 +6756,12 @@ app.get("/api/transaction/:invoiceId", async (req, res) => {
         .status(404)
         .json({ success: false, message: "Transaction not found" });
 
-    return res.json({ success: true, data: docs.docs[0].data() });
+    const orderData = docs.docs[0].data();
+    if (!isOwnerOrAdmin(req.user, orderData.userId || orderData.sellerId)) {
+      return sendForbidden(res);
+    }
+
+    return res.json({ success: true, data: orderData });
   } catch (error) {
     return sendServerError(res, error, "Transaction lookup failed");
   }
@@ -1487,6 +6782,9 @@ app.get("/api/ad-transaction/:paymentRef", async (req, res) => {
 
     if (adTxDoc.exists) {
       const txData = adTxDoc.data();
+      if (!isOwnerOrAdmin(req.user, txData.sellerId)) {
+        return sendForbidden(res);
+      }
       console.log(`✅ Found adTransaction: status=${txData.status}, amount=${txData.amount}`);
       return res.json({ success: true, data: txData });
     }
@@ -1500,30 +6798,10 @@ app.get("/api/ad-transaction/:paymentRef", async (req, res) => {
 
     if (!orderSnapshot.empty) {
       const orderData = orderSnapshot.docs[0].data();
-      console.log(`✅ Found order: paymentStatus=${orderData.paymentStatus}`);
-      
-      if (orderData.paymentStatus === 'paid' && orderData.isWalletDeposit) {
-        console.log(`🔄 Creating missing adTransaction for ${paymentRef}`);
-        
-        const correctAmount = orderData.totalAmount || 1;
-        
-        await db.collection('adTransactions').doc(paymentRef).set({
-          paymentRef: paymentRef,
-          sellerId: orderData.sellerId,
-          type: 'deposit',
-          amount: correctAmount,
-          status: 'completed',
-          paymentMethod: 'mpesa',
-          mpesaCode: orderData.mpesaReference || 'SYNCED',
-          description: `Ad wallet deposit - KSH ${correctAmount.toFixed(2)}`,
-          timestamp: admin.firestore.FieldValue.serverTimestamp(),
-          completedAt: admin.firestore.FieldValue.serverTimestamp()
-        });
-        
-        const newTx = await db.collection('adTransactions').doc(paymentRef).get();
-        return res.json({ success: true, data: newTx.data() });
+      if (!isOwnerOrAdmin(req.user, orderData.sellerId || orderData.userId)) {
+        return sendForbidden(res);
       }
-      
+      console.log(`✅ Found order: paymentStatus=${orderData.paymentStatus}`);
       return res.json({ success: true, data: orderData });
     }
 
@@ -1536,78 +6814,363 @@ app.get("/api/ad-transaction/:paymentRef", async (req, res) => {
   }
 });
 
-// ✅ Seller Withdrawal
-app.post("/api/seller/withdraw", async (req, res) => {
+// ✅ Ad campaigns (seller)
+app.post("/api/seller/ad-campaigns", requireRole("seller"), async (req, res) => {
   try {
-    const { sellerId, amount: requestedAmount, phoneNumber } = req.body;
-    console.log("📤 Withdrawal Request:", req.body);
+    const validation = validateCampaignInput(req.body);
+    if (!validation.valid)
+      return res.status(400).json({ success: false, message: validation.message });
 
-    if (!sellerId)
-      return res.status(400).json({ success: false, message: "Missing sellerId" });
-    const amount = parsePositiveNumber(requestedAmount);
-    if (!amount)
-      return res.status(400).json({ success: false, message: "Invalid amount" });
-    if (!isValidPhone(phoneNumber))
+    const sellerId = req.user.uid;
+    if (validation.data.productId) {
+      const productSnap = await db.collection("products").doc(validation.data.productId).get();
+      if (!productSnap.exists || productSnap.data().sellerId !== sellerId)
+        return res.status(400).json({ success: false, message: "You can only promote your own products" });
+    }
+
+    await ensureSellerLedgerOpened(sellerId);
+    if (await getAvailableAdCreditCents(sellerId) < toCents(Math.min(...Object.values(AD_RATES))))
       return res
-        .status(400)
-        .json({ success: false, message: "Invalid phone number" });
+        .status(409)
+        .json({ success: false, message: "Top up your ad wallet before starting a campaign" });
+
+    const campaignRef = db.collection("adCampaigns").doc();
+    const campaign = {
+      sellerId,
+      productId: null,
+      ...validation.data,
+      rates: { ...AD_RATES },
+      status: "active",
+      pausedReason: null,
+      reserved: 0,
+      spent: 0,
+      spentToday: 0,
+      spendDate: nairobiDate(),
+      impressions: 0,
+      clicks: 0,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+    await campaignRef.set(campaign);
+
+    console.log(`📣 Campaign ${campaignRef.id} created by ${sellerId} with budget KSH ${campaign.budget}`);
+    return res.status(201).json({ success: true, campaign: { id: campaignRef.id, ...campaign } });
+  } catch (error) {
+    return sendServerError(res, error, "Failed to create campaign");
+  }
+});
+
+app.get("/api/seller/ad-campaigns", requireRole("seller"), async (req, res) => {
+  try {
+    const sellerId = isAdmin(req.user) && req.query.sellerId ? req.query.sellerId : req.user.uid;
+    const snap = await db.collection("adCampaigns").where("sellerId", "==", sellerId).get();
+    return res.json({ success: true, campaigns: snap.docs.map((doc) => ({ id: doc.id, ...doc.data() })) });
+  } catch (error) {
+    return sendServerError(res, error, "Failed to load campaigns");
+  }
+});
+
+// Loads a campaign the caller owns, or sends the error response
+const loadOwnCampaign = async (req, res) => {
+  const campaignRef = db.collection("adCampaigns").doc(req.params.campaignId);
+  const snap = await campaignRef.get();
+  if (!snap.exists) {
+    res.status(404).json({ success: false, message: "Campaign not found" });
+    return null;
+  }
+  if (!isOwnerOrAdmin(req.user, snap.data().sellerId)) {
+    sendForbidden(res, "You can only manage your own campaigns");
+    return null;
+  }
+  return { campaignRef, campaign: snap.data() };
+};
 
-    const minFeeCheck = calculateTotalFee(amount);
-    if (amount <= minFeeCheck) {
+// Name, budget and daily cap changes
+app.patch("/api/seller/ad-campaigns/:campaignId", requireRole("seller"), async (req, res) => {
+  try {
+    const loaded = await loadOwnCampaign(req, res);
+    if (!loaded) return;
+
+    if (req.body.productId !== undefined)
+      return res.status(400).json({ success: false, message: "A campaign's product cannot be changed" });
+    const validation = validateCampaignInput(req.body, { partial: true });
+    if (!validation.valid)
+      return res.status(400).json({ success: false, message: validation.message });
+    if (!Object.keys(validation.data).length)
+      return res.status(400).json({ success: false, message: "Nothing to update" });
+    if (validation.data.budget !== undefined && toCents(validation.data.budget) < toCents(loaded.campaign.spent))
       return res.status(400).json({
         success: false,
-        message: `Requested amount must be greater than the total fee of KSH ${minFeeCheck.toFixed(2)}.`,
+        message: `Budget cannot be less than the KSH ${loaded.campaign.spent.toFixed(2)} already spent`,
       });
-    }
 
-    const ordersSnap = await db
-      .collection("orders")
-      .where("involvedSellerIds", "array-contains", sellerId)
-      .where("paymentStatus", "==", "paid")
-      .get();
+    await loaded.campaignRef.update({ ...validation.data, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+    return res.json({ success: true, campaign: { id: loaded.campaignRef.id, ...loaded.campaign, ...validation.data } });
+  } catch (error) {
+    return sendServerError(res, error, "Failed to update campaign");
+  }
+});
 
-    let totalRevenue = 0;
-    ordersSnap.forEach((doc) => {
-      const data = doc.data();
-      const items = data.items;
-      if (!items) return;
-
-      if (Array.isArray(items)) {
-        items.forEach((item) => {
-          if (item?.sellerId === sellerId) {
-            const price = Number(item.price) || 0;
-            const qty = Number(item.quantity) || 0;
-            totalRevenue += price * qty;
-          }
-        });
-      } else if (typeof items === "object") {
-        Object.values(items).forEach((item) => {
-          if (item?.sellerId === sellerId) {
-            const price = Number(item.price) || 0;
-            const qty = Number(item.quantity) || 0;
-            totalRevenue += price * qty;
-          }
-        });
-      }
+app.post("/api/seller/ad-campaigns/:campaignId/pause", requireRole("seller"), async (req, res) => {
+  try {
+    const loaded = await loadOwnCampaign(req, res);
+    if (!loaded) return;
+
+    const result = await pauseCampaign(loaded.campaignRef, "seller");
+    if (!result.paused)
+      return res.status(result.status).json({ success: false, message: result.message });
+
+    return res.json({ success: true, message: "Campaign paused" });
+  } catch (error) {
+    return sendServerError(res, error, "Failed to pause campaign");
+  }
+});
+
+app.post("/api/seller/ad-campaigns/:campaignId/resume", requireRole("seller"), async (req, res) => {
+  try {
+    const loaded = await loadOwnCampaign(req, res);
+    if (!loaded) return;
+
+    const { campaign, campaignRef } = loaded;
+    if (campaign.status !== "paused")
+      return res.status(409).json({ success: false, message: `Campaign is ${campaign.status}` });
+
+    const cheapest = toCents(Math.min(...Object.values(AD_RATES)));
+    if (toCents(campaign.budget) - toCents(campaign.spent) < cheapest)
+      return res
+        .status(409)
+        .json({ success: false, message: "Campaign budget is spent. Raise the budget to resume." });
+
+    await ensureSellerLedgerOpened(campaign.sellerId);
+    if (await getAvailableAdCreditCents(campaign.sellerId) < cheapest)
+      return res.status(409).json({ success: false, message: "Top up your ad wallet to resume this campaign" });
+
+    await campaignRef.update({
+      status: "active",
+      pausedReason: null,
+      resumedAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return res.json({ success: true, message: "Campaign resumed" });
+  } catch (error) {
+    return sendServerError(res, error, "Failed to resume campaign");
+  }
+});
+
+// ✅ Impression and click reporting from the storefront. Events that are not
+// charged (duplicates, paused campaigns, the seller's own views) still
+// return 200 so the storefront never retries them. Impressions return an
+// impressionId, which the click on that ad has to send back.
+app.post("/api/ads/:campaignId/events", async (req, res) => {
+  try {
+    if (!adEventUserLimiter(req.user.uid) || !adEventIpLimiter(req.ip))
+      return res.status(429).json({ success: false, message: "Too many ad events. Please slow down." });
+
+    const { type, impressionId } = req.body;
+    if (!AD_EVENT_TYPES.includes(type))
+      return res
+        .status(400)
+        .json({ success: false, message: `Event type must be one of: ${AD_EVENT_TYPES.join(", ")}` });
+    if (type === "click" && (typeof impressionId !== "string" || !/^[\w-]{1,200}$/.test(impressionId)))
+      return res
+        .status(400)
+        .json({ success: false, message: "Clicks must include the impressionId returned for the impression" });
+
+    const campaignRef = db.collection("adCampaigns").doc(req.params.campaignId);
+    const result = await chargeAdEvent(campaignRef, type, req.user.uid, impressionId);
+    if (result.status === 404)
+      return res.status(404).json({ success: false, message: "Campaign not found" });
+
+    return res.json({
+      success: true,
+      charged: result.charged,
+      reason: result.reason || null,
+      ...(result.impressionId && { impressionId: result.impressionId }),
     });
+  } catch (error) {
+    return sendServerError(res, error, "Failed to record ad event");
+  }
+});
 
-    let totalPreviouslyWithdrawn = 0;
-    const sellerLedgerRef = db.collection("sellerLedgers").doc(sellerId);
-    const ledgerSnap = await sellerLedgerRef.get();
-    if (ledgerSnap.exists) {
-      totalPreviouslyWithdrawn = ledgerSnap.data().totalWithdrawn || 0;
+// ✅ Ad wallet statement, newest first
+// GET /api/seller/:sellerId/ad-wallet/statement?limit=20&cursor=<id>
+// Pass the returned nextCursor to get the next page.
+const DEFAULT_AD_STATEMENT_PAGE = 20;
+const MAX_AD_STATEMENT_PAGE = 100;
+
+app.get("/api/seller/:sellerId/ad-wallet/statement", requireRole("seller"), requireOwner((req) => req.params.sellerId), async (req, res) => {
+  try {
+    const { sellerId } = req.params;
+    const limit = Math.min(
+      parseInt(req.query.limit, 10) || DEFAULT_AD_STATEMENT_PAGE,
+      MAX_AD_STATEMENT_PAGE
+    );
+    if (limit < 1)
+      return res.status(400).json({ success: false, message: "Invalid limit" });
+
+    let query = db
+      .collection("adTransactions")
+      .where("sellerId", "==", sellerId)
+      .orderBy("timestamp", "desc");
+
+    if (req.query.cursor) {
+      const cursorDoc = await db.collection("adTransactions").doc(String(req.query.cursor)).get();
+      if (!cursorDoc.exists || cursorDoc.data().sellerId !== sellerId)
+        return res.status(400).json({ success: false, message: "Invalid cursor" });
+      query = query.startAfter(cursorDoc);
     }
 
-    const netAvailableRevenue = totalRevenue - totalPreviouslyWithdrawn;
+    const [walletDoc, availableCents, snap] = await Promise.all([
+      db.collection("sellerAdCredits").doc(sellerId).get(),
+      getAvailableAdCreditCents(sellerId),
+      query.limit(limit + 1).get(),
+    ]);
+    const wallet = walletDoc.exists ? walletDoc.data() : {};
+    const pageDocs = snap.docs.slice(0, limit);
+
+    return res.json({
+      success: true,
+      data: {
+        wallet: {
+          currency: "KES",
+          balance: wallet.balance || 0,
+          reservedBalance: wallet.reservedBalance || 0,
+          refundableBalance: fromCents(Math.max(0, availableCents)),
+          totalDeposited: wallet.totalDeposited || 0,
+          totalSpent: wallet.totalSpent || 0,
+          totalRefunded: wallet.totalRefunded || 0,
+          lowBalanceThreshold: wallet.lowBalanceThreshold ?? null,
+        },
+        transactions: pageDocs.map((doc) => {
+          const tx = doc.data();
+          return {
+            ...tx,
+            id: doc.id,
+            timestamp: tx.timestamp?.toDate?.().toISOString() || null,
+          };
+        }),
+        nextCursor: snap.docs.length > limit ? pageDocs[pageDocs.length - 1].id : null,
+      },
+    });
+  } catch (error) {
+    return sendServerError(res, error, "Failed to load ad wallet statement");
+  }
+});
+
+// ✅ Low-balance alert level for the seller's ad wallet (null turns it off)
+app.put("/api/seller/:sellerId/ad-wallet/alerts", requireRole("seller"), requireOwner((req) => req.params.sellerId), async (req, res) => {
+  try {
+    const { sellerId } = req.params;
+    const { threshold: requestedThreshold } = req.body;
+    const threshold = requestedThreshold === null ? null : parsePositiveNumber(requestedThreshold);
+    if (requestedThreshold !== null && (!threshold || threshold > MAX_CAMPAIGN_BUDGET))
+      return res.status(400).json({
+        success: false,
+        message: `Threshold must be between KSH 1 and KSH ${MAX_CAMPAIGN_BUDGET}, or null to turn alerts off`,
+      });
+
+    const lowBalanceThreshold = threshold === null ? null : fromCents(toCents(threshold));
+    // A new level starts un-alerted, so the next charge below it sends the email
+    await db.collection("sellerAdCredits").doc(sellerId).set({
+      sellerId,
+      lowBalanceThreshold,
+      lowBalanceAlerted: false,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    }, { merge: true });
+
+    return res.json({ success: true, data: { lowBalanceThreshold } });
+  } catch (error) {
+    return sendServerError(res, error, "Failed to update ad wallet alerts");
+  }
+});
+
+// ✅ Refund unused ad credit to M-Pesa. Omit `amount` to refund everything
+// not reserved by a campaign. Requires the withdrawal PIN.
+app.post("/api/seller/ad-wallet/refunds", requireRole("seller"), requireOwner((req) => req.body.sellerId), async (req, res) => {
+  try {
+    const { sellerId, amount: requestedAmount, phoneNumber, pin } = req.body;
+    console.log("💳 Ad wallet refund request:", redactBody(req.body));
+
+    if (!sellerId)
+      return res.status(400).json({ success: false, message: "Missing sellerId" });
+    const amount = requestedAmount === undefined ? undefined : parsePositiveNumber(requestedAmount);
+    if (amount === null)
+      return res.status(400).json({ success: false, message: "Invalid amount" });
+    if (!isValidPhone(phoneNumber))
+      return res.status(400).json({ success: false, message: "Invalid phone number" });
+    if (!pin)
+      return res.status(400).json({ success: false, message: "Withdrawal PIN required" });
+
+    const pinCheck = await verifyWithdrawalPin(sellerId, pin, req);
+    if (!pinCheck.valid)
+      return res.status(pinCheck.status).json({ success: false, message: pinCheck.message });
 
-    console.log(`💰 Seller ${sellerId} live total revenue: ${totalRevenue.toFixed(2)}`);
-    console.log(`💸 Total previously withdrawn: ${totalPreviouslyWithdrawn.toFixed(2)}`);
-    console.log(`✅ Net available balance: ${netAvailableRevenue.toFixed(2)}`);
+    await ensureSellerLedgerOpened(sellerId);
+    const refundRef = db.collection("adWalletRefunds").doc();
+    const reservation = await reserveAdWalletRefund(refundRef, {
+      sellerId,
+      amount: amount === undefined ? undefined : fromCents(toCents(amount)),
+      phoneNumber,
+    });
+    if (!reservation.reserved)
+      return res.status(reservation.status).json({ success: false, message: reservation.message });
+
+    const { refund } = reservation;
+    const payout = await initiateAdWalletRefundPayout(refundRef, refund);
+    if (!payout.initiated)
+      return res.status(502).json({ success: false, message: "Payout provider error" });
+
+    return res.json({
+      success: true,
+      message: "Ad wallet refund initiated",
+      data: {
+        refundId: refundRef.id,
+        amount: refund.amount,
+        fee: refund.feeAmount,
+        netPayout: refund.netPayout,
+        status: "PAYOUT_INITIATED",
+        trackingId: payout.trackingId,
+        refundableBalance: reservation.available,
+      },
+    });
+  } catch (error) {
+    return sendServerError(res, error, "Ad wallet refund failed");
+  }
+});
+
+// ✅ Seller Withdrawal
+app.post("/api/seller/withdraw", requireRole("seller"), requireOwner((req) => req.body.sellerId), async (req, res) => {
+  let lockToken = null;
+  try {
+    const { sellerId, amount: requestedAmount, phoneNumber, pin } = req.body;
+    console.log("📤 Withdrawal Request:", redactBody(req.body));
 
-    if (netAvailableRevenue < amount)
+    if (!sellerId)
+      return res.status(400).json({ success: false, message: "Missing sellerId" });
+    const amount = parsePositiveNumber(requestedAmount);
+    if (!amount)
+      return res.status(400).json({ success: false, message: "Invalid amount" });
+    if (!isValidPhone(phoneNumber))
       return res
         .status(400)
-        .json({ success: false, message: "Insufficient balance" });
+        .json({ success: false, message: "Invalid phone number" });
+    if (!pin)
+      return res
+        .status(400)
+        .json({ success: false, message: "Withdrawal PIN required" });
+
+    lockToken = await acquireWithdrawalLock(sellerId);
+    if (!lockToken)
+      return res.status(409).json({
+        success: false,
+        message: "Another withdrawal is already being processed. Please try again shortly.",
+      });
+
+    const pinCheck = await verifyWithdrawalPin(sellerId, pin, req);
+    if (!pinCheck.valid)
+      return res
+        .status(pinCheck.status)
+        .json({ success: false, message: pinCheck.message });
 
     const feeAmount = calculateTotalFee(amount);
     const netPayoutAmount = +(amount - feeAmount).toFixed(2);
@@ -1615,84 +7178,294 @@ app.post("/api/seller/withdraw", async (req, res) => {
     if (netPayoutAmount <= 0) {
       return res.status(400).json({
         success: false,
-        message: `Net payout is KSH 0.00 or less after the KSH ${feeAmount.toFixed(2)} fee.`,
+        message: `Requested amount must be greater than the total fee of KSH ${feeAmount.toFixed(2)}.`,
       });
     }
 
+    const reviewReasons = await getWithdrawalReviewReasons(sellerId, { amount, phoneNumber });
+
+    // Balance comes from the seller's ledger earnings account and is
+    // checked and reserved in the same transaction
+    await ensureSellerLedgerOpened(sellerId);
     const withdrawalDocRef = db.collection("withdrawals").doc();
-    await withdrawalDocRef.set({
+    const withdrawal = {
       sellerId,
       amount,
       feeAmount,
       netPayout: netPayoutAmount,
       phoneNumber,
-      status: "PENDING_PAYOUT",
-      timestamp: admin.firestore.FieldValue.serverTimestamp(),
-    });
+      reviewReasons,
+    };
+    const reservation = await reserveWithdrawal(withdrawalDocRef, withdrawal);
 
-    let payoutResponse;
-    try {
-      payoutResponse = await intasend.payouts().mpesa({
-        currency: "KES",
-        requires_approval: "NO",
-        transactions: [
-          {
-            name: "Seller Withdrawal",
-            account: phoneNumber,
-            amount: netPayoutAmount,
-            narrative: "Seller Payout",
-          },
-        ],
+    console.log(`✅ Seller ${sellerId} available balance: ${reservation.available.toFixed(2)}`);
+
+    if (!reservation.reserved)
+      return res
+        .status(400)
+        .json({ success: false, message: "Insufficient balance" });
+
+    const responseData = {
+      requestedAmount: amount,
+      fee: feeAmount,
+      netPayout: netPayoutAmount,
+      withdrawalId: withdrawalDocRef.id,
+      availableBalance: reservation.available,
+    };
+
+    if (reviewReasons.length) {
+      console.log(`🔎 Withdrawal ${withdrawalDocRef.id} held for review: ${reviewReasons.join(", ")}`);
+      sendWithdrawalReviewEmail(withdrawalDocRef.id, withdrawal, "submitted")
+        .then((sent) => {
+          if (!sent) console.log(`❌ Failed to send review email for ${withdrawalDocRef.id}`);
+        })
+        .catch((err) => console.error("Withdrawal review email error:", err));
+
+      return res.json({
+        success: true,
+        message: "Withdrawal submitted for review",
+        data: { ...responseData, status: "PENDING_REVIEW", trackingId: null },
       });
-    } catch (intasendErr) {
-      console.error("❌ IntaSend payout failed:", intasendErr?.response || intasendErr);
-      await withdrawalDocRef.update({
-        status: "PAYOUT_FAILED",
-        intasendError: intasendErr?.response || intasendErr?.message || String(intasendErr),
+    }
+
+    const payout = await initiateWithdrawalPayout(withdrawalDocRef, withdrawal);
+    if (!payout.initiated)
+      return res
+        .status(502)
+        .json({ success: false, message: "Payout provider error" });
+
+    return res.json({
+      success: true,
+      message: "Withdrawal initiated",
+      data: { ...responseData, status: "PAYOUT_INITIATED", trackingId: payout.trackingId },
+    });
+  } catch (error) {
+    console.error("❌ Withdrawal Error:", error);
+    return sendServerError(res, error, "Withdrawal failed");
+  } finally {
+    if (lockToken) await releaseWithdrawalLock(req.body.sellerId, lockToken);
+  }
+});
+
+// ✅ Seller balance: escrowed, withdrawable, in payout and paid out
+app.get("/api/seller/:sellerId/balance", requireRole("seller"), requireOwner((req) => req.params.sellerId), async (req, res) => {
+  try {
+    const balances = await getSellerBalances(req.params.sellerId);
+    return res.json({ success: true, currency: "KES", escrowHoldDays: ESCROW_HOLD_DAYS, ...balances });
+  } catch (error) {
+    return sendServerError(res, error, "Failed to load balance");
+  }
+});
+
+// IntaSend send-money webhook. The payload only tells us which payout
+// changed; the status itself is fetched from IntaSend.
+app.post("/api/intasend-payout-callback", async (req, res) => {
+  const trackingId = req.body.tracking_id;
+  const audit = { kind: 'payout', trackingId: trackingId || null, state: req.body.status || null, ipAddress: req.ip };
+
+  try {
+    if (!verifyWebhookChallenge(req.body)) {
+      await recordPaymentWebhook({ ...audit, outcome: 'rejected', reason: 'invalid_challenge' }, req.body);
+      return res.status(401).send("Invalid webhook challenge");
+    }
+    if (!trackingId) {
+      await recordPaymentWebhook({ ...audit, outcome: 'rejected', reason: 'missing_tracking_id' }, req.body);
+      return res.status(400).send("Missing tracking_id");
+    }
+
+    const withdrawalSnap = await db
+      .collection("withdrawals")
+      .where("trackingId", "==", trackingId)
+      .limit(1)
+      .get();
+
+    if (withdrawalSnap.empty) {
+      // B2C refunds to buyers report through the same webhook
+      const refundSnap = await db
+        .collection("refunds")
+        .where("trackingId", "==", trackingId)
+        .limit(1)
+        .get();
+
+      if (refundSnap.empty) {
+        // ...and so do ad wallet refunds to sellers
+        const adRefundSnap = await db
+          .collection("adWalletRefunds")
+          .where("trackingId", "==", trackingId)
+          .limit(1)
+          .get();
+
+        if (adRefundSnap.empty) {
+          await recordPaymentWebhook({ ...audit, outcome: 'rejected', reason: 'unknown_tracking_id' }, req.body);
+          return res.status(404).send("Payout not found");
+        }
+
+        const adRefundDoc = adRefundSnap.docs[0];
+        const adRefundResult = await syncAdWalletRefund(adRefundDoc.ref, adRefundDoc.data());
+        await recordPaymentWebhook({
+          ...audit,
+          adWalletRefundId: adRefundDoc.id,
+          outcome: 'accepted',
+          result: adRefundResult?.outcome || 'unchanged'
+        }, req.body);
+        return res.send("OK");
+      }
+
+      const refundDoc = refundSnap.docs[0];
+      const refundResult = await syncRefundStatus(refundDoc.ref, refundDoc.data());
+      await recordPaymentWebhook({
+        ...audit,
+        refundId: refundDoc.id,
+        outcome: 'accepted',
+        result: refundResult?.outcome || 'unchanged'
+      }, req.body);
+      return res.send("OK");
+    }
+
+    const withdrawalDoc = withdrawalSnap.docs[0];
+    const result = await syncWithdrawalPayout(withdrawalDoc.ref, withdrawalDoc.data());
+
+    await recordPaymentWebhook({
+      ...audit,
+      withdrawalId: withdrawalDoc.id,
+      outcome: 'accepted',
+      result: result?.outcome || 'unchanged'
+    }, req.body);
+    return res.send("OK");
+  } catch (error) {
+    console.error('❌ Payout callback error:', error);
+    await recordPaymentWebhook({ ...audit, outcome: 'error', reason: error.message }, req.body);
+    return res.status(500).send("Payout callback processing failed");
+  }
+});
+
+// ✅ Admin withdrawal review queue
+app.get("/api/admin/withdrawals/review", requireRole("admin"), async (req, res) => {
+  try {
+    const snap = await db
+      .collection("withdrawals")
+      .where("status", "==", "PENDING_REVIEW")
+      .limit(100)
+      .get();
+
+    const withdrawals = snap.docs
+      .map((doc) => {
+        const data = doc.data();
+        return {
+          id: doc.id,
+          ...data,
+          reviewReasonLabels: (data.reviewReasons || []).map((code) => WITHDRAWAL_REVIEW_REASONS[code] || code),
+        };
+      })
+      .sort((a, b) => (a.timestamp?.toMillis?.() || 0) - (b.timestamp?.toMillis?.() || 0));
+
+    return res.json({ success: true, count: withdrawals.length, withdrawals });
+  } catch (error) {
+    return sendServerError(res, error, "Failed to load withdrawals awaiting review");
+  }
+});
+
+app.post("/api/admin/withdrawals/:withdrawalId/approve", requireRole("admin"), async (req, res) => {
+  try {
+    const withdrawalRef = db.collection("withdrawals").doc(req.params.withdrawalId);
+
+    const withdrawal = await db.runTransaction(async (t) => {
+      const snap = await t.get(withdrawalRef);
+      if (!snap.exists || snap.data().status !== "PENDING_REVIEW") return null;
+
+      t.update(withdrawalRef, {
+        status: "PENDING_PAYOUT",
+        reviewDecision: "approved",
+        reviewedBy: req.user.uid,
+        reviewedAt: admin.firestore.FieldValue.serverTimestamp(),
         updatedAt: admin.firestore.FieldValue.serverTimestamp(),
       });
+      return snap.data();
+    });
+
+    if (!withdrawal)
+      return res
+        .status(409)
+        .json({ success: false, message: "Withdrawal is not awaiting review" });
+
+    const payout = await initiateWithdrawalPayout(withdrawalRef, withdrawal);
+    const notification = payout.initiated
+      ? sendWithdrawalReviewEmail(withdrawalRef.id, withdrawal, "approved")
+      : sendPayoutFailedEmail(withdrawalRef.id, { ...withdrawal, failureReason: "Payout provider error" });
+    notification
+      .then((sent) => {
+        if (!sent) console.log(`❌ Failed to send approval email for ${withdrawalRef.id}`);
+      })
+      .catch((err) => console.error("Withdrawal approval email error:", err));
+
+    console.log(`✅ Withdrawal ${withdrawalRef.id} approved by ${req.user.uid}`);
+
+    if (!payout.initiated)
       return res
         .status(502)
-        .json({ success: false, message: "Payout provider error" });
-    }
+        .json({ success: false, message: "Payout provider error. The seller's funds were released." });
 
-    await withdrawalDocRef.update({
-      trackingId: payoutResponse?.tracking_id || null,
-      status: "PAYOUT_INITIATED",
-      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-      intasendResponse: payoutResponse,
+    return res.json({
+      success: true,
+      message: "Withdrawal approved and payout initiated",
+      data: { withdrawalId: withdrawalRef.id, trackingId: payout.trackingId },
     });
+  } catch (error) {
+    return sendServerError(res, error, "Failed to approve withdrawal");
+  }
+});
 
-    await db
-      .collection("sellerLedgers")
-      .doc(sellerId)
-      .set(
-        {
-          totalWithdrawn: admin.firestore.FieldValue.increment(amount),
-          lastWithdrawalDate: admin.firestore.FieldValue.serverTimestamp(),
-        },
-        { merge: true }
-      );
+app.post("/api/admin/withdrawals/:withdrawalId/reject", requireRole("admin"), async (req, res) => {
+  try {
+    const reason = typeof req.body.reason === "string" ? req.body.reason.trim() : "";
+    if (!reason)
+      return res
+        .status(400)
+        .json({ success: false, message: "A rejection reason is required" });
+
+    const withdrawalRef = db.collection("withdrawals").doc(req.params.withdrawalId);
+
+    const withdrawal = await db.runTransaction(async (t) => {
+      const snap = await t.get(withdrawalRef);
+      if (!snap.exists || snap.data().status !== "PENDING_REVIEW") return null;
+
+      const reversalEntryId = await releaseWithdrawalHold(t, withdrawalRef.id, snap.data());
+      t.update(withdrawalRef, {
+        status: "REJECTED",
+        reviewDecision: "rejected",
+        rejectionReason: reason,
+        reversalEntryId,
+        reviewedBy: req.user.uid,
+        reviewedAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      return { ...snap.data(), rejectionReason: reason };
+    });
+
+    if (!withdrawal)
+      return res
+        .status(409)
+        .json({ success: false, message: "Withdrawal is not awaiting review" });
+
+    sendWithdrawalReviewEmail(withdrawalRef.id, withdrawal, "rejected")
+      .then((sent) => {
+        if (!sent) console.log(`❌ Failed to send rejection email for ${withdrawalRef.id}`);
+      })
+      .catch((err) => console.error("Withdrawal rejection email error:", err));
 
+    console.log(`🚫 Withdrawal ${withdrawalRef.id} rejected by ${req.user.uid}`);
     return res.json({
       success: true,
-      message: "Withdrawal initiated",
-      data: {
-        requestedAmount: amount,
-        fee: feeAmount,
-        netPayout: netPayoutAmount,
-        trackingId: payoutResponse?.tracking_id || null,
-        withdrawalId: withdrawalDocRef.id,
-      },
+      message: "Withdrawal rejected and funds returned to the seller",
+      data: { withdrawalId: withdrawalRef.id },
     });
   } catch (error) {
-    console.error("❌ Withdrawal Error:", error);
-    return sendServerError(res, error, "Withdrawal failed");
+    return sendServerError(res, error, "Failed to reject withdrawal");
   }
 });
 
 // PIN Recovery Endpoints
-app.post("/api/seller/recover-pin", async (req, res) => {
+app.post("/api/seller/recover-pin", requireOwner((req) => req.body.userId), async (req, res) => {
   try {
     const { email, userId } = req.body;
     
@@ -1748,90 +7521,13 @@ app.post("/api/seller/recover-pin", async (req, res) => {
       userAgent: req.get('User-Agent')
     });
 
-    const emailHtml = `
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <meta charset="UTF-8">
-        <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <style>
-          body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #333; margin: 0; padding: 0; background: #f8f9fa; }
-          .container { max-width: 600px; margin: 0 auto; background: white; border-radius: 12px; overflow: hidden; box-shadow: 0 10px 30px rgba(0,0,0,0.1); }
-          .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 40px 30px; text-align: center; color: white; }
-          .logo { font-size: 32px; font-weight: bold; margin-bottom: 10px; }
-          .content { padding: 40px 30px; }
-          .code-box { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; font-size: 32px; font-weight: bold; padding: 25px; border-radius: 12px; text-align: center; letter-spacing: 8px; margin: 30px 0; box-shadow: 0 5px 15px rgba(0,0,0,0.2); }
-          .security-note { background: #fff3e0; border-left: 5px solid #ff9800; padding: 20px; border-radius: 8px; margin: 25px 0; }
-          .footer { background: #f8f9fa; padding: 25px 30px; text-align: center; border-top: 1px solid #e9ecef; color: #6c757d; font-size: 14px; }
-          .info-box { background: #e8f4fd; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 5px solid #2196f3; }
-          .timer { background: #f8f9fa; padding: 10px 15px; border-radius: 6px; text-align: center; margin: 20px 0; }
-        </style>
-      </head>
-      <body>
-        <div class="container">
-          <div class="header">
-            <div class="logo">MarketMix Kenya</div>
-            <h2 style="margin: 10px 0 0 0; font-weight: 300;">Withdrawal PIN Recovery</h2>
-          </div>
-          
-          <div class="content">
-            <h3 style="color: #333; text-align: center; margin-bottom: 10px;">Hello Seller,</h3>
-            <p style="color: #666; text-align: center; margin-bottom: 20px;">
-              You requested to reset your withdrawal PIN. Use the code below to verify your identity.
-            </p>
-            
-            <div class="code-box">
-              ${replacementCode}
-            </div>
-            
-            <div class="timer">
-              <p style="margin: 0; color: #666;"><strong>This code expires in 15 minutes</strong></p>
-            </div>
-            
-            <div class="security-note">
-              <h4 style="margin-top: 0; color: #856404;">SECURITY ALERT</h4>
-              <ul style="margin-bottom: 0; color: #856404;">
-                <li>This code is for PIN reset verification only</li>
-                <li>Never share it with anyone</li>
-                <li>MarketMix staff will never ask for this code</li>
-                <li>If you didn't request this, contact support immediately</li>
-              </ul>
-            </div>
-            
-            <div class="info-box">
-              <h4 style="margin-top: 0; color: #0c5460;">Request Details</h4>
-              <p style="margin: 5px 0; color: #0c5460;"><strong>Time:</strong> ${new Date().toLocaleString('en-KE', { timeZone: 'Africa/Nairobi' })}</p>
-              <p style="margin: 5px 0; color: #0c5460;"><strong>Email:</strong> ${email}</p>
-              <p style="margin: 5px 0; color: #0c5460;"><strong>Account ID:</strong> ${userId.slice(0, 8)}...</p>
-              <p style="margin: 5px 0; color: #0c5460;"><strong>Valid Attempts:</strong> 3 attempts remaining</p>
-            </div>
-            
-            <p style="text-align: center; color: #666; margin-top: 30px;">
-              Enter this code in the PIN recovery page to reset your withdrawal PIN.
-            </p>
-          </div>
-          
-          <div class="footer">
-            <p style="margin: 0 0 10px 0;"><strong>MarketMix Kenya</strong></p>
-            <p style="margin: 0 0 10px 0; font-size: 12px;">This email was sent from <strong>security@marketmix.site</strong></p>
-            <p style="margin: 0; font-size: 12px;">If you didn't request this, please secure your account immediately.</p>
-            <p style="margin: 15px 0 0 0; font-size: 12px;">
-              <a href="https://marketmix.site" style="color: #667eea; text-decoration: none;">Visit Marketplace</a> | 
-              <a href="https://marketmix.site/seller/dashboard" style="color: #667eea; text-decoration: none;">Seller Dashboard</a> | 
-              <a href="mailto:sales@marketmix.site" style="color: #667eea; text-decoration: none;">Contact Support</a>
-            </p>
-          </div>
-        </div>
-      </body>
-      </html>
-    `;
-
-    const emailSent = await sendEmail(
+    const emailSent = await sendTemplateEmail(email, 'pin_recovery', {
+      code: replacementCode,
       email,
-      'Your PIN Reset Code - MarketMix Kenya',
-      emailHtml,
-      'security'
-    );
+      userId,
+      expiresInMinutes: 15,
+      maxAttempts: 3
+    }, userData.preferredLanguage);
 
     if (!emailSent) {
       return res.json({ 
@@ -1857,7 +7553,7 @@ app.post("/api/seller/recover-pin", async (req, res) => {
   }
 });
 
-app.post("/api/seller/verify-recovery-code", async (req, res) => {
+app.post("/api/seller/verify-recovery-code", requireOwner((req) => req.body.userId), async (req, res) => {
   try {
     const { userId, code } = req.body;
     
@@ -1900,7 +7596,7 @@ app.post("/api/seller/verify-recovery-code", async (req, res) => {
   }
 });
 
-app.post("/api/seller/reset-pin", async (req, res) => {
+app.post("/api/seller/reset-pin", requireOwner((req) => req.body.userId), async (req, res) => {
   try {
     const { userId, code, newPin, confirmPin } = req.body;
     
@@ -1936,10 +7632,12 @@ app.post("/api/seller/reset-pin", async (req, res) => {
 
     const userRef = db.collection('users').doc(userId);
     await userRef.update({
-      withdrawalPin: newPin,
+      withdrawalPin: await hashPin(newPin),
       pinSetAt: admin.firestore.FieldValue.serverTimestamp(),
       pinSetMethod: 'recovery',
-      pinLastChanged: admin.firestore.FieldValue.serverTimestamp()
+      pinLastChanged: admin.firestore.FieldValue.serverTimestamp(),
+      pinFailedAttempts: 0,
+      pinLockedUntil: null
     });
 
     await markCodeAsUsed(userId);
@@ -1968,7 +7666,320 @@ app.post("/api/seller/reset-pin", async (req, res) => {
   }
 });
 
-// Stock update
+// ✅ Buyer confirms delivery, releasing the seller's escrowed earnings.
+// `sellerId` confirms one seller's part of the order; without it, every
+// part that has been dispatched.
+app.post("/api/orders/:orderId/confirm-delivery", async (req, res) => {
+  try {
+    const { sellerId } = req.body;
+    const orderRef = db.collection("orders").doc(req.params.orderId);
+    const orderSnap = await orderRef.get();
+    if (!orderSnap.exists)
+      return res.status(404).json({ success: false, message: "Order not found" });
+
+    const order = orderSnap.data();
+    if (!isOwnerOrAdmin(req.user, order.userId))
+      return sendForbidden(res, "Only the buyer can confirm delivery");
+
+    const sellerIds = sellerId
+      ? [sellerId]
+      : getFulfilmentGroups(order)
+          .filter((group) => group.fulfilmentStatus === "dispatched")
+          .map((group) => group.sellerId);
+    if (!sellerIds.length)
+      return res
+        .status(409)
+        .json({ success: false, message: "Nothing on this order has been dispatched yet" });
+
+    const actor = { uid: req.user.uid, role: isAdmin(req.user) ? "admin" : "buyer" };
+    const result = await transitionFulfilment(orderRef, sellerIds, "delivered", actor, null);
+    if (result.error)
+      return res.status(result.status).json({ success: false, message: result.error });
+
+    return res.json({ success: true, message: "Delivery confirmed", data: { orderId: orderRef.id, released: result.released } });
+  } catch (error) {
+    return sendServerError(res, error, "Delivery confirmation failed");
+  }
+});
+
+// ✅ Seller advances their part of an order: accepted, dispatched or
+// cancelled. Cancelling refunds the buyer for that seller's items.
+// Admins act on behalf of a seller by passing `sellerId`.
+app.post("/api/seller/orders/:orderId/fulfilment", requireRole("seller", "admin"), async (req, res) => {
+  try {
+    const { status, note } = req.body;
+    const sellerId = isAdmin(req.user) && req.body.sellerId ? req.body.sellerId : req.user.uid;
+    if (!["accepted", "dispatched", "cancelled"].includes(status))
+      return res
+        .status(400)
+        .json({ success: false, message: "Status must be one of: accepted, dispatched, cancelled" });
+    if (note !== undefined && (typeof note !== "string" || note.length > 500))
+      return res
+        .status(400)
+        .json({ success: false, message: "Note must be text of at most 500 characters" });
+
+    const orderRef = db.collection("orders").doc(req.params.orderId);
+    const orderSnap = await orderRef.get();
+    if (!orderSnap.exists)
+      return res.status(404).json({ success: false, message: "Order not found" });
+
+    const order = orderSnap.data();
+    const group = getFulfilmentGroups(order).find((g) => g.sellerId === sellerId);
+    if (!group)
+      return sendForbidden(res, "This order has no items from your shop");
+
+    const actor = { uid: req.user.uid, role: isAdmin(req.user) ? "admin" : "seller" };
+
+    if (status !== "cancelled") {
+      const result = await transitionFulfilment(orderRef, [sellerId], status, actor, note || null);
+      if (result.error)
+        return res.status(result.status).json({ success: false, message: result.error });
+
+      return res.json({ success: true, message: `Order marked ${status}`, data: { orderId: orderRef.id, sellerId, status } });
+    }
+
+    const refundRef = db.collection("refunds").doc();
+    const result = await createRefund(orderRef, refundRef, {
+      sellerId,
+      reason: note || "Cancelled by seller",
+      requestedBy: req.user.uid,
+      requestedByAdmin: isAdmin(req.user),
+      actor,
+    });
+    if (!result.created)
+      return res.status(result.status).json({ success: false, message: result.message });
+
+    const submitted = await submitRefund(refundRef, result.refund);
+    console.log(`🚫 Seller ${sellerId} cancelled their part of order ${orderRef.id}; refund ${refundRef.id} (${result.refund.method})`);
+
+    sendFulfilmentEmail(orderRef.id, order, group, "cancelled", { note, refundAmount: result.refund.amount })
+      .then((sent) => {
+        if (!sent) console.log(`❌ Failed to send cancellation email for order ${orderRef.id}`);
+      })
+      .catch((err) => console.error("Fulfilment email error:", err));
+
+    return res.json({
+      success: true,
+      message: "Order cancelled and buyer refund initiated",
+      data: {
+        orderId: orderRef.id,
+        sellerId,
+        status,
+        refundId: refundRef.id,
+        refundAmount: result.refund.amount,
+        refundStatus: submitted ? "PROCESSING" : "FAILED",
+      },
+    });
+  } catch (error) {
+    return sendServerError(res, error, "Fulfilment update failed");
+  }
+});
+
+// ✅ Fulfilment status and history for the buyer, the order's sellers or an admin.
+// Sellers only see their own groups.
+app.get("/api/orders/:orderId/fulfilment", async (req, res) => {
+  try {
+    const orderSnap = await db.collection("orders").doc(req.params.orderId).get();
+    if (!orderSnap.exists)
+      return res.status(404).json({ success: false, message: "Order not found" });
+
+    const order = orderSnap.data();
+    const groups = getFulfilmentGroups(order);
+    const isBuyer = isOwnerOrAdmin(req.user, order.userId);
+    if (!isBuyer && !groups.some((group) => group.sellerId === req.user.uid))
+      return sendForbidden(res);
+
+    const visible = (sellerId) => isBuyer || sellerId === req.user.uid;
+    return res.json({
+      success: true,
+      data: {
+        orderId: orderSnap.id,
+        paymentStatus: order.paymentStatus || null,
+        groups: groups
+          .filter((group) => visible(group.sellerId))
+          .map(({ sellerId, sellerName, items, fulfilmentStatus, fulfilmentUpdatedAt }) => ({
+            sellerId,
+            sellerName: sellerName || null,
+            items,
+            fulfilmentStatus: order.paymentStatus === "paid" || order.paymentStatus === "refunded" ? fulfilmentStatus : null,
+            fulfilmentUpdatedAt: fulfilmentUpdatedAt || null,
+          })),
+        history: (order.fulfilmentHistory || []).filter((entry) => visible(entry.sellerId)),
+      },
+    });
+  } catch (error) {
+    return sendServerError(res, error, "Failed to load fulfilment");
+  }
+});
+
+// ✅ Order cancellation and refunds (buyer or admin)
+// Unpaid orders are cancelled outright. Paid orders are refunded: the whole
+// order by default, one seller group with `sellerId`, or single items with
+// `items: [{ productId, quantity }]`.
+app.post("/api/orders/:orderId/cancel", async (req, res) => {
+  try {
+    const { reason, sellerId, items, method } = req.body;
+    const orderRef = db.collection("orders").doc(req.params.orderId);
+    const orderSnap = await orderRef.get();
+    if (!orderSnap.exists)
+      return res.status(404).json({ success: false, message: "Order not found" });
+
+    const order = orderSnap.data();
+    if (!isOwnerOrAdmin(req.user, order.userId))
+      return sendForbidden(res, "You can only cancel your own orders");
+    if (method !== undefined && (!isAdmin(req.user) || !REFUND_METHODS.includes(method)))
+      return res
+        .status(400)
+        .json({ success: false, message: `Refund method must be one of: ${REFUND_METHODS.join(", ")} (admins only)` });
+
+    if (order.paymentStatus !== "paid") {
+      if (order.paymentStatus === "refunded")
+        return res
+          .status(409)
+          .json({ success: false, message: "Order has already been refunded" });
+
+      const cancellation = await cancelUnpaidOrder(orderRef, { cancelledBy: req.user.uid, reason });
+      if (!cancellation.cancelled)
+        return res.status(409).json({ success: false, message: cancellation.message });
+
+      console.log(`🚫 Unpaid order ${orderRef.id} cancelled by ${req.user.uid}`);
+      return res.json({ success: true, message: "Order cancelled", data: { orderId: orderRef.id, refund: null } });
+    }
+
+    const refundRef = db.collection("refunds").doc();
+    const result = await createRefund(orderRef, refundRef, {
+      sellerId,
+      items,
+      reason,
+      method,
+      requestedBy: req.user.uid,
+      requestedByAdmin: isAdmin(req.user),
+      actor: { uid: req.user.uid, role: isAdmin(req.user) ? "admin" : "buyer" },
+    });
+    if (!result.created)
+      return res.status(result.status).json({ success: false, message: result.message });
+
+    const submitted = await submitRefund(refundRef, result.refund);
+    console.log(`↩️ Refund ${refundRef.id} of KSH ${result.refund.amount.toFixed(2)} for order ${orderRef.id} (${result.refund.method})`);
+
+    Promise.all([
+      sendRefundEmail(refundRef.id, result.refund, "initiated"),
+      sendSellerRefundNotices(refundRef.id, result.refund),
+    ]).catch((err) => console.error("Refund notification error:", err));
+
+    return res.json({
+      success: true,
+      message: submitted
+        ? "Refund initiated"
+        : "Order cancelled. The refund could not be sent yet and will be retried by our team.",
+      data: {
+        orderId: orderRef.id,
+        refundId: refundRef.id,
+        amount: result.refund.amount,
+        method: result.refund.method,
+        status: submitted ? "PROCESSING" : "FAILED",
+      },
+    });
+  } catch (error) {
+    return sendServerError(res, error, "Cancellation failed");
+  }
+});
+
+app.get("/api/orders/:orderId/refunds", async (req, res) => {
+  try {
+    const orderSnap = await db.collection("orders").doc(req.params.orderId).get();
+    if (!orderSnap.exists)
+      return res.status(404).json({ success: false, message: "Order not found" });
+    if (!isOwnerOrAdmin(req.user, orderSnap.data().userId))
+      return sendForbidden(res);
+
+    const snap = await db
+      .collection("refunds")
+      .where("orderId", "==", req.params.orderId)
+      .get();
+    const refunds = snap.docs.map((doc) => {
+      const { providerResponse, providerError, ...refund } = doc.data();
+      return { id: doc.id, ...refund };
+    });
+
+    return res.json({ success: true, refunds });
+  } catch (error) {
+    return sendServerError(res, error, "Failed to load refunds");
+  }
+});
+
+app.get("/api/admin/refunds", requireRole("admin"), async (req, res) => {
+  try {
+    const status = String(req.query.status || "FAILED").toUpperCase();
+    const snap = await db
+      .collection("refunds")
+      .where("status", "==", status)
+      .limit(100)
+      .get();
+
+    return res.json({
+      success: true,
+      count: snap.size,
+      refunds: snap.docs.map((doc) => ({ id: doc.id, ...doc.data() })),
+    });
+  } catch (error) {
+    return sendServerError(res, error, "Failed to load refunds");
+  }
+});
+
+// Re-sends a FAILED refund, optionally switching between chargeback and B2C
+app.post("/api/admin/refunds/:refundId/retry", requireRole("admin"), async (req, res) => {
+  try {
+    const { method } = req.body;
+    if (method !== undefined && !REFUND_METHODS.includes(method))
+      return res
+        .status(400)
+        .json({ success: false, message: `Refund method must be one of: ${REFUND_METHODS.join(", ")}` });
+
+    const refundRef = db.collection("refunds").doc(req.params.refundId);
+    const refund = await db.runTransaction(async (t) => {
+      const snap = await t.get(refundRef);
+      if (!snap.exists || snap.data().status !== "FAILED") return { error: "Only failed refunds can be retried" };
+
+      const data = snap.data();
+      const nextMethod = method || data.method;
+      if (nextMethod === "chargeback" && !data.invoiceId) return { error: "This order has no invoice to reverse" };
+
+      let phoneNumber = data.phoneNumber;
+      if (nextMethod === "b2c" && !phoneNumber) {
+        const orderSnap = await t.get(db.collection("orders").doc(data.orderId));
+        const order = orderSnap.data() || {};
+        phoneNumber = normalizePhone(order.paymentPhoneNumber || order.shippingDetails?.phoneNumber);
+        if (!isValidPhone(phoneNumber)) return { error: "No valid M-Pesa number on this order to refund to" };
+      }
+
+      const update = {
+        status: "PENDING",
+        method: nextMethod,
+        phoneNumber: nextMethod === "b2c" ? phoneNumber : null,
+        retryCount: admin.firestore.FieldValue.increment(1),
+        lastRetriedBy: req.user.uid,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      };
+      t.update(refundRef, update);
+      return { ...data, ...update };
+    });
+
+    if (refund.error)
+      return res.status(409).json({ success: false, message: refund.error });
+
+    const submitted = await submitRefund(refundRef, refund);
+    if (!submitted)
+      return res.status(502).json({ success: false, message: "Refund provider error" });
+
+    return res.json({ success: true, message: "Refund resubmitted", data: { refundId: refundRef.id, method: refund.method } });
+  } catch (error) {
+    return sendServerError(res, error, "Refund retry failed");
+  }
+});
+
+// Manual stock adjustment by the product owner. Orders no longer use this:
+// checkout reserves stock and the payment callback commits or releases it.
 app.post("/api/update-stock", async (req, res) => {
   try {
     const { productId, quantity } = req.body;
@@ -1979,6 +7990,14 @@ app.post("/api/update-stock", async (req, res) => {
     }
 
     const productRef = db.collection("products").doc(productId);
+    const productSnap = await productRef.get();
+    if (!productSnap.exists) {
+      return res.status(404).json({ success: false, message: "Product not found" });
+    }
+    if (!isOwnerOrAdmin(req.user, productSnap.data().sellerId)) {
+      return sendForbidden(res, "You can only update stock for your own products");
+    }
+
     await db.runTransaction(async (t) => {
       const doc = await t.get(productRef);
       if (!doc.exists) throw new Error("Product not found");
@@ -1994,6 +8013,321 @@ app.post("/api/update-stock", async (req, res) => {
   }
 });
 
+// ✅ Email outbox (admin): dead-lettered messages by default,
+// or ?status=retrying|sending|sent|suppressed
+const OUTBOX_STATUSES = ['sending', 'retrying', 'sent', 'failed', 'suppressed'];
+
+app.get("/api/admin/email-outbox", requireRole("admin"), async (req, res) => {
+  try {
+    const status = String(req.query.status || "failed").toLowerCase();
+    if (!OUTBOX_STATUSES.includes(status))
+      return res.status(400).json({ success: false, message: `status must be one of ${OUTBOX_STATUSES.join(", ")}` });
+
+    const snap = await db
+      .collection("emailOutbox")
+      .where("status", "==", status)
+      .limit(100)
+      .get();
+
+    // Bodies can be large; the list only carries what's needed to triage
+    const messages = snap.docs.map((doc) => {
+      const { html, text, ...message } = doc.data();
+      return { id: doc.id, ...message };
+    });
+    return res.json({ success: true, count: messages.length, messages });
+  } catch (error) {
+    return sendServerError(res, error, "Failed to load email outbox");
+  }
+});
+
+// Sends a dead-lettered (or still retrying) message again now. A failure
+// puts it back on the retry schedule with a fresh set of attempts.
+app.post("/api/admin/email-outbox/:messageId/resend", requireRole("admin"), async (req, res) => {
+  try {
+    const ref = db.collection("emailOutbox").doc(req.params.messageId);
+    const snap = await ref.get();
+    if (!snap.exists)
+      return res.status(404).json({ success: false, message: "Message not found" });
+    if (!['failed', 'retrying'].includes(snap.data().status))
+      return res.status(409).json({ success: false, message: `Message is ${snap.data().status}` });
+    if (snap.data().sensitive)
+      return res.status(409).json({ success: false, message: "Sensitive emails are not stored and can't be resent. Ask the user to request a new one." });
+
+    await ref.update({
+      attempts: 0,
+      nextAttemptAt: admin.firestore.Timestamp.now(),
+      resendCount: admin.firestore.FieldValue.increment(1),
+      resentBy: req.user.uid,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    const message = await claimOutboxMessage(ref, ['failed', 'retrying']);
+    if (!message)
+      return res.status(409).json({ success: false, message: "Message is already being sent" });
+
+    const result = await attemptOutboxDelivery(ref, message);
+    const updated = (await ref.get()).data();
+    return res.json({
+      success: true,
+      message: result.sent ? "Email sent" : "Send failed - queued for retry",
+      data: { id: ref.id, status: updated.status, attempts: updated.attempts, messageId: updated.messageId || null, lastError: updated.lastError || null },
+    });
+  } catch (error) {
+    return sendServerError(res, error, "Failed to resend email");
+  }
+});
+
+// Brevo transactional email webhook. Accepts one event or an array of them.
+// Events we don't track are acknowledged so Brevo doesn't retry them.
+app.post("/api/email-events", async (req, res) => {
+  try {
+    if (!verifyEmailWebhook(req)) {
+      console.warn(`🔒 Rejected email event webhook from ${req.ip}`);
+      return res.status(401).send("Invalid webhook token");
+    }
+
+    const events = Array.isArray(req.body) ? req.body : [req.body];
+    const results = [];
+    for (const event of events) {
+      results.push(await recordEmailEvent(event || {}));
+    }
+
+    const recorded = results.filter((r) => r.status === 'recorded').length;
+    console.log(`📬 Email events: ${recorded} recorded, ${results.length - recorded} duplicate or ignored`);
+    return res.send("OK");
+  } catch (error) {
+    console.error('❌ Email event webhook error:', error);
+    return res.status(500).send("Email event processing failed");
+  }
+});
+
+// ✅ Delivery events for one outbox message (admin)
+app.get("/api/admin/email-outbox/:messageId/events", requireRole("admin"), async (req, res) => {
+  try {
+    const outboxDoc = await db.collection("emailOutbox").doc(req.params.messageId).get();
+    if (!outboxDoc.exists)
+      return res.status(404).json({ success: false, message: "Message not found" });
+
+    const { html, text, ...message } = outboxDoc.data();
+    const events = message.messageId
+      ? (await db.collection("emailEvents").where("messageId", "==", message.messageId).get()).docs
+          .map((doc) => ({ id: doc.id, ...doc.data() }))
+          .sort((a, b) => a.occurredAt.toMillis() - b.occurredAt.toMillis())
+      : [];
+    return res.json({ success: true, data: { id: outboxDoc.id, ...message, events } });
+  } catch (error) {
+    return sendServerError(res, error, "Failed to load email events");
+  }
+});
+
+// ✅ Suppressed addresses (admin). Removing one lets non-security email
+// through to it again, e.g. after a user fixes their mailbox.
+app.get("/api/admin/email-suppressions", requireRole("admin"), async (req, res) => {
+  try {
+    const snap = await db.collection("emailSuppressions").limit(200).get();
+    return res.json({
+      success: true,
+      count: snap.size,
+      suppressions: snap.docs.map((doc) => ({ id: doc.id, ...doc.data() })),
+    });
+  } catch (error) {
+    return sendServerError(res, error, "Failed to load email suppressions");
+  }
+});
+
+app.delete("/api/admin/email-suppressions/:email", requireRole("admin"), async (req, res) => {
+  try {
+    const ref = suppressionRef(req.params.email);
+    const snap = await ref.get();
+    if (!snap.exists)
+      return res.status(404).json({ success: false, message: "Address is not suppressed" });
+
+    await ref.delete();
+    console.log(`✉️ ${snap.data().email} removed from email suppressions by ${req.user.uid}`);
+    return res.json({ success: true, message: "Suppression removed" });
+  } catch (error) {
+    return sendServerError(res, error, "Failed to remove email suppression");
+  }
+});
+
+// ✅ Language for the user's transactional emails: "en" or "sw"
+app.put("/api/users/:userId/preferred-language", requireOwner((req) => req.params.userId), async (req, res) => {
+  try {
+    const { preferredLanguage } = req.body;
+    if (!Object.hasOwn(EMAIL_LOCALES, preferredLanguage))
+      return res.status(400).json({
+        success: false,
+        message: `preferredLanguage must be one of: ${Object.keys(EMAIL_LOCALES).join(", ")}`,
+      });
+
+    const userRef = db.collection("users").doc(req.params.userId);
+    const userDoc = await userRef.get();
+    if (!userDoc.exists)
+      return res.status(404).json({ success: false, message: "User not found" });
+
+    await userRef.update({
+      preferredLanguage,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return res.json({ success: true, data: { preferredLanguage } });
+  } catch (error) {
+    return sendServerError(res, error, "Failed to update preferred language");
+  }
+});
+
+// ✅ Email templates (admin)
+app.get("/api/admin/email-templates", requireRole("admin"), (req, res) => {
+  const templates = Object.entries(EMAIL_TEMPLATES).map(([name, template]) => ({
+    name,
+    type: template.type,
+    subject: renderEmailTemplate(name, template.sample).subject,
+    preview: `/api/admin/email-templates/${name}/preview`,
+  }));
+  return res.json({ success: true, languages: Object.keys(EMAIL_LOCALES), templates });
+});
+
+// Renders a template with its sample data.
+// ?format=html (default) | text | json, ?lang=en (default) | sw
+app.get("/api/admin/email-templates/:name/preview", requireRole("admin"), (req, res) => {
+  const { name } = req.params;
+  if (!Object.hasOwn(EMAIL_TEMPLATES, name))
+    return res.status(404).json({ success: false, message: "Unknown email template" });
+
+  const format = req.query.format || "html";
+  if (!["html", "text", "json"].includes(format))
+    return res.status(400).json({ success: false, message: "format must be html, text or json" });
+
+  const language = req.query.lang || DEFAULT_EMAIL_LANGUAGE;
+  if (!Object.hasOwn(EMAIL_LOCALES, language))
+    return res.status(400).json({ success: false, message: `lang must be one of: ${Object.keys(EMAIL_LOCALES).join(", ")}` });
+
+  try {
+    const rendered = renderEmailTemplate(name, EMAIL_TEMPLATES[name].sample, language);
+    const text = htmlToText(rendered.html);
+    if (format === "html") return res.type("html").send(rendered.html);
+    if (format === "text") return res.type("text").send(text);
+    return res.json({ success: true, name, ...rendered, text });
+  } catch (error) {
+    return sendServerError(res, error, "Failed to render email template");
+  }
+});
+
+// Ledger account statement
+// GET /api/ledger/accounts/:accountId/statement?from=YYYY-MM-DD&to=YYYY-MM-DD
+const MAX_STATEMENT_POSTINGS = 1000;
+
+// Bare dates are whole days in Nairobi time; full ISO strings are used as-is
+const parseStatementDate = (value, endOfDay) => {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return new Date(`${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}+03:00`);
+  }
+  return new Date(value);
+};
+
+app.get("/api/ledger/accounts/:accountId/statement", async (req, res) => {
+  try {
+    const { accountId } = req.params;
+    // Platform accounts have no account doc; their balances come from postings
+    const platformAccount = PLATFORM_LEDGER_ACCOUNTS[accountId];
+    const accountSnap = platformAccount ? null : await db.collection("ledgerAccounts").doc(accountId).get();
+    if (!platformAccount && !accountSnap.exists) {
+      return res.status(404).json({ success: false, message: "Ledger account not found" });
+    }
+
+    // Platform accounts have no owner, so only admins can read them
+    const account = platformAccount || accountSnap.data();
+    if (!isOwnerOrAdmin(req.user, account.ownerId)) {
+      return sendForbidden(res);
+    }
+
+    const to = req.query.to ? parseStatementDate(req.query.to, true) : new Date();
+    const from = req.query.from
+      ? parseStatementDate(req.query.from, false)
+      : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+    if (isNaN(from) || isNaN(to) || from > to) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid date range. Use YYYY-MM-DD for from and to."
+      });
+    }
+
+    const postingsQuery = db.collection("ledgerPostings").where("accountId", "==", accountId);
+    const [previousSnap, periodSnap] = await Promise.all([
+      postingsQuery
+        .where("createdAt", "<", from)
+        .orderBy("createdAt", "desc")
+        .orderBy("sequence", "desc")
+        .limit(1)
+        .get(),
+      postingsQuery
+        .where("createdAt", ">=", from)
+        .where("createdAt", "<=", to)
+        .orderBy("createdAt")
+        .orderBy("sequence")
+        .limit(MAX_STATEMENT_POSTINGS + 1)
+        .get(),
+    ]);
+
+    let openingBalance = previousSnap.empty ? 0 : previousSnap.docs[0].data().balanceAfter;
+    let currentBalance = account.balance || 0;
+    if (platformAccount) {
+      [openingBalance, currentBalance] = (await Promise.all([
+        sumLedgerPostings(platformAccount, from),
+        sumLedgerPostings(platformAccount),
+      ])).map((sum) => sum.balance);
+    }
+    const postingDocs = periodSnap.docs.slice(0, MAX_STATEMENT_POSTINGS);
+
+    let totalDebits = 0;
+    let totalCredits = 0;
+    let runningCents = toCents(openingBalance);
+    const debitNormal = NORMAL_BALANCE[account.type] === "debit";
+    const postings = postingDocs.map((doc) => {
+      const p = doc.data();
+      totalDebits += toCents(p.debit);
+      totalCredits += toCents(p.credit);
+      runningCents += (toCents(p.debit) - toCents(p.credit)) * (debitNormal ? 1 : -1);
+      return {
+        entryId: p.entryId,
+        type: p.entryType,
+        description: p.description,
+        reference: p.reference,
+        debit: p.debit,
+        credit: p.credit,
+        balanceAfter: platformAccount ? fromCents(runningCents) : p.balanceAfter,
+        date: p.createdAt?.toDate().toISOString() || null,
+      };
+    });
+
+    const closingBalance = postings.length
+      ? postings[postings.length - 1].balanceAfter
+      : openingBalance;
+
+    return res.json({
+      success: true,
+      data: {
+        account: {
+          accountId,
+          name: account.name,
+          type: account.type,
+          ownerId: account.ownerId || null,
+          currency: account.currency || "KES",
+          currentBalance,
+        },
+        from: from.toISOString(),
+        to: to.toISOString(),
+        openingBalance,
+        closingBalance,
+        totalDebits: fromCents(totalDebits),
+        totalCredits: fromCents(totalCredits),
+        postings,
+        truncated: periodSnap.docs.length > MAX_STATEMENT_POSTINGS,
+      },
+    });
+  } catch (error) {
+    return sendServerError(res, error, "Failed to load ledger statement");
+  }
+});
+
 // Hugging Face image generation
 app.post("/api/generate-ai-image", async (req, res) => {
   try {
@@ -2058,7 +8392,7 @@ app.post("/api/generate-ai-image", async (req, res) => {
 });
 
 // Debug & Test Endpoints
-app.get("/api/test-email-auth", async (req, res) => {
+app.get("/api/test-email-auth", requireRole("admin"), async (req, res) => {
   try {
     if (!BREVO_API_KEY) {
       return res.json({
@@ -2110,7 +8444,7 @@ app.get("/api/test-email-auth", async (req, res) => {
   }
 });
 
-app.post("/api/test-proposal-email", async (req, res) => {
+app.post("/api/test-proposal-email", requireRole("admin"), async (req, res) => {
   try {
     const testEmail = req.body.email || 'test@example.com';
     
@@ -2154,6 +8488,23 @@ app.post("/api/test-proposal-email", async (req, res) => {
   }
 });
 
+// Messages held by the memory transport, newest first. ?to= filters by recipient.
+app.get("/api/test-email-capture", requireRole("admin"), (req, res) => {
+  if (!emailTransports.some((t) => t.name === 'memory')) {
+    return res.status(404).json({
+      success: false,
+      message: "The memory email transport is not enabled",
+      help: "Set EMAIL_TRANSPORT=memory (or EMAIL_FALLBACK_TRANSPORT=memory)"
+    });
+  }
+
+  const to = req.query.to ? String(req.query.to).toLowerCase() : null;
+  const emails = capturedEmails
+    .filter((email) => !to || email.to.toLowerCase() === to)
+    .reverse();
+  return res.json({ success: true, count: emails.length, emails });
+});
+
 // Health check
 app.get("/_health", (req, res) => {
   const health = {
@@ -2162,6 +8513,7 @@ app.get("/_health", (req, res) => {
     services: {
       firebase: true,
       brevo: !!BREVO_API_KEY,
+      email_transports: emailTransports.map((t) => t.name),
       intasend: true,
       email_auth: {
         security: 'MarketMixKenya <security@marketmix.site>',
@@ -2171,12 +8523,30 @@ app.get("/_health", (req, res) => {
     },
     endpoints: {
       proposal_status: '/api/send-proposal-status',
+      checkout: '/api/checkout',
       stk_push: '/api/stk-push',
+      order_cancel: '/api/orders/:orderId/cancel',
+      order_fulfilment: '/api/seller/orders/:orderId/fulfilment',
+      subscription_plans: '/api/subscription-plans',
       subscription_payment: '/api/subscription-payment',
+      subscription_renewal: '/api/subscription-renewal',
+      subscription_plan_change: '/api/subscription-plan-change',
       seller_withdrawal: '/api/seller/withdraw',
+      seller_balance: '/api/seller/:sellerId/balance',
       pin_recovery: '/api/seller/recover-pin',
       order_confirmation: 'Automatic on payment',
-      ad_transaction: '/api/ad-transaction/:paymentRef'
+      ad_transaction: '/api/ad-transaction/:paymentRef',
+      ad_campaigns: '/api/seller/ad-campaigns',
+      ad_events: '/api/ads/:campaignId/events',
+      ad_wallet_statement: '/api/seller/:sellerId/ad-wallet/statement',
+      ad_wallet_refunds: '/api/seller/ad-wallet/refunds',
+      ledger_statement: '/api/ledger/accounts/:accountId/statement',
+      withdrawal_review: '/api/admin/withdrawals/review',
+      reconciliation_reports: '/api/admin/reconciliation/reports',
+      email_outbox: '/api/admin/email-outbox',
+      email_events: '/api/email-events',
+      email_templates: '/api/admin/email-templates',
+      preferred_language: '/api/users/:userId/preferred-language'
     },
     uptime: process.uptime()
   };
@@ -2317,10 +8687,53 @@ process.on("unhandledRejection", (reason) => {
   process.on("SIGTERM", cleanup);
 })();
 
+// ============================================================
+// BACKGROUND JOBS
+// ============================================================
+const BACKGROUND_JOBS_ENABLED =
+  process.env.BACKGROUND_JOBS !== "0" && process.env.BACKGROUND_JOBS !== "false";
+const backgroundTimers = [];
+
+// Runs `task` every `intervalMs`, skipping a tick while the previous run is busy
+const startBackgroundJob = (name, intervalMs, task) => {
+  if (!BACKGROUND_JOBS_ENABLED) return;
+
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await task();
+    } catch (err) {
+      console.error(`❌ Background job "${name}" failed:`, err);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  if (timer.unref) timer.unref();
+  backgroundTimers.push(timer);
+  console.log(`⏱️ Background job "${name}" every ${Math.round(intervalMs / 1000)}s`);
+};
+
+if (!BACKGROUND_JOBS_ENABLED) console.log("🛑 Background jobs disabled by environment");
+startBackgroundJob("payout-status", PAYOUT_POLL_INTERVAL_MS, pollPendingPayouts);
+startBackgroundJob("refund-status", PAYOUT_POLL_INTERVAL_MS, pollPendingRefunds);
+startBackgroundJob("ad-wallet-refunds", PAYOUT_POLL_INTERVAL_MS, pollPendingAdWalletRefunds);
+startBackgroundJob("ad-spend-settlement", AD_SPEND_SETTLE_INTERVAL_MS, settlePendingAdSpend);
+startBackgroundJob("stock-reservations", STOCK_SWEEP_INTERVAL_MS, releaseExpiredReservations);
+startBackgroundJob("escrow-release", ESCROW_SWEEP_INTERVAL_MS, releaseDueEscrowHolds);
+startBackgroundJob("payment-reconciliation", RECONCILE_INTERVAL_MS, reconcilePendingPayments);
+startBackgroundJob("subscription-lifecycle", SUBSCRIPTION_SWEEP_INTERVAL_MS, sweepSubscriptions);
+startBackgroundJob("reconciliation-report", RECONCILE_REPORT_INTERVAL_MS, finalizeReconciliationReports);
+startBackgroundJob("email-outbox", EMAIL_OUTBOX_INTERVAL_MS, processEmailOutbox);
+
 // Start server
 const server = app.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
   console.log(`📧 Brevo API: ${BREVO_API_KEY ? '✅ Configured' : '❌ Not configured'}`);
+  console.log(`📧 Email transports: ${emailTransports.map((t) => t.name).join(' → ') || 'none'}`);
   console.log(`📧 Security Sender: MarketMixKenya <security@marketmix.site>`);
   console.log(`📧 Sales Sender: MarketMixKenya <sales@marketmix.site>`);
   console.log(`📧 Proposal Status Emails: ✅ Enabled`);
@@ -2331,11 +8744,29 @@ const server = app.listen(PORT, () => {
   console.log(`📋 Proposal Management: ✅ Email notifications enabled`);
   console.log(`📊 Available Endpoints:`);
   console.log(`   POST /api/send-proposal-status - Send proposal approval/rejection emails`);
+  console.log(`   POST /api/checkout - Server-priced order + STK Push`);
   console.log(`   POST /api/stk-push - M-Pesa STK Push`);
+  console.log(`   POST /api/orders/:orderId/cancel - Cancel or refund an order`);
+  console.log(`   POST /api/seller/orders/:orderId/fulfilment - Accept, dispatch or cancel a seller's part of an order`);
+  console.log(`   GET /api/subscription-plans - Active subscription plans`);
   console.log(`   POST /api/subscription-payment - Subscription payments`);
+  console.log(`   POST /api/subscription-renewal - Renew from the current expiry`);
+  console.log(`   POST /api/subscription-plan-change - Prorated upgrades and scheduled downgrades`);
   console.log(`   POST /api/seller/withdraw - Seller withdrawals`);
+  console.log(`   GET /api/seller/:sellerId/balance - Pending, available and withdrawn earnings`);
+  console.log(`   POST /api/intasend-payout-callback - Payout status webhook`);
+  console.log(`   GET /api/admin/withdrawals/review - Withdrawals awaiting admin review`);
+  console.log(`   GET /api/admin/reconciliation/reports - Daily payment reconciliation reports`);
+  console.log(`   GET /api/admin/email-outbox - Failed emails (POST .../:messageId/resend to retry)`);
+  console.log(`   POST /api/email-events - Brevo delivery, bounce, open and complaint webhook`);
+  console.log(`   GET /api/admin/email-templates/:name/preview - Render an email template with sample data`);
+  console.log(`   PUT /api/users/:userId/preferred-language - Email language (en or sw)`);
   console.log(`   POST /api/seller/recover-pin - PIN recovery`);
   console.log(`   GET /api/ad-transaction/:paymentRef - Check wallet deposit status`);
+  console.log(`   POST /api/seller/ad-campaigns - Create ad campaigns (pause, resume, budgets)`);
+  console.log(`   POST /api/ads/:campaignId/events - Charge ad impressions and clicks`);
+  console.log(`   GET /api/seller/:sellerId/ad-wallet/statement - Paginated ad wallet statement`);
+  console.log(`   POST /api/seller/ad-wallet/refunds - Refund unused ad credit to M-Pesa`);
   console.log(`   GET /_health - Health check`);
   console.log(`🌀 Smart keep-alive: Active (pauses 11 PM - 5 AM EAT)`);
 });
@@ -2343,6 +8774,7 @@ const server = app.listen(PORT, () => {
 // Graceful shutdown
 const shutdown = async () => {
   console.log("Shutting down server...");
+  backgroundTimers.forEach((timer) => clearInterval(timer));
   try {
     server.close(() => {
       console.log("Server closed");